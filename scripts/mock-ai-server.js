@@ -0,0 +1,95 @@
+/**
+ * Local mock AI server for developing and testing the scan flow offline
+ * - Speaks both the Anthropic Messages API (/v1/messages) and the
+ *   OpenAI Chat Completions API (/v1/chat/completions)
+ * - Replies come from src/utils/mockAi.js, so they match the in-app Mock provider
+ * - Point the app at it with Settings > AI Provider > Local model, base URL http://localhost:8787/v1
+ *
+ * Usage: npm run mock-ai   (port can be changed with MOCK_AI_PORT)
+ */
+
+import { createServer } from 'node:http'
+import { mockReply } from '../src/utils/mockAi.js'
+
+const PORT = Number(process.env.MOCK_AI_PORT) || 8787
+
+// The app calls the API straight from the browser, so allow any origin
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': '*'
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+// OpenAI content parts -> Anthropic content blocks, which is what mockReply reads
+function fromOpenAiContent(content) {
+  if (typeof content === 'string') return content
+  return content.map(part => part.type === 'text' ? { type: 'text', text: part.text } : { type: 'image' })
+}
+
+async function readBody(req) {
+  const chunks = []
+  for await (const chunk of req) {
+    chunks.push(chunk)
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'))
+}
+
+const server = createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS)
+    res.end()
+    return
+  }
+
+  const path = new URL(req.url, 'http://localhost').pathname
+  if (req.method !== 'POST' || !['/v1/messages', '/v1/chat/completions'].includes(path)) {
+    sendJson(res, 404, { error: { message: `No mock route for ${req.method} ${path}` } })
+    return
+  }
+
+  let body
+  try {
+    body = await readBody(req)
+  } catch {
+    sendJson(res, 400, { error: { message: 'Request body must be JSON' } })
+    return
+  }
+
+  const model = body.model || 'mock'
+  console.log(`[mock-ai] ${path} model=${model} messages=${body.messages?.length || 0}`)
+
+  if (path === '/v1/messages') {
+    const text = mockReply(body.messages || [])
+    sendJson(res, 200, {
+      id: `msg_mock_${Date.now()}`,
+      type: 'message',
+      role: 'assistant',
+      model,
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 0, output_tokens: 0 }
+    })
+    return
+  }
+
+  const messages = (body.messages || []).map(message => ({
+    role: message.role,
+    content: fromOpenAiContent(message.content)
+  }))
+  sendJson(res, 200, {
+    id: `chatcmpl-mock-${Date.now()}`,
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content: mockReply(messages) }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  })
+})
+
+server.listen(PORT, () => {
+  console.log(`[mock-ai] Listening on http://localhost:${PORT}/v1`)
+})
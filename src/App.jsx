@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from 'react'
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react'
 import { useDaily } from './hooks/useDaily'
 import { useAuth } from './contexts/AuthContext'
 import { FoodScanner } from './components/FoodScanner'
@@ -7,12 +7,30 @@ import { SetupScreen } from './components/SetupScreen'
 import { LoginScreen } from './components/LoginScreen'
 import { ExerciseModal } from './components/ExerciseModal'
 import { CardioModal } from './components/CardioModal'
-import { getDatesWithData } from './utils/db'
+import { EditEntryModal } from './components/EditEntryModal'
+import { AddMealModal } from './components/AddMealModal'
+import { UndoToast } from './components/UndoToast'
+import { TransferEntriesModal } from './components/TransferEntriesModal'
+import { RepeatDayModal } from './components/RepeatDayModal'
+import { MealTemplatesModal } from './components/MealTemplatesModal'
+import { PhotoTimelineModal } from './components/PhotoTimelineModal'
+import { usePhotoThumbnails } from './hooks/usePhotoThumbnails'
+import { useScanQueue } from './hooks/useScanQueue'
+import { getDatesWithData, setDefaultTargets } from './utils/db'
+import { saveFood, foodFromMeal } from './utils/foodLibrary'
+import { getMealTemplates, markTemplateUsed } from './utils/mealTemplates'
+import { saveMealPhoto } from './utils/mealPhotos'
+import { createPendingMeal } from './utils/scanQueue'
+import { providerNeedsApiKey } from './utils/aiProviders'
+import { MACRO_PRESETS, MACRO_KEYS, macroTargetsFromPreset } from './utils/macros'
 import { getTodayPST, formatDateDisplay, getShortDayName, getDayNumber, addDays, getRecentDatesPST } from './utils/dateUtils'
 import './App.css'
 
+// Number of most-used meal templates shown directly in the FAB menu
+const FAB_TEMPLATE_COUNT = 3
+
 function App() {
-  const { isAuthenticated, needsSetup, authLoading, lock } = useAuth()
+  const { isAuthenticated, needsSetup, authLoading, lock, decryptedApiKey, aiProvider } = useAuth()
 
   // Use PST for "today" - mutable via midnight rollover
   const [today, setToday] = useState(() => getTodayPST())
@@ -23,6 +41,9 @@ function App() {
   const [showDatePicker, setShowDatePicker] = useState(false)
   const [editingCalories, setEditingCalories] = useState(false)
   const [tempCalorieTarget, setTempCalorieTarget] = useState('')
+  const [tempMacroTargets, setTempMacroTargets] = useState(() => macroTargetsFromPreset('balanced'))
+  const [saveTargetsAsDefault, setSaveTargetsAsDefault] = useState(false)
+  const [targetError, setTargetError] = useState('')
   const midnightCheckRef = useRef(null)
 
   const {
@@ -31,20 +52,47 @@ function App() {
     totalCaloriesBurned,
     netCalories,
     remainingCalories,
+    totalProtein,
+    totalCarbs,
+    totalFat,
+    macroTargetGrams,
     loading,
     addMeal,
+    addMeals,
+    addPendingMeal,
+    resolvePendingMeal,
+    canRestorePendingMeal,
+    updateMeal,
     deleteMeal,
     addExercise,
+    updateExercise,
     deleteExercise,
     addCardio,
+    updateCardio,
     deleteCardio,
     updateDailyNotes,
-    updateTargetCalories
+    updateTargets,
+    copyItemsToDate,
+    reload,
+    undo,
+    redo
   } = useDaily(selectedDate)
 
   const [activeModal, setActiveModal] = useState(null)
-  const [mealForm, setMealForm] = useState({ name: '', items: '', totalCal: '' })
   const [showFab, setShowFab] = useState(false)
+  const [editingEntry, setEditingEntry] = useState(null) // { kind: 'meal' | 'exercise' | 'cardio', item }
+  const [toast, setToast] = useState(null) // { id, message, action: 'undo' | 'redo' | undefined }
+  const [selectMode, setSelectMode] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [transferMode, setTransferMode] = useState(null) // 'copy' | 'move'
+  const [mealTemplates, setMealTemplates] = useState([])
+  const photoThumbnails = usePhotoThumbnails(entry.meals.map(meal => meal.photoId).filter(Boolean))
+  const [templatesVersion, setTemplatesVersion] = useState(0)
+
+  // Scans saved offline are analyzed in the background once the app is unlocked and online
+  const connection = useMemo(() => ({ ...aiProvider, apiKey: decryptedApiKey }), [aiProvider, decryptedApiKey])
+  const canAnalyze = isAuthenticated && (!providerNeedsApiKey(aiProvider) || !!decryptedApiKey)
+  const { queuedCount, resultCount, queueScan, clearResults } = useScanQueue(connection, canAnalyze, { resolvePendingMeal, canRestorePendingMeal })
 
   // Midnight rollover check: update "today" if the PST date has changed
   const checkDateRollover = useCallback(() => {
@@ -86,6 +134,25 @@ function App() {
     loadDatesWithData()
   }, [entry]) // Reload when entry changes
 
+  // Load meal templates for the FAB menu, most used first
+  useEffect(() => {
+    let cancelled = false
+
+    async function loadTemplates() {
+      const templates = await getMealTemplates()
+      if (!cancelled) {
+        setMealTemplates(templates)
+      }
+    }
+    loadTemplates()
+
+    return () => {
+      cancelled = true
+    }
+  }, [templatesVersion])
+
+  const refreshTemplates = useCallback(() => setTemplatesVersion(version => version + 1), [])
+
   const isToday = selectedDate === today
   const isViewingPast = selectedDate < today
 
@@ -104,18 +171,181 @@ function App() {
   const progressPercent = Math.min((netCalories / entry.targetCalories) * 100, 100)
   const isOverBudget = netCalories > entry.targetCalories
 
-  const handleAddMeal = async (e) => {
-    e.preventDefault()
-    if (!mealForm.name || !mealForm.totalCal) return
+  const macros = [
+    { key: 'protein', label: 'Protein', grams: totalProtein, target: macroTargetGrams.protein, color: 'bg-sky-500' },
+    { key: 'carbs', label: 'Carbs', grams: totalCarbs, target: macroTargetGrams.carbs, color: 'bg-amber-500' },
+    { key: 'fat', label: 'Fat', grams: totalFat, target: macroTargetGrams.fat, color: 'bg-rose-500' }
+  ]
 
-    await addMeal({
-      name: mealForm.name,
-      items: mealForm.items,
-      totalCal: parseInt(mealForm.totalCal, 10) || 0
-    })
+  // Undo/redo toast
+  const toastIdRef = useRef(0)
+  const showToast = useCallback((message, action) => {
+    toastIdRef.current += 1
+    setToast({ id: toastIdRef.current, message, action })
+  }, [])
+  const dismissToast = useCallback(() => setToast(null), [])
+
+  // Mention the day when the change being undone/redone isn't the one on screen
+  const describeChange = useCallback((prefix, record) => (
+    record.date === selectedDate
+      ? `${prefix}: ${record.label}`
+      : `${prefix}: ${record.label} (${formatDateDisplay(record.date)})`
+  ), [selectedDate])
+
+  const handleUndo = useCallback(async () => {
+    const record = await undo()
+    if (record) {
+      showToast(describeChange('Undone', record), 'redo')
+    }
+  }, [undo, describeChange, showToast])
+
+  const handleRedo = useCallback(async () => {
+    const record = await redo()
+    if (record) {
+      showToast(describeChange('Redone', record), 'undo')
+    }
+  }, [redo, describeChange, showToast])
+
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo. Text fields keep their native undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handleUndo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        handleRedo()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [handleUndo, handleRedo])
+
+  const handleSaveEdit = async (updates) => {
+    const { kind, item } = editingEntry
+    if (kind === 'meal') {
+      await updateMeal(item.id, updates)
+      showToast('Meal updated', 'undo')
+    } else if (kind === 'exercise') {
+      await updateExercise(item.id, updates)
+      showToast('Exercise updated', 'undo')
+    } else if (kind === 'cardio') {
+      await updateCardio(item.id, updates)
+      showToast('Cardio updated', 'undo')
+    }
+  }
+
+  // Multi-select for copying/moving entries between days
+  const startSelecting = () => {
+    setSelectedIds([])
+    setSelectMode(true)
+    setShowFab(false)
+  }
+
+  const stopSelecting = () => {
+    setSelectMode(false)
+    setSelectedIds([])
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds(selectedIds.includes(id)
+      ? selectedIds.filter(selected => selected !== id)
+      : [...selectedIds, id])
+  }
+
+  // Rows open the editor normally, and toggle selection in select mode.
+  // Pending scan placeholders can't be selected: their queued scan fills in that meal only.
+  const handleRowTap = (kind, item) => {
+    if (selectMode) {
+      if (!item.pendingScan) toggleSelected(item.id)
+    } else {
+      setEditingEntry({ kind, item })
+    }
+  }
+
+  // Only count selections that are on the day being viewed
+  const entryItemIds = [...entry.meals, ...(entry.exercises || []), ...(entry.cardio || [])].map(item => item.id)
+  const visibleSelectedIds = selectedIds.filter(id => entryItemIds.includes(id))
+
+  const renderSelectToggle = () => entryItemIds.length > 0 && (
+    <button
+      onClick={selectMode ? stopSelecting : startSelecting}
+      className="text-sm font-medium text-emerald-500"
+    >
+      {selectMode ? 'Done' : 'Select'}
+    </button>
+  )
+
+  const renderSelectBox = (id) => {
+    const isSelected = visibleSelectedIds.includes(id)
+    return (
+      <button
+        onClick={() => toggleSelected(id)}
+        className={`w-5 h-5 mr-3 flex-shrink-0 rounded-md border-2 flex items-center justify-center transition-colors ${
+          isSelected ? 'bg-emerald-500 border-emerald-500' : 'border-gray-300 dark:border-gray-500'
+        }`}
+        aria-pressed={isSelected}
+        title={isSelected ? 'Deselect' : 'Select'}
+      >
+        {isSelected && (
+          <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
+          </svg>
+        )}
+      </button>
+    )
+  }
+
+  const handleTransfer = async (targetDate) => {
+    const isSelected = item => visibleSelectedIds.includes(item.id)
+    const count = await copyItemsToDate({
+      meals: entry.meals.filter(isSelected),
+      exercises: (entry.exercises || []).filter(isSelected),
+      cardio: (entry.cardio || []).filter(isSelected)
+    }, targetDate, { move: transferMode === 'move' })
+
+    stopSelecting()
+    const noun = count === 1 ? 'item' : 'items'
+    showToast(`${count} ${noun} ${transferMode === 'move' ? 'moved' : 'copied'} to ${formatDateDisplay(targetDate)}`, 'undo')
+  }
+
+  const handleRepeatDay = async (items) => {
+    const count = await copyItemsToDate(items, selectedDate)
+    showToast(`${count} ${count === 1 ? 'item' : 'items'} added`, 'undo')
+  }
+
+  // Data was imported or restored in Settings
+  const handleDataChanged = () => {
+    reload()
+    refreshTemplates()
+  }
+
+  // Insert a template's meals at the current time
+  const handleLogTemplate = async (template) => {
+    await addMeals(template.meals, `Logged ${template.name}`)
+    await markTemplateUsed(template.id)
+    refreshTemplates()
+    showToast(`Logged ${template.name}`, 'undo')
+  }
+
+  const handleDeleteMeal = async (mealId) => {
+    await deleteMeal(mealId)
+    showToast('Meal deleted', 'undo')
+  }
 
-    setMealForm({ name: '', items: '', totalCal: '' })
-    setActiveModal(null)
+  const handleDeleteExercise = async (exerciseId) => {
+    await deleteExercise(exerciseId)
+    showToast('Exercise deleted', 'undo')
+  }
+
+  const handleDeleteCardio = async (cardioId) => {
+    await deleteCardio(cardioId)
+    showToast('Cardio deleted', 'undo')
   }
 
   const handleNotesChange = (e) => {
@@ -126,17 +356,57 @@ function App() {
     await addMeal(mealData)
   }
 
+  // Log a placeholder meal now and queue the photos; the meal is filled in once analyzed
+  const handleQueueScan = async ({ images, beforeAfter, photo }) => {
+    let photoId = null
+    try {
+      photoId = await saveMealPhoto(photo)
+    } catch (err) {
+      console.error('Failed to save meal photo:', err)
+    }
+
+    const meal = await addPendingMeal(createPendingMeal(photoId))
+    await queueScan({ date: selectedDate, mealId: meal.id, images, beforeAfter })
+    showToast('Scan saved. It will be analyzed when you are back online.')
+  }
+
   const handleSaveCalorieTarget = async () => {
     const newTarget = parseInt(tempCalorieTarget) || entry.targetCalories
-    await updateTargetCalories(newTarget)
+    const newMacroTargets = {
+      ...tempMacroTargets,
+      protein: parseFloat(tempMacroTargets.protein) || 0,
+      carbs: parseFloat(tempMacroTargets.carbs) || 0,
+      fat: parseFloat(tempMacroTargets.fat) || 0
+    }
+
+    if (newMacroTargets.unit === 'percent') {
+      const totalPercent = newMacroTargets.protein + newMacroTargets.carbs + newMacroTargets.fat
+      // Allow for rounding in splits like 33.4 + 33.3 + 33.3
+      if (Math.abs(totalPercent - 100) > 0.01) {
+        setTargetError(`Macro percentages must add up to 100% (currently ${Math.round(totalPercent * 10) / 10}%)`)
+        return
+      }
+    }
+
+    await updateTargets(newTarget, newMacroTargets)
+    if (saveTargetsAsDefault) {
+      await setDefaultTargets(newTarget, newMacroTargets)
+    }
     setEditingCalories(false)
   }
 
   const startEditingCalories = () => {
     setTempCalorieTarget(entry.targetCalories.toString())
+    setTempMacroTargets(entry.macroTargets)
+    setSaveTargetsAsDefault(false)
+    setTargetError('')
     setEditingCalories(true)
   }
 
+  const handleMacroTargetChange = (key, value) => {
+    setTempMacroTargets({ ...tempMacroTargets, [key]: value, preset: null })
+  }
+
   // Show loading state while auth is initializing
   if (authLoading || loading) {
     return (
@@ -166,8 +436,30 @@ function App() {
         <div className="flex justify-between items-start mb-4">
           <div>
             <h1 className="text-2xl font-bold">CalTrack</h1>
+            {resultCount > 0 ? (
+              <button
+                onClick={clearResults}
+                className="mt-1 px-2 py-0.5 bg-white text-emerald-600 text-xs font-semibold rounded-full"
+                title="Dismiss"
+              >
+                ✓ {resultCount} offline {resultCount === 1 ? 'scan' : 'scans'} analyzed
+              </button>
+            ) : queuedCount > 0 && (
+              <p className="mt-1 text-xs text-white/80">
+                ⏳ {queuedCount} {queuedCount === 1 ? 'scan' : 'scans'} waiting for a connection
+              </p>
+            )}
           </div>
           <div className="flex items-center gap-2">
+            <button
+              onClick={() => setActiveModal('photos')}
+              className="p-2 bg-white/20 rounded-full hover:bg-white/30 transition-colors"
+              title="Photo diary"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+              </svg>
+            </button>
             <button
               onClick={lock}
               className="p-2 bg-white/20 rounded-full hover:bg-white/30 transition-colors"
@@ -358,6 +650,94 @@ function App() {
               )}
             </div>
           </div>
+
+          {/* Macro Breakdown */}
+          <div className="grid grid-cols-3 gap-3 mt-4">
+            {macros.map((macro) => {
+              const percent = macro.target > 0 ? Math.min((macro.grams / macro.target) * 100, 100) : 0
+              const isOver = macro.target > 0 && macro.grams > macro.target
+              return (
+                <div key={macro.key}>
+                  <div className="flex justify-between items-baseline mb-1">
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{macro.label}</span>
+                    <span className={`text-xs ${isOver ? 'text-red-500' : 'text-gray-400'}`}>
+                      <span className="text-sm font-semibold text-gray-700 dark:text-gray-200">{Math.round(macro.grams)}</span>
+                      /{macro.target}g
+                    </span>
+                  </div>
+                  <div className="bg-gray-100 dark:bg-gray-700 rounded-full h-1.5 overflow-hidden">
+                    <div
+                      className={`h-full rounded-full transition-all duration-500 ${isOver ? 'bg-red-500' : macro.color}`}
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+
+          {/* Macro Target Editor */}
+          {editingCalories && (
+            <div className="mt-4 pt-4 border-t border-gray-100 dark:border-gray-700 space-y-3">
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(MACRO_PRESETS).map(([key, preset]) => (
+                  <button
+                    key={key}
+                    onClick={() => setTempMacroTargets(macroTargetsFromPreset(key))}
+                    className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+                      tempMacroTargets.preset === key
+                        ? 'bg-emerald-500 text-white'
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                    }`}
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
+
+              <div className="flex items-center gap-2">
+                {MACRO_KEYS.map((key) => (
+                  <input
+                    key={key}
+                    type="number"
+                    placeholder={key}
+                    value={tempMacroTargets[key]}
+                    onChange={(e) => handleMacroTargetChange(key, e.target.value)}
+                    className="w-full min-w-0 px-2 py-1.5 text-sm text-center border rounded-lg bg-white dark:bg-gray-700 dark:text-white dark:border-gray-600"
+                  />
+                ))}
+                <div className="flex rounded-lg overflow-hidden border border-gray-200 dark:border-gray-600 text-xs">
+                  {[['percent', '%'], ['grams', 'g']].map(([unit, label]) => (
+                    <button
+                      key={unit}
+                      onClick={() => setTempMacroTargets({ ...tempMacroTargets, unit, preset: null })}
+                      className={`px-2 py-1.5 ${
+                        tempMacroTargets.unit === unit
+                          ? 'bg-emerald-500 text-white'
+                          : 'text-gray-500 dark:text-gray-400'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <p className="text-xs text-gray-400">Protein / Carbs / Fat</p>
+
+              <label className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                <input
+                  type="checkbox"
+                  checked={saveTargetsAsDefault}
+                  onChange={(e) => setSaveTargetsAsDefault(e.target.checked)}
+                />
+                Use these goals for new days
+              </label>
+
+              {targetError && (
+                <p className="text-xs text-red-500">{targetError}</p>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Meals Section */}
@@ -366,9 +746,12 @@ function App() {
             <h2 className="font-semibold text-gray-800 dark:text-white flex items-center gap-2">
               <span className="text-lg">🍽️</span> Meals
             </h2>
-            <span className="text-sm text-gray-500 dark:text-gray-400">
-              {entry.meals.length} logged
-            </span>
+            <div className="flex items-center gap-3">
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {entry.meals.length} logged
+              </span>
+              {renderSelectToggle()}
+            </div>
           </div>
 
           {entry.meals.length === 0 ? (
@@ -388,7 +771,20 @@ function App() {
                   key={meal.id}
                   className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl"
                 >
-                  <div className="flex-1 min-w-0">
+                  {selectMode && (meal.pendingScan
+                    ? <span className="w-5 mr-3 flex-shrink-0" />
+                    : renderSelectBox(meal.id))}
+                  {photoThumbnails[meal.photoId] && (
+                    <img
+                      src={photoThumbnails[meal.photoId]}
+                      alt=""
+                      className="w-12 h-12 rounded-lg object-cover flex-shrink-0 mr-3"
+                    />
+                  )}
+                  <button
+                    onClick={() => handleRowTap('meal', meal)}
+                    className="flex-1 min-w-0 text-left"
+                  >
                     <div className="flex items-center gap-2">
                       <p className="font-medium text-gray-800 dark:text-gray-100 truncate">{meal.name}</p>
                       <span className="text-xs text-gray-400">{meal.time}</span>
@@ -396,19 +792,32 @@ function App() {
                     {meal.items && (
                       <p className="text-sm text-gray-500 dark:text-gray-400 truncate">{meal.items}</p>
                     )}
-                  </div>
+                    {(meal.protein > 0 || meal.carbs > 0 || meal.fat > 0) && (
+                      <p className="text-xs text-gray-400">
+                        P:{Math.round(meal.protein || 0)}g C:{Math.round(meal.carbs || 0)}g F:{Math.round(meal.fat || 0)}g
+                      </p>
+                    )}
+                  </button>
                   <div className="flex items-center gap-2 ml-2">
-                    <span className="font-semibold text-emerald-600 dark:text-emerald-400 whitespace-nowrap">
-                      {meal.totalCal} cal
-                    </span>
-                    <button
-                      onClick={() => deleteMeal(meal.id)}
-                      className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
-                    >
-                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                      </svg>
-                    </button>
+                    {meal.pendingScan ? (
+                      <span className="text-xs font-medium text-purple-600 dark:text-purple-400 whitespace-nowrap" title="Waiting to be analyzed">
+                        ⏳ Pending
+                      </span>
+                    ) : (
+                      <span className="font-semibold text-emerald-600 dark:text-emerald-400 whitespace-nowrap">
+                        {meal.totalCal} cal
+                      </span>
+                    )}
+                    {!selectMode && (
+                      <button
+                        onClick={() => handleDeleteMeal(meal.id)}
+                        className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    )}
                   </div>
                 </li>
               ))}
@@ -422,9 +831,12 @@ function App() {
             <h2 className="font-semibold text-gray-800 dark:text-white flex items-center gap-2">
               <span className="text-lg">💪</span> Exercises
             </h2>
-            <span className="text-sm text-gray-500 dark:text-gray-400">
-              {(entry.exercises || []).length} logged
-            </span>
+            <div className="flex items-center gap-3">
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {(entry.exercises || []).length} logged
+              </span>
+              {renderSelectToggle()}
+            </div>
           </div>
 
           {(entry.exercises || []).length === 0 ? (
@@ -445,7 +857,11 @@ function App() {
                     key={ex.id}
                     className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl"
                   >
-                    <div className="flex-1 min-w-0">
+                    {selectMode && renderSelectBox(ex.id)}
+                    <button
+                      onClick={() => handleRowTap('exercise', ex)}
+                      className="flex-1 min-w-0 text-left"
+                    >
                       <p className="font-medium text-gray-800 dark:text-gray-100">
                         {ex.name}
                       </p>
@@ -453,15 +869,17 @@ function App() {
                         {ex.weight} lbs x {ex.reps} reps
                         {ex.sets > 1 && ` x ${ex.sets} sets`}
                       </p>
-                    </div>
-                    <button
-                      onClick={() => deleteExercise(ex.id)}
-                      className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
-                    >
-                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                      </svg>
                     </button>
+                    {!selectMode && (
+                      <button
+                        onClick={() => handleDeleteExercise(ex.id)}
+                        className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    )}
                   </li>
                 ))}
               </ul>
@@ -481,14 +899,17 @@ function App() {
             <h2 className="font-semibold text-gray-800 dark:text-white flex items-center gap-2">
               <span className="text-lg">🏃</span> Cardio
             </h2>
-            <span className="text-sm text-gray-500 dark:text-gray-400">
-              {(entry.cardio || []).length > 0 && (
-                <span className="text-orange-500 font-semibold">
-                  {totalCaloriesBurned} cal burned
-                </span>
-              )}
-              {(entry.cardio || []).length === 0 && '0 logged'}
-            </span>
+            <div className="flex items-center gap-3">
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {(entry.cardio || []).length > 0 && (
+                  <span className="text-orange-500 font-semibold">
+                    {totalCaloriesBurned} cal burned
+                  </span>
+                )}
+                {(entry.cardio || []).length === 0 && '0 logged'}
+              </span>
+              {renderSelectToggle()}
+            </div>
           </div>
 
           {(entry.cardio || []).length === 0 ? (
@@ -509,7 +930,11 @@ function App() {
                     key={c.id}
                     className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl"
                   >
-                    <div className="flex-1 min-w-0">
+                    {selectMode && renderSelectBox(c.id)}
+                    <button
+                      onClick={() => handleRowTap('cardio', c)}
+                      className="flex-1 min-w-0 text-left"
+                    >
                       <p className="font-medium text-gray-800 dark:text-gray-100">
                         {c.name}
                       </p>
@@ -517,15 +942,17 @@ function App() {
                         {c.caloriesBurned} cal burned
                         {c.duration > 0 && ` - ${c.duration} min`}
                       </p>
-                    </div>
-                    <button
-                      onClick={() => deleteCardio(c.id)}
-                      className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
-                    >
-                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                      </svg>
                     </button>
+                    {!selectMode && (
+                      <button
+                        onClick={() => handleDeleteCardio(c.id)}
+                        className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    )}
                   </li>
                 ))}
               </ul>
@@ -554,10 +981,90 @@ function App() {
         </div>
       </main>
 
+      {/* Selection Action Bar */}
+      {selectMode && (
+        <div className="fixed bottom-0 inset-x-0 z-40 bg-white dark:bg-gray-800 border-t border-gray-200 dark:border-gray-700 px-4 pt-3 safe-area-pb animate-fade-in">
+          <div className="max-w-md mx-auto flex items-center gap-2 pb-2">
+            <span className="flex-1 text-sm text-gray-600 dark:text-gray-300">
+              {visibleSelectedIds.length} selected
+            </span>
+            <button
+              onClick={() => setTransferMode('copy')}
+              disabled={visibleSelectedIds.length === 0}
+              className="px-4 py-2 bg-emerald-500 text-white text-sm font-semibold rounded-xl hover:bg-emerald-600 disabled:opacity-50"
+            >
+              Copy to…
+            </button>
+            <button
+              onClick={() => setTransferMode('move')}
+              disabled={visibleSelectedIds.length === 0}
+              className="px-4 py-2 border-2 border-emerald-500 text-emerald-600 dark:text-emerald-400 text-sm font-semibold rounded-xl hover:bg-emerald-50 dark:hover:bg-emerald-900/20 disabled:opacity-50"
+            >
+              Move to…
+            </button>
+            <button
+              onClick={stopSelecting}
+              className="px-3 py-2 text-sm font-medium text-gray-500 dark:text-gray-400"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Floating Action Buttons */}
-      <div className="fixed bottom-6 right-4 flex flex-col items-end gap-3 z-40">
+      <div className={`fixed bottom-6 right-4 flex flex-col items-end gap-3 z-40 ${selectMode ? 'hidden' : ''}`}>
         {showFab && (
           <>
+            {/* Most used meal templates */}
+            {mealTemplates.slice(0, FAB_TEMPLATE_COUNT).map(template => (
+              <button
+                key={template.id}
+                onClick={() => {
+                  setShowFab(false)
+                  handleLogTemplate(template)
+                }}
+                className="flex items-center gap-2 bg-white dark:bg-gray-800 pl-4 pr-5 py-3 rounded-full shadow-lg animate-fade-in"
+              >
+                <div className="w-10 h-10 bg-amber-500 rounded-full flex items-center justify-center text-lg">
+                  ⚡
+                </div>
+                <span className="font-medium text-gray-700 dark:text-gray-200 max-w-[12rem] truncate">{template.name}</span>
+              </button>
+            ))}
+
+            {/* Meal Templates Button */}
+            <button
+              onClick={() => {
+                setActiveModal('templates')
+                setShowFab(false)
+              }}
+              className="flex items-center gap-2 bg-white dark:bg-gray-800 pl-4 pr-5 py-3 rounded-full shadow-lg animate-fade-in"
+            >
+              <div className="w-10 h-10 bg-amber-500 rounded-full flex items-center justify-center">
+                <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+                </svg>
+              </div>
+              <span className="font-medium text-gray-700 dark:text-gray-200">Meal Templates</span>
+            </button>
+
+            {/* Repeat a Day Button */}
+            <button
+              onClick={() => {
+                setActiveModal('repeat')
+                setShowFab(false)
+              }}
+              className="flex items-center gap-2 bg-white dark:bg-gray-800 pl-4 pr-5 py-3 rounded-full shadow-lg animate-fade-in"
+            >
+              <div className="w-10 h-10 bg-teal-500 rounded-full flex items-center justify-center">
+                <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+              </div>
+              <span className="font-medium text-gray-700 dark:text-gray-200">Repeat a Day</span>
+            </button>
+
             {/* Scan Food Button */}
             <button
               onClick={() => {
@@ -646,60 +1153,10 @@ function App() {
 
       {/* Add Meal Modal */}
       {activeModal === 'meal' && (
-        <div className="fixed inset-0 z-50 flex items-end justify-center bg-black/50" onClick={() => setActiveModal(null)}>
-          <div className="bg-white dark:bg-gray-800 w-full max-w-md rounded-t-3xl p-6 animate-slide-up" onClick={e => e.stopPropagation()}>
-            <div className="w-12 h-1 bg-gray-300 dark:bg-gray-600 rounded-full mx-auto mb-4" />
-            <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">Add Meal</h2>
-
-            <form onSubmit={handleAddMeal} className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                  Meal Name *
-                </label>
-                <input
-                  type="text"
-                  placeholder="e.g., Breakfast, Lunch, Snack"
-                  value={mealForm.name}
-                  onChange={(e) => setMealForm({ ...mealForm, name: e.target.value })}
-                  className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-                />
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                  Food Items
-                </label>
-                <input
-                  type="text"
-                  placeholder="e.g., Eggs, toast, orange juice"
-                  value={mealForm.items}
-                  onChange={(e) => setMealForm({ ...mealForm, items: e.target.value })}
-                  className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-                />
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                  Total Calories *
-                </label>
-                <input
-                  type="number"
-                  placeholder="e.g., 450"
-                  value={mealForm.totalCal}
-                  onChange={(e) => setMealForm({ ...mealForm, totalCal: e.target.value })}
-                  className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-                />
-              </div>
-
-              <button
-                type="submit"
-                className="w-full py-3.5 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all"
-              >
-                Add Meal
-              </button>
-            </form>
-          </div>
-        </div>
+        <AddMealModal
+          onAddMeal={addMeal}
+          onClose={() => setActiveModal(null)}
+        />
       )}
 
       {/* Exercise Modal */}
@@ -707,7 +1164,8 @@ function App() {
         isOpen={activeModal === 'exercise'}
         onClose={() => setActiveModal(null)}
         onAddExercise={addExercise}
-        onDeleteExercise={deleteExercise}
+        onDeleteExercise={handleDeleteExercise}
+        onEditExercise={(ex) => setEditingEntry({ kind: 'exercise', item: ex })}
         exercises={entry.exercises || []}
       />
 
@@ -716,21 +1174,86 @@ function App() {
         isOpen={activeModal === 'cardio'}
         onClose={() => setActiveModal(null)}
         onAddCardio={addCardio}
-        onDeleteCardio={deleteCardio}
+        onDeleteCardio={handleDeleteCardio}
+        onEditCardio={(c) => setEditingEntry({ kind: 'cardio', item: c })}
         cardio={entry.cardio || []}
       />
 
+      {/* Edit Entry Modal */}
+      {editingEntry && (
+        <EditEntryModal
+          key={editingEntry.item.id}
+          kind={editingEntry.kind}
+          item={editingEntry.item}
+          onSave={handleSaveEdit}
+          onSaveToLibrary={editingEntry.kind === 'meal' ? (meal) => saveFood(foodFromMeal(meal)) : undefined}
+          onClose={() => setEditingEntry(null)}
+        />
+      )}
+
+      {/* Copy/Move Entries Modal */}
+      {transferMode && (
+        <TransferEntriesModal
+          mode={transferMode}
+          count={visibleSelectedIds.length}
+          currentDate={selectedDate}
+          onConfirm={handleTransfer}
+          onClose={() => setTransferMode(null)}
+        />
+      )}
+
+      {/* Meal Templates Modal */}
+      {activeModal === 'templates' && (
+        <MealTemplatesModal
+          dayMeals={entry.meals.filter(meal => !meal.pendingScan)}
+          onLog={handleLogTemplate}
+          onChanged={refreshTemplates}
+          onClose={() => setActiveModal(null)}
+        />
+      )}
+
+      {/* Photo Diary */}
+      {activeModal === 'photos' && (
+        <PhotoTimelineModal
+          onSelectDate={setSelectedDate}
+          onClose={() => setActiveModal(null)}
+        />
+      )}
+
+      {/* Repeat a Day Modal */}
+      {activeModal === 'repeat' && (
+        <RepeatDayModal
+          key={selectedDate}
+          date={selectedDate}
+          onRepeat={handleRepeatDay}
+          onClose={() => setActiveModal(null)}
+        />
+      )}
+
+      {/* Undo/Redo Toast */}
+      {toast && (
+        <UndoToast
+          key={toast.id}
+          message={toast.message}
+          actionLabel={toast.action === 'undo' ? 'Undo' : 'Redo'}
+          onAction={toast.action && (toast.action === 'undo' ? handleUndo : handleRedo)}
+          onDismiss={dismissToast}
+        />
+      )}
+
       {/* Food Scanner Modal */}
       <FoodScanner
         isOpen={activeModal === 'scan'}
         onClose={() => setActiveModal(null)}
         onAddMeal={handleScannedMeal}
+        onQueueScan={handleQueueScan}
       />
 
       {/* Settings Modal */}
       <SettingsModal
         isOpen={activeModal === 'settings'}
         onClose={() => setActiveModal(null)}
+        onDataChanged={handleDataChanged}
       />
     </div>
   )
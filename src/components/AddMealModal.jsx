@@ -0,0 +1,259 @@
+import { useState } from 'react'
+import { FoodPicker } from './FoodPicker'
+import { RecipePicker } from './RecipePicker'
+import { saveFood, sumServings, markFoodsUsed } from '../utils/foodLibrary'
+import { mealFromRecipe, markRecipeUsed } from '../utils/recipes'
+
+const EMPTY_FORM = { name: '', items: '', totalCal: '', protein: '', carbs: '', fat: '' }
+
+const inputClass = 'w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent'
+const macroInputClass = 'w-full min-w-0 px-3 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent'
+
+/**
+ * Manual meal entry, with quick-add from the saved foods library or a recipe
+ */
+export function AddMealModal({ onAddMeal, onClose }) {
+  const [mealForm, setMealForm] = useState(EMPTY_FORM)
+  const [selections, setSelections] = useState([]) // [{ food, servings }]
+  const [recipeSelection, setRecipeSelection] = useState(null) // { recipe, servings }
+  const [openPicker, setOpenPicker] = useState(null) // 'foods' | 'recipes'
+  const [saveToLibrary, setSaveToLibrary] = useState(false)
+  const [error, setError] = useState('')
+
+  // Picking foods fills in the items, calories and macros; they can still be edited afterwards
+  const handleSelectionsChange = (next) => {
+    setSelections(next)
+    setRecipeSelection(null)
+
+    if (next.length === 0) {
+      setMealForm({ ...mealForm, items: '', totalCal: '', protein: '', carbs: '', fat: '' })
+      return
+    }
+
+    const totals = sumServings(next)
+    setMealForm({
+      ...mealForm,
+      name: mealForm.name || (next.length === 1 ? next[0].food.name : ''),
+      items: totals.items,
+      totalCal: String(totals.totalCal),
+      protein: String(totals.protein),
+      carbs: String(totals.carbs),
+      fat: String(totals.fat)
+    })
+  }
+
+  // A recipe replaces any picked foods; the meal gets the recipe's nutrition for those servings
+  const handleRecipeChange = (next) => {
+    setRecipeSelection(next)
+    setSelections([])
+
+    if (!next) {
+      setMealForm({ ...mealForm, items: '', totalCal: '', protein: '', carbs: '', fat: '' })
+      return
+    }
+
+    const fromRecipe = mealFromRecipe(next.recipe, next.servings)
+    setMealForm({
+      name: fromRecipe.name,
+      items: fromRecipe.items,
+      totalCal: String(fromRecipe.totalCal),
+      protein: String(fromRecipe.protein),
+      carbs: String(fromRecipe.carbs),
+      fat: String(fromRecipe.fat)
+    })
+  }
+
+  const togglePicker = (picker) => setOpenPicker(openPicker === picker ? null : picker)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!mealForm.name || !mealForm.totalCal) return
+
+    const meal = {
+      name: mealForm.name,
+      items: mealForm.items,
+      totalCal: parseInt(mealForm.totalCal, 10) || 0,
+      protein: parseFloat(mealForm.protein) || 0,
+      carbs: parseFloat(mealForm.carbs) || 0,
+      fat: parseFloat(mealForm.fat) || 0,
+      foods: selections.length > 0 ? sumServings(selections).foods : [],
+      recipe: null
+    }
+
+    // Snapshot the recipe as it is now, so later edits to it don't change this meal
+    if (recipeSelection) {
+      const fromRecipe = mealFromRecipe(recipeSelection.recipe, recipeSelection.servings)
+      meal.foods = fromRecipe.foods
+      meal.recipe = fromRecipe.recipe
+    }
+
+    try {
+      await onAddMeal(meal)
+
+      if (selections.length > 0) {
+        await markFoodsUsed(selections.map(s => s.food.id))
+      }
+      if (recipeSelection) {
+        await markRecipeUsed(recipeSelection.recipe.id)
+      }
+      if (saveToLibrary && selections.length === 0 && !recipeSelection) {
+        await saveFood({
+          name: meal.name,
+          servingSize: '1 serving',
+          calories: meal.totalCal,
+          protein: meal.protein,
+          carbs: meal.carbs,
+          fat: meal.fat,
+          source: 'manual'
+        })
+      }
+
+      onClose()
+    } catch (err) {
+      console.error('Failed to add meal:', err)
+      setError(err.message || 'Failed to add meal')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end justify-center bg-black/50" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 w-full max-w-md rounded-t-3xl p-6 animate-slide-up max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
+        <div className="w-12 h-1 bg-gray-300 dark:bg-gray-600 rounded-full mx-auto mb-4" />
+        <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">Add Meal</h2>
+
+        {/* Quick-add from saved foods or recipes */}
+        <div className="mb-4">
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => togglePicker('foods')}
+              className={`flex-1 py-2 rounded-xl text-sm font-medium transition-colors ${
+                openPicker === 'foods'
+                  ? 'bg-emerald-500 text-white'
+                  : 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-600 dark:text-emerald-400'
+              }`}
+            >
+              ⭐ My Foods{selections.length > 0 && ` (${selections.length})`}
+            </button>
+            <button
+              type="button"
+              onClick={() => togglePicker('recipes')}
+              className={`flex-1 py-2 rounded-xl text-sm font-medium transition-colors ${
+                openPicker === 'recipes'
+                  ? 'bg-emerald-500 text-white'
+                  : 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-600 dark:text-emerald-400'
+              }`}
+            >
+              📖 Recipes{recipeSelection && ' (1)'}
+            </button>
+          </div>
+          {openPicker === 'foods' && (
+            <div className="mt-3">
+              <FoodPicker selections={selections} onChange={handleSelectionsChange} />
+            </div>
+          )}
+          {openPicker === 'recipes' && (
+            <div className="mt-3">
+              <RecipePicker selection={recipeSelection} onChange={handleRecipeChange} />
+            </div>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Meal Name *
+            </label>
+            <input
+              type="text"
+              placeholder="e.g., Breakfast, Lunch, Snack"
+              value={mealForm.name}
+              onChange={(e) => setMealForm({ ...mealForm, name: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Food Items
+            </label>
+            <input
+              type="text"
+              placeholder="e.g., Eggs, toast, orange juice"
+              value={mealForm.items}
+              onChange={(e) => setMealForm({ ...mealForm, items: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Total Calories *
+            </label>
+            <input
+              type="number"
+              placeholder="e.g., 450"
+              value={mealForm.totalCal}
+              onChange={(e) => setMealForm({ ...mealForm, totalCal: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Macros (optional)
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                placeholder="Protein (g)"
+                value={mealForm.protein}
+                onChange={(e) => setMealForm({ ...mealForm, protein: e.target.value })}
+                className={macroInputClass}
+              />
+              <input
+                type="number"
+                placeholder="Carbs (g)"
+                value={mealForm.carbs}
+                onChange={(e) => setMealForm({ ...mealForm, carbs: e.target.value })}
+                className={macroInputClass}
+              />
+              <input
+                type="number"
+                placeholder="Fat (g)"
+                value={mealForm.fat}
+                onChange={(e) => setMealForm({ ...mealForm, fat: e.target.value })}
+                className={macroInputClass}
+              />
+            </div>
+          </div>
+
+          {selections.length === 0 && !recipeSelection && (
+            <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={saveToLibrary}
+                onChange={(e) => setSaveToLibrary(e.target.checked)}
+                className="w-4 h-4 rounded text-emerald-500 focus:ring-emerald-500"
+              />
+              Save to My Foods for quick-add
+            </label>
+          )}
+
+          {error && (
+            <p className="text-sm text-red-500">{error}</p>
+          )}
+
+          <button
+            type="submit"
+            className="w-full py-3.5 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all"
+          >
+            Add Meal
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default AddMealModal
@@ -0,0 +1,150 @@
+import { useState } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { PROVIDERS, DEFAULT_PROVIDER_SETTINGS, TIMEOUT_OPTIONS } from '../utils/aiProviders'
+import { testConnection } from '../utils/foodAnalyzer'
+
+const inputClass = 'w-full px-3 py-2.5 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-sm text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent'
+
+/**
+ * Settings section for which AI service analyzes scans, with optional base URL and model overrides
+ */
+export function AiProviderSettings() {
+  const { aiProvider, saveAiProvider } = useAuth()
+  const [draft, setDraft] = useState(aiProvider)
+  const [error, setError] = useState('')
+  const [testing, setTesting] = useState(false)
+  const [testResult, setTestResult] = useState(null) // { success: boolean, error?: string }
+
+  const defaults = PROVIDERS[draft.provider] || PROVIDERS.anthropic
+
+  const save = async (next) => {
+    setError('')
+    setTestResult(null)
+    const result = await saveAiProvider(next)
+    if (!result.success) {
+      setError(result.error || 'Failed to save AI provider')
+    }
+  }
+
+  // Switching provider clears overrides meant for the previous one
+  const handleProviderChange = (provider) => {
+    const next = { ...draft, provider, baseUrl: '', model: '' }
+    setDraft(next)
+    save(next)
+  }
+
+  const handleTimeoutChange = (timeoutSeconds) => {
+    const next = { ...draft, timeoutSeconds }
+    setDraft(next)
+    save(next)
+  }
+
+  // Text fields are saved when they lose focus rather than on every keystroke
+  const handleBlur = () => {
+    const next = { ...draft, baseUrl: draft.baseUrl.trim(), model: draft.model.trim() }
+    if (next.baseUrl !== aiProvider.baseUrl || next.model !== aiProvider.model) {
+      setDraft(next)
+      save(next)
+    }
+  }
+
+  // Providers with an API key are tested from the key section instead
+  const handleTest = async () => {
+    setTesting(true)
+    setTestResult(null)
+    setTestResult(await testConnection({ ...draft, baseUrl: draft.baseUrl.trim(), model: draft.model.trim() }))
+    setTesting(false)
+  }
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">AI Provider</h3>
+
+      <select
+        value={draft.provider}
+        onChange={(e) => handleProviderChange(e.target.value)}
+        className={`${inputClass} mb-3`}
+      >
+        {Object.entries(PROVIDERS).map(([key, provider]) => (
+          <option key={key} value={key}>{provider.label}</option>
+        ))}
+      </select>
+
+      {defaults.protocol !== 'mock' && (
+        <div className="space-y-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Base URL</label>
+            <input
+              type="url"
+              placeholder={defaults.baseUrl}
+              value={draft.baseUrl}
+              onChange={(e) => setDraft({ ...draft, baseUrl: e.target.value })}
+              onBlur={handleBlur}
+              className={`${inputClass} font-mono`}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Model</label>
+            <input
+              type="text"
+              placeholder={defaults.model}
+              value={draft.model}
+              onChange={(e) => setDraft({ ...draft, model: e.target.value })}
+              onBlur={handleBlur}
+              className={`${inputClass} font-mono`}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Time limit</label>
+            <select
+              value={draft.timeoutSeconds}
+              onChange={(e) => handleTimeoutChange(Number(e.target.value))}
+              className={inputClass}
+            >
+              {TIMEOUT_OPTIONS.map(seconds => (
+                <option key={seconds} value={seconds}>
+                  {seconds < 60 ? `${seconds} seconds` : `${seconds / 60} minute${seconds > 60 ? 's' : ''}`}
+                  {seconds === DEFAULT_PROVIDER_SETTINGS.timeoutSeconds ? ' (recommended)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        {defaults.protocol === 'mock'
+          ? 'Scans return a fixed sample result without any network access. Useful for trying the app offline.'
+          : defaults.needsApiKey
+            ? 'Leave blank to use the defaults shown. The model must accept images for photo scanning. Each provider keeps its own API key.'
+            : 'Leave blank to use the defaults shown. The model must accept images for photo scanning. No API key is sent to local servers. Slow local models may need a longer time limit.'}
+      </p>
+
+      {defaults.protocol !== 'mock' && !defaults.needsApiKey && (
+        <button
+          onClick={handleTest}
+          disabled={testing}
+          className="mt-3 w-full py-2.5 border-2 border-emerald-200 dark:border-emerald-800 text-emerald-600 dark:text-emerald-400 font-semibold rounded-xl hover:bg-emerald-50 dark:hover:bg-emerald-900/20 transition-colors disabled:opacity-50"
+        >
+          {testing ? 'Testing...' : 'Test connection'}
+        </button>
+      )}
+
+      {testResult && (
+        <div className={`mt-2 p-2 rounded-lg text-sm ${
+          testResult.success
+            ? 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-700 dark:text-emerald-300'
+            : 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300'
+        }`}>
+          {testResult.success ? '✓ Connection works!' : `✗ ${testResult.error}`}
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-2 text-sm text-red-500">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default AiProviderSettings
@@ -0,0 +1,217 @@
+import { useState, useEffect } from 'react'
+import { getUsageSummary, clearUsageHistory, getUsageBudget, setUsageBudget, formatCost } from '../utils/apiUsage'
+import { getAnalysisCacheStats, clearAnalysisCache } from '../utils/analysisCache'
+import { getShortDayName, getDayNumber } from '../utils/dateUtils'
+import { formatBytes } from '../utils/fileUtils'
+
+// Recent days listed under the totals
+const RECENT_DAYS = 7
+
+const inputClass = 'px-3 py-2.5 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+
+// 950 -> "950", 12345 -> "12.3k"
+function formatTokens(count) {
+  return count < 1000 ? String(count) : `${(count / 1000).toFixed(1)}k`
+}
+
+function TotalsCard({ title, totals }) {
+  return (
+    <div className="flex-1 min-w-0 p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl">
+      <p className="text-xs text-gray-500 dark:text-gray-400">{title}</p>
+      <p className="text-lg font-semibold text-gray-800 dark:text-gray-100">{formatCost(totals.cost)}</p>
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        {totals.calls} {totals.calls === 1 ? 'call' : 'calls'} · {formatTokens(totals.inputTokens + totals.outputTokens)} tokens
+      </p>
+      {totals.failures > 0 && (
+        <p className="text-xs text-red-500">{totals.failures} failed</p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Settings section with AI request counts, tokens and estimated cost, and the monthly budget
+ */
+export function ApiUsage() {
+  const [summary, setSummary] = useState(null)
+  const [budget, setBudget] = useState(null)
+  const [limitInput, setLimitInput] = useState('')
+  const [refreshToken, setRefreshToken] = useState(0)
+  const [confirmClear, setConfirmClear] = useState(false)
+  const [cacheStats, setCacheStats] = useState(null) // { count, bytes, hits }
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        const [loadedSummary, loadedBudget, loadedCacheStats] = await Promise.all([
+          getUsageSummary(RECENT_DAYS),
+          getUsageBudget(),
+          getAnalysisCacheStats()
+        ])
+        if (!cancelled) {
+          setSummary(loadedSummary)
+          setBudget(loadedBudget)
+          setCacheStats(loadedCacheStats)
+          setLimitInput(loadedBudget.monthlyLimit > 0 ? String(loadedBudget.monthlyLimit) : '')
+        }
+      } catch (err) {
+        console.error('Failed to load API usage:', err)
+      }
+    }
+    load()
+
+    return () => {
+      cancelled = true
+    }
+  }, [refreshToken])
+
+  const saveBudget = async (next) => {
+    setBudget(next)
+    setError('')
+
+    try {
+      await setUsageBudget(next)
+    } catch (err) {
+      console.error('Failed to save budget:', err)
+      setError(err.message || 'Failed to save budget')
+    }
+  }
+
+  // A blank or zero limit turns the budget off
+  const handleLimitBlur = () => {
+    const monthlyLimit = Math.max(0, parseFloat(limitInput) || 0)
+    setLimitInput(monthlyLimit > 0 ? String(monthlyLimit) : '')
+    if (monthlyLimit !== budget.monthlyLimit) {
+      saveBudget({ ...budget, monthlyLimit })
+    }
+  }
+
+  const handleClear = async () => {
+    if (!confirmClear) {
+      setConfirmClear(true)
+      return
+    }
+
+    try {
+      await clearUsageHistory()
+      setRefreshToken(token => token + 1)
+    } catch (err) {
+      console.error('Failed to clear API usage:', err)
+      setError(err.message || 'Failed to clear usage history')
+    } finally {
+      setConfirmClear(false)
+    }
+  }
+
+  const handleClearCache = async () => {
+    try {
+      await clearAnalysisCache()
+      setCacheStats({ count: 0, bytes: 0, hits: 0 })
+    } catch (err) {
+      console.error('Failed to clear analysis cache:', err)
+      setError(err.message || 'Failed to clear saved results')
+    }
+  }
+
+  if (!summary || !budget) return null
+
+  const budgetPercent = budget.monthlyLimit > 0 ? Math.min((summary.month.cost / budget.monthlyLimit) * 100, 100) : 0
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">API Usage</h3>
+
+      <div className="flex gap-2 mb-3">
+        <TotalsCard title="Today" totals={summary.today} />
+        <TotalsCard title="This month" totals={summary.month} />
+      </div>
+
+      <ul className="mb-3 divide-y divide-gray-100 dark:divide-gray-700">
+        {summary.days.map(day => (
+          <li key={day.date} className="flex items-center justify-between py-1.5 text-xs text-gray-600 dark:text-gray-300">
+            <span className="w-16">{getShortDayName(day.date)} {getDayNumber(day.date)}</span>
+            <span className="flex-1 text-gray-500 dark:text-gray-400">
+              {day.calls > 0 ? `${day.calls} ${day.calls === 1 ? 'call' : 'calls'} · ${formatTokens(day.inputTokens + day.outputTokens)} tokens` : '—'}
+            </span>
+            <span className="font-medium">{day.calls > 0 ? formatCost(day.cost) : ''}</span>
+          </li>
+        ))}
+      </ul>
+
+      <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Monthly budget</label>
+      <div className="flex gap-2">
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          inputMode="decimal"
+          placeholder="No limit"
+          value={limitInput}
+          onChange={(e) => setLimitInput(e.target.value)}
+          onBlur={handleLimitBlur}
+          className={`${inputClass} w-28`}
+        />
+        <select
+          value={budget.action}
+          onChange={(e) => saveBudget({ ...budget, action: e.target.value })}
+          disabled={!budget.monthlyLimit}
+          className={`${inputClass} flex-1 min-w-0 disabled:opacity-50`}
+        >
+          <option value="warn">Warn when reached</option>
+          <option value="block">Block scanning when reached</option>
+        </select>
+      </div>
+
+      {budget.monthlyLimit > 0 && (
+        <div className="mt-2">
+          <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div
+              className={`h-full rounded-full ${budgetPercent >= 100 ? 'bg-red-500' : budgetPercent >= 80 ? 'bg-amber-500' : 'bg-emerald-500'}`}
+              style={{ width: `${budgetPercent}%` }}
+            />
+          </div>
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            {formatCost(summary.month.cost)} of {formatCost(budget.monthlyLimit)} used this month
+          </p>
+        </div>
+      )}
+
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        Costs are estimates from published per-token prices. Local and unknown models count as free.
+      </p>
+
+      {cacheStats?.count > 0 && (
+        <div className="mt-3 flex items-center justify-between gap-2 text-xs text-gray-500 dark:text-gray-400">
+          <span>
+            {cacheStats.count} saved {cacheStats.count === 1 ? 'result' : 'results'} ({formatBytes(cacheStats.bytes)})
+            {cacheStats.hits > 0 ? ` · reused ${cacheStats.hits} ${cacheStats.hits === 1 ? 'time' : 'times'}` : ''}
+          </span>
+          <button
+            onClick={handleClearCache}
+            className="font-medium hover:text-red-500"
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
+      {summary.month.calls > 0 && (
+        <button
+          onClick={handleClear}
+          className={`mt-2 text-xs font-medium ${confirmClear ? 'text-red-500' : 'text-gray-500 dark:text-gray-400 hover:text-red-500'}`}
+        >
+          {confirmClear ? 'Tap again to clear usage history' : 'Clear usage history'}
+        </button>
+      )}
+
+      {error && (
+        <p className="mt-2 text-sm text-red-500">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default ApiUsage
@@ -1,7 +1,7 @@
 import { useState, useEffect, useRef } from 'react'
 import { searchActivityHistory } from '../utils/db'
 
-export function CardioModal({ isOpen, onClose, onAddCardio, onDeleteCardio, cardio = [] }) {
+export function CardioModal({ isOpen, onClose, onAddCardio, onDeleteCardio, onEditCardio, cardio = [] }) {
   const [name, setName] = useState('')
   const [duration, setDuration] = useState('')
   const [caloriesBurned, setCaloriesBurned] = useState('')
@@ -161,7 +161,10 @@ export function CardioModal({ isOpen, onClose, onAddCardio, onDeleteCardio, card
                   key={c.id}
                   className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl"
                 >
-                  <div className="flex-1 min-w-0">
+                  <button
+                    onClick={() => onEditCardio?.(c)}
+                    className="flex-1 min-w-0 text-left"
+                  >
                     <p className="font-medium text-gray-800 dark:text-white truncate">
                       {c.name}
                     </p>
@@ -169,7 +172,7 @@ export function CardioModal({ isOpen, onClose, onAddCardio, onDeleteCardio, card
                       {c.caloriesBurned} cal burned
                       {c.duration > 0 && ` - ${c.duration} min`}
                     </p>
-                  </div>
+                  </button>
                   <button
                     onClick={() => onDeleteCardio(c.id)}
                     className="p-2 text-gray-400 hover:text-red-500 transition-colors"
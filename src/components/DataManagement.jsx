@@ -0,0 +1,600 @@
+import { useState, useRef } from 'react'
+import {
+  exportAllData,
+  backupFilename,
+  parseBackup,
+  previewImport,
+  importBackup,
+  encryptBackup,
+  isEncryptedBackup,
+  decryptBackup,
+  MIN_BACKUP_PASSPHRASE_LENGTH
+} from '../utils/backup'
+import { downloadFile, readFileAsText } from '../utils/fileUtils'
+import { exportCsvFiles } from '../utils/csvExport'
+import { parseTrackerCsv, planTrackerImport, applyTrackerImport } from '../utils/trackerImport'
+import { formatDateDisplay, getTodayPST, addDays } from '../utils/dateUtils'
+
+export function DataManagement({ onDataChanged }) {
+  const [exporting, setExporting] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  // Export passphrase state
+  const [showExportForm, setShowExportForm] = useState(false)
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmPassphrase, setConfirmPassphrase] = useState('')
+  const [exportUnencrypted, setExportUnencrypted] = useState(false)
+
+  // CSV export state
+  const [showCsvForm, setShowCsvForm] = useState(false)
+  const [csvStart, setCsvStart] = useState(() => addDays(getTodayPST(), -29))
+  const [csvEnd, setCsvEnd] = useState(() => getTodayPST())
+
+  // Encrypted import state
+  const [encryptedFile, setEncryptedFile] = useState(null)
+  const [decrypting, setDecrypting] = useState(false)
+
+  // Import preview state
+  const [pendingBackup, setPendingBackup] = useState(null)
+  const [preview, setPreview] = useState([])
+  const [strategies, setStrategies] = useState({}) // date -> 'merge' | 'replace'
+  const [importSettings, setImportSettings] = useState(false)
+  const fileInputRef = useRef(null)
+
+  // Other tracker import state
+  const [trackerFiles, setTrackerFiles] = useState([]) // [{ name, label, rows, skipped }]
+  const [trackerPlan, setTrackerPlan] = useState(null)
+  const trackerInputRef = useRef(null)
+
+  const conflicts = preview.filter(p => p.exists)
+  const newDays = preview.length - conflicts.length
+
+  const resetImport = () => {
+    setPendingBackup(null)
+    setPreview([])
+    setStrategies({})
+    setImportSettings(false)
+    setEncryptedFile(null)
+    setPassphrase('')
+  }
+
+  const resetExport = () => {
+    setShowExportForm(false)
+    setPassphrase('')
+    setConfirmPassphrase('')
+    setExportUnencrypted(false)
+  }
+
+  const handleExport = async () => {
+    setError('')
+    setMessage('')
+
+    if (!exportUnencrypted) {
+      if (passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+        setError(`Passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters`)
+        return
+      }
+      if (passphrase !== confirmPassphrase) {
+        setError('Passphrases do not match')
+        return
+      }
+    }
+
+    setExporting(true)
+
+    try {
+      const backup = await exportAllData()
+      if (exportUnencrypted) {
+        downloadFile(JSON.stringify(backup, null, 2), backupFilename('json'), 'application/json')
+      } else {
+        const encrypted = await encryptBackup(backup, passphrase)
+        downloadFile(encrypted, backupFilename('encrypted.json'), 'application/json')
+      }
+      setMessage(`Exported ${backup.data.dailyEntries.length} days${exportUnencrypted ? '' : ' (encrypted)'}`)
+      resetExport()
+    } catch (err) {
+      console.error('Export error:', err)
+      setError(err.message || 'Failed to export data')
+    }
+
+    setExporting(false)
+  }
+
+  const handleCsvExport = async () => {
+    setError('')
+    setMessage('')
+
+    if (!csvStart || !csvEnd || csvStart > csvEnd) {
+      setError('Start date must be on or before end date')
+      return
+    }
+
+    setExporting(true)
+
+    try {
+      const { days, files } = await exportCsvFiles(csvStart, csvEnd)
+      files.forEach(file => downloadFile(file.content, file.filename, 'text/csv;charset=utf-8'))
+      setMessage(`Exported ${days} days as CSV`)
+      setShowCsvForm(false)
+    } catch (err) {
+      console.error('CSV export error:', err)
+      setError(err.message || 'Failed to export CSV')
+    }
+
+    setExporting(false)
+  }
+
+  // Show the merge/replace preview for a validated backup
+  const showPreview = async (backup) => {
+    const summary = await previewImport(backup)
+
+    const defaults = {}
+    summary.filter(p => p.exists).forEach(p => { defaults[p.date] = 'merge' })
+
+    setPendingBackup(backup)
+    setPreview(summary)
+    setStrategies(defaults)
+  }
+
+  const handleDecrypt = async () => {
+    if (!encryptedFile || !passphrase) return
+
+    setDecrypting(true)
+    setError('')
+
+    try {
+      const backup = await decryptBackup(encryptedFile, passphrase)
+      setEncryptedFile(null)
+      setPassphrase('')
+      await showPreview(backup)
+    } catch (err) {
+      console.error('Backup decrypt error:', err)
+      setError(err.message || 'Failed to decrypt backup')
+    }
+
+    setDecrypting(false)
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setError('')
+    setMessage('')
+
+    try {
+      const text = await readFileAsText(file)
+      if (isEncryptedBackup(text)) {
+        // Ask for the passphrase before anything is parsed or written
+        setEncryptedFile(text)
+        setPassphrase('')
+        return
+      }
+      await showPreview(parseBackup(text))
+    } catch (err) {
+      console.error('Import parse error:', err)
+      setError(err.message || 'Failed to read backup file')
+    }
+  }
+
+  const setAllStrategies = (strategy) => {
+    const next = {}
+    conflicts.forEach(p => { next[p.date] = strategy })
+    setStrategies(next)
+  }
+
+  const resetTrackerImport = () => {
+    setTrackerFiles([])
+    setTrackerPlan(null)
+  }
+
+  const handleTrackerFiles = async (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (files.length === 0) return
+
+    setError('')
+    setMessage('')
+
+    try {
+      const parsed = []
+      for (const file of files) {
+        const result = parseTrackerCsv(await readFileAsText(file))
+        parsed.push({ ...result, name: file.name })
+      }
+
+      if (!parsed.some(f => f.formatId)) {
+        setError('None of these files look like a MyFitnessPal, Cronometer or Lose It! export')
+        return
+      }
+
+      setTrackerFiles(parsed)
+      setTrackerPlan(await planTrackerImport(parsed))
+    } catch (err) {
+      console.error('Tracker import parse error:', err)
+      setError(err.message || 'Failed to read export files')
+    }
+  }
+
+  const handleTrackerImport = async () => {
+    if (!trackerPlan) return
+
+    setImporting(true)
+    setError('')
+
+    try {
+      const result = await applyTrackerImport(trackerPlan)
+      setMessage(`Imported: ${result.created} new days, ${result.merged} merged`)
+      resetTrackerImport()
+      onDataChanged?.()
+    } catch (err) {
+      console.error('Tracker import error:', err)
+      setError(err.message || 'Failed to import data')
+    }
+
+    setImporting(false)
+  }
+
+  const handleImport = async () => {
+    if (!pendingBackup) return
+
+    setImporting(true)
+    setError('')
+
+    try {
+      const result = await importBackup(pendingBackup, { strategies, importSettings })
+      setMessage(`Imported: ${result.created} new, ${result.merged} merged, ${result.replaced} replaced`)
+      resetImport()
+      onDataChanged?.()
+    } catch (err) {
+      console.error('Import error:', err)
+      setError(err.message || 'Failed to import data')
+    }
+
+    setImporting(false)
+  }
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">Your Data</h3>
+
+      {showExportForm ? (
+        /* Export Passphrase */
+        <div className="space-y-3">
+          {!exportUnencrypted && (
+            <>
+              <input
+                type="password"
+                placeholder="Backup passphrase"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                autoFocus
+              />
+              <input
+                type="password"
+                placeholder="Confirm passphrase"
+                value={confirmPassphrase}
+                onChange={(e) => setConfirmPassphrase(e.target.value)}
+                className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                The backup is encrypted with AES-256-GCM. There is no way to recover a forgotten passphrase.
+              </p>
+            </>
+          )}
+
+          <label className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+            <input
+              type="checkbox"
+              checked={exportUnencrypted}
+              onChange={(e) => setExportUnencrypted(e.target.checked)}
+            />
+            Export without encryption (not recommended)
+          </label>
+
+          <div className="flex gap-3">
+            <button
+              onClick={resetExport}
+              className="flex-1 py-2.5 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={exporting || (!exportUnencrypted && !passphrase)}
+              className="flex-1 py-2.5 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+            >
+              {exporting ? 'Encrypting...' : 'Export'}
+            </button>
+          </div>
+        </div>
+      ) : showCsvForm ? (
+        /* CSV Date Range */
+        <div className="space-y-3">
+          <div className="flex gap-2">
+            <div className="flex-1">
+              <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">From</label>
+              <input
+                type="date"
+                value={csvStart}
+                max={csvEnd}
+                onChange={(e) => setCsvStart(e.target.value)}
+                className="w-full px-3 py-2 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              />
+            </div>
+            <div className="flex-1">
+              <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">To</label>
+              <input
+                type="date"
+                value={csvEnd}
+                min={csvStart}
+                onChange={(e) => setCsvEnd(e.target.value)}
+                className="w-full px-3 py-2 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Downloads three files: meals, exercises and cardio.
+          </p>
+          <div className="flex gap-3">
+            <button
+              onClick={() => setShowCsvForm(false)}
+              className="flex-1 py-2.5 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleCsvExport}
+              disabled={exporting}
+              className="flex-1 py-2.5 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+            >
+              {exporting ? 'Exporting...' : 'Export CSV'}
+            </button>
+          </div>
+        </div>
+      ) : encryptedFile ? (
+        /* Encrypted Import Passphrase */
+        <div className="space-y-3">
+          <p className="text-sm text-gray-700 dark:text-gray-300">This backup is encrypted. Enter its passphrase to continue.</p>
+          <input
+            type="password"
+            placeholder="Backup passphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleDecrypt()}
+            className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+            autoFocus
+          />
+          <div className="flex gap-3">
+            <button
+              onClick={resetImport}
+              className="flex-1 py-2.5 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleDecrypt}
+              disabled={decrypting || !passphrase}
+              className="flex-1 py-2.5 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+            >
+              {decrypting ? 'Decrypting...' : 'Unlock'}
+            </button>
+          </div>
+        </div>
+      ) : trackerPlan ? (
+        /* Tracker Import Dry Run */
+        <div className="space-y-3">
+          <ul className="space-y-1">
+            {trackerFiles.map((file) => (
+              <li key={file.name} className="flex justify-between text-xs">
+                <span className="text-gray-700 dark:text-gray-300 truncate mr-2">{file.name}</span>
+                {file.formatId ? (
+                  <span className="text-emerald-600 dark:text-emerald-400 whitespace-nowrap">{file.label}</span>
+                ) : (
+                  <span className="text-red-500 whitespace-nowrap">Not recognized</span>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-3 text-sm text-gray-700 dark:text-gray-300">
+            <p>
+              <span className="font-semibold">{trackerPlan.totals.newDays}</span> new days,{' '}
+              <span className="font-semibold">{trackerPlan.totals.mergedDays}</span> merged into existing days
+            </p>
+            <p>
+              <span className="font-semibold">{trackerPlan.totals.meals}</span> meals,{' '}
+              <span className="font-semibold">{trackerPlan.totals.exercises}</span> exercises,{' '}
+              <span className="font-semibold">{trackerPlan.totals.cardio}</span> cardio
+            </p>
+            {trackerPlan.totals.duplicates > 0 && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                {trackerPlan.totals.duplicates} items were already imported and will be skipped
+              </p>
+            )}
+            {trackerFiles.some(f => f.skipped > 0) && (
+              <p className="text-xs text-amber-600 dark:text-amber-400 mt-1">
+                {trackerFiles.reduce((sum, f) => sum + f.skipped, 0)} rows could not be read and will be skipped
+              </p>
+            )}
+          </div>
+
+          <ul className="space-y-1 max-h-40 overflow-y-auto">
+            {trackerPlan.days.slice().reverse().map((day) => (
+              <li
+                key={day.date}
+                className="flex items-center justify-between px-3 py-2 bg-gray-50 dark:bg-gray-700/50 rounded-lg text-xs"
+              >
+                <span className="text-gray-700 dark:text-gray-300">{formatDateDisplay(day.date)}</span>
+                <span className="text-gray-500 dark:text-gray-400">
+                  {day.meals} meals · {day.exercises + day.cardio} activities
+                  <span className={day.exists ? 'text-amber-600 dark:text-amber-400' : 'text-emerald-600 dark:text-emerald-400'}>
+                    {day.exists ? ' · merge' : ' · new'}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex gap-3">
+            <button
+              onClick={resetTrackerImport}
+              className="flex-1 py-2.5 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleTrackerImport}
+              disabled={importing || trackerPlan.totals.meals + trackerPlan.totals.exercises + trackerPlan.totals.cardio === 0}
+              className="flex-1 py-2.5 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </div>
+      ) : !pendingBackup ? (
+        <>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowExportForm(true)}
+              className="flex-1 py-2.5 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all"
+            >
+              Export
+            </button>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="flex-1 py-2.5 border-2 border-emerald-200 dark:border-emerald-800 text-emerald-600 dark:text-emerald-400 font-semibold rounded-xl hover:bg-emerald-50 dark:hover:bg-emerald-900/20 transition-colors"
+            >
+              Import
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+          </div>
+          <button
+            onClick={() => setShowCsvForm(true)}
+            className="w-full mt-2 py-2 text-emerald-600 dark:text-emerald-400 text-sm font-medium border border-emerald-200 dark:border-emerald-800 rounded-xl hover:bg-emerald-50 dark:hover:bg-emerald-900/20"
+          >
+            Export CSV for spreadsheets
+          </button>
+          <button
+            onClick={() => trackerInputRef.current?.click()}
+            className="w-full mt-2 py-2 text-emerald-600 dark:text-emerald-400 text-sm font-medium border border-emerald-200 dark:border-emerald-800 rounded-xl hover:bg-emerald-50 dark:hover:bg-emerald-900/20"
+          >
+            Import from MyFitnessPal, Cronometer or Lose It!
+          </button>
+          <input
+            ref={trackerInputRef}
+            type="file"
+            accept="text/csv,.csv"
+            multiple
+            onChange={handleTrackerFiles}
+            className="hidden"
+          />
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Meals, exercises, cardio, notes and goals as a passphrase-encrypted file. Your password and API key are not included.
+          </p>
+        </>
+      ) : (
+        /* Import Preview */
+        <div className="space-y-3">
+          <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-3 text-sm text-gray-700 dark:text-gray-300">
+            <p>
+              <span className="font-semibold">{preview.length}</span> days in backup:{' '}
+              <span className="font-semibold">{newDays}</span> new,{' '}
+              <span className="font-semibold">{conflicts.length}</span> already logged
+            </p>
+            {pendingBackup.skippedEntries > 0 && (
+              <p className="text-xs text-amber-600 dark:text-amber-400 mt-1">
+                {pendingBackup.skippedEntries} invalid entries will be skipped
+              </p>
+            )}
+          </div>
+
+          {conflicts.length > 0 && (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <p className="text-xs font-medium text-gray-500 dark:text-gray-400">Days already logged</p>
+                <div className="flex gap-2 text-xs">
+                  <button onClick={() => setAllStrategies('merge')} className="text-emerald-500 font-medium">
+                    Merge all
+                  </button>
+                  <button onClick={() => setAllStrategies('replace')} className="text-red-500 font-medium">
+                    Replace all
+                  </button>
+                </div>
+              </div>
+              <ul className="space-y-1 max-h-40 overflow-y-auto">
+                {conflicts.map((p) => (
+                  <li
+                    key={p.date}
+                    className="flex items-center justify-between px-3 py-2 bg-gray-50 dark:bg-gray-700/50 rounded-lg"
+                  >
+                    <span className="text-sm text-gray-700 dark:text-gray-300">{formatDateDisplay(p.date)}</span>
+                    <div className="flex rounded-lg overflow-hidden border border-gray-200 dark:border-gray-600 text-xs">
+                      {['merge', 'replace'].map((strategy) => (
+                        <button
+                          key={strategy}
+                          onClick={() => setStrategies({ ...strategies, [p.date]: strategy })}
+                          className={`px-2 py-1 capitalize ${
+                            strategies[p.date] === strategy
+                              ? strategy === 'replace' ? 'bg-red-500 text-white' : 'bg-emerald-500 text-white'
+                              : 'text-gray-500 dark:text-gray-400'
+                          }`}
+                        >
+                          {strategy}
+                        </button>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+            <input
+              type="checkbox"
+              checked={importSettings}
+              onChange={(e) => setImportSettings(e.target.checked)}
+            />
+            Also restore default calorie and macro goals
+          </label>
+
+          <div className="flex gap-3">
+            <button
+              onClick={resetImport}
+              className="flex-1 py-2.5 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={importing}
+              className="flex-1 py-2.5 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-2 text-sm text-red-500">{error}</p>
+      )}
+      {message && (
+        <p className="mt-2 text-sm text-emerald-600 dark:text-emerald-400">{message}</p>
+      )}
+    </div>
+  )
+}
+
+export default DataManagement
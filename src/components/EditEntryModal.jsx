@@ -0,0 +1,250 @@
+import { useState } from 'react'
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+// Entries logged just after midnight were once stored as "24:MM"
+function normalizeTime(time) {
+  return String(time).replace(/^24:/, '00:')
+}
+
+// Editable fields per entry kind. Numeric fields are validated as non-negative.
+const FIELDS = {
+  meal: [
+    { key: 'name', label: 'Meal Name', type: 'text', required: true },
+    { key: 'items', label: 'Food Items', type: 'text' },
+    { key: 'time', label: 'Time', type: 'time', required: true },
+    { key: 'totalCal', label: 'Calories', type: 'integer', required: true },
+    { key: 'protein', label: 'Protein (g)', type: 'decimal', group: 'macros' },
+    { key: 'carbs', label: 'Carbs (g)', type: 'decimal', group: 'macros' },
+    { key: 'fat', label: 'Fat (g)', type: 'decimal', group: 'macros' }
+  ],
+  exercise: [
+    { key: 'name', label: 'Exercise', type: 'text', required: true },
+    { key: 'time', label: 'Time', type: 'time', required: true },
+    { key: 'weight', label: 'Weight (lbs)', type: 'decimal', required: true, group: 'sets' },
+    { key: 'reps', label: 'Reps', type: 'integer', required: true, group: 'sets' },
+    { key: 'sets', label: 'Sets', type: 'integer', required: true, min: 1, group: 'sets' }
+  ],
+  cardio: [
+    { key: 'name', label: 'Activity', type: 'text', required: true },
+    { key: 'time', label: 'Time', type: 'time', required: true },
+    { key: 'duration', label: 'Duration (min)', type: 'integer', group: 'cardio' },
+    { key: 'caloriesBurned', label: 'Calories burned', type: 'integer', required: true, group: 'cardio' }
+  ]
+}
+
+const TITLES = {
+  meal: 'Edit Meal',
+  exercise: 'Edit Exercise',
+  cardio: 'Edit Cardio'
+}
+
+const ACCENTS = {
+  meal: 'focus:ring-emerald-500',
+  exercise: 'focus:ring-blue-500',
+  cardio: 'focus:ring-orange-500'
+}
+
+/**
+ * Validate form values and convert them to the stored types
+ * @returns {{updates?: object, error?: string}}
+ */
+function validate(kind, form) {
+  const updates = {}
+
+  for (const field of FIELDS[kind]) {
+    const raw = String(form[field.key] ?? '').trim()
+
+    if (!raw) {
+      if (field.required) return { error: `${field.label} is required` }
+      updates[field.key] = field.type === 'text' ? '' : 0
+      continue
+    }
+
+    if (field.type === 'text') {
+      updates[field.key] = raw
+    } else if (field.type === 'time') {
+      if (!TIME_PATTERN.test(raw)) return { error: 'Time must be in HH:MM format' }
+      updates[field.key] = raw
+    } else {
+      const value = field.type === 'integer' ? Number(raw) : parseFloat(raw)
+      if (!Number.isFinite(value) || value < (field.min ?? 0)) {
+        return { error: `${field.label} must be ${field.min ? `at least ${field.min}` : 'zero or more'}` }
+      }
+      if (field.type === 'integer' && !Number.isInteger(value)) {
+        return { error: `${field.label} must be a whole number` }
+      }
+      updates[field.key] = value
+    }
+  }
+
+  return { updates }
+}
+
+/**
+ * Edit a logged meal, exercise or cardio entry. Mount with a `key` of the item's id
+ * so the form is initialized from the item each time a different one is opened.
+ */
+export function EditEntryModal({ kind, item, onSave, onSaveToLibrary, onClose }) {
+  const [form, setForm] = useState(() => {
+    const initial = {}
+    FIELDS[kind].forEach(field => {
+      const value = item[field.key] ?? ''
+      initial[field.key] = field.type === 'time' ? normalizeTime(value) : value
+    })
+    return initial
+  })
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [savedToLibrary, setSavedToLibrary] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const { updates, error: validationError } = validate(kind, form)
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+
+    setSaving(true)
+    setError('')
+
+    try {
+      await onSave(updates)
+      onClose()
+    } catch (err) {
+      setError(err.message || 'Failed to save changes')
+      setSaving(false)
+    }
+  }
+
+  // Save the form's current values as a reusable food
+  const handleSaveToLibrary = async () => {
+    const { updates, error: validationError } = validate(kind, form)
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+
+    try {
+      await onSaveToLibrary({ ...item, ...updates })
+      setError('')
+      setSavedToLibrary(true)
+    } catch (err) {
+      setError(err.message || 'Failed to save to My Foods')
+    }
+  }
+
+  const inputClass = `w-full min-w-0 px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 ${ACCENTS[kind]} focus:border-transparent`
+
+  const renderInput = (field) => (
+    <input
+      type={field.type === 'text' || field.type === 'time' ? field.type : 'number'}
+      step={field.type === 'decimal' ? 'any' : undefined}
+      min={field.type === 'integer' || field.type === 'decimal' ? (field.min ?? 0) : undefined}
+      placeholder={field.label}
+      value={form[field.key]}
+      onChange={(e) => setForm({ ...form, [field.key]: e.target.value })}
+      className={inputClass}
+    />
+  )
+
+  // Render ungrouped fields on their own row, grouped fields side by side
+  const rows = []
+  FIELDS[kind].forEach(field => {
+    const last = rows[rows.length - 1]
+    if (field.group && last?.group === field.group) {
+      last.fields.push(field)
+    } else {
+      rows.push({ group: field.group, fields: [field] })
+    }
+  })
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-end justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-gray-800 w-full max-w-md rounded-t-3xl p-6 animate-slide-up max-h-[90vh] overflow-y-auto"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="w-12 h-1 bg-gray-300 dark:bg-gray-600 rounded-full mx-auto mb-4" />
+        <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">{TITLES[kind]}</h2>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {rows.map((row) => row.group ? (
+            <div key={row.group} className="flex gap-2">
+              {row.fields.map((field) => (
+                <div key={field.key} className="flex-1 min-w-0">
+                  <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+                    {field.label}
+                  </label>
+                  {renderInput(field)}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div key={row.fields[0].key}>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {row.fields[0].label}{row.fields[0].required && ' *'}
+              </label>
+              {renderInput(row.fields[0])}
+            </div>
+          ))}
+
+          {/* How a refined AI estimate got to its values */}
+          {kind === 'meal' && item.revisions?.length > 1 && (
+            <details className="text-sm text-gray-600 dark:text-gray-400">
+              <summary className="cursor-pointer font-medium">
+                Estimate history ({item.revisions.length - 1} {item.revisions.length === 2 ? 'revision' : 'revisions'})
+              </summary>
+              <ol className="mt-2 space-y-1">
+                {item.revisions.map(revision => (
+                  <li key={revision.at} className="p-2 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+                    <span className="block">{revision.message ? `"${revision.message}"` : 'Original estimate'}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {revision.result.totalCalories} cal · {revision.result.confidence} confidence
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            </details>
+          )}
+
+          {onSaveToLibrary && (
+            <button
+              type="button"
+              onClick={handleSaveToLibrary}
+              disabled={savedToLibrary}
+              className="text-sm font-medium text-emerald-600 dark:text-emerald-400 disabled:text-gray-400"
+            >
+              {savedToLibrary ? '✓ Saved to My Foods' : '⭐ Save to My Foods'}
+            </button>
+          )}
+
+          {error && (
+            <p className="text-sm text-red-500">{error}</p>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 py-3 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 py-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Changes'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default EditEntryModal
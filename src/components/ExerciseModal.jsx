@@ -1,7 +1,7 @@
 import { useState, useEffect, useRef } from 'react'
 import { searchExerciseHistory } from '../utils/db'
 
-export function ExerciseModal({ isOpen, onClose, onAddExercise, onDeleteExercise, exercises = [] }) {
+export function ExerciseModal({ isOpen, onClose, onAddExercise, onDeleteExercise, onEditExercise, exercises = [] }) {
   const [name, setName] = useState('')
   const [weight, setWeight] = useState('')
   const [reps, setReps] = useState('')
@@ -168,7 +168,10 @@ export function ExerciseModal({ isOpen, onClose, onAddExercise, onDeleteExercise
                   key={ex.id}
                   className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl"
                 >
-                  <div className="flex-1 min-w-0">
+                  <button
+                    onClick={() => onEditExercise?.(ex)}
+                    className="flex-1 min-w-0 text-left"
+                  >
                     <p className="font-medium text-gray-800 dark:text-white truncate">
                       {ex.name}
                     </p>
@@ -176,7 +179,7 @@ export function ExerciseModal({ isOpen, onClose, onAddExercise, onDeleteExercise
                       {ex.weight} lbs x {ex.reps} reps
                       {ex.sets > 1 && ` x ${ex.sets} sets`}
                     </p>
-                  </div>
+                  </button>
                   <button
                     onClick={() => onDeleteExercise(ex.id)}
                     className="p-2 text-gray-400 hover:text-red-500 transition-colors"
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react'
+import { searchSavedFoods, deleteSavedFood, formatServings } from '../utils/foodLibrary'
+
+// Servings change in half steps
+const SERVING_STEP = 0.5
+
+/**
+ * Quick-add picker for the saved foods library
+ * @param {Array<{food: object, servings: number}>} selections - Foods picked so far
+ * @param {function} onChange - Called with the new selections
+ */
+export function FoodPicker({ selections, onChange }) {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [pendingDeleteId, setPendingDeleteId] = useState(null)
+  const [refreshToken, setRefreshToken] = useState(0)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function search() {
+      const foods = await searchSavedFoods(query)
+      if (!cancelled) {
+        setResults(foods)
+      }
+    }
+    search()
+
+    return () => {
+      cancelled = true
+    }
+  }, [query, refreshToken])
+
+  const changeServings = (food, delta) => {
+    const existing = selections.find(s => s.food.id === food.id)
+    const servings = (existing?.servings || 0) + delta
+
+    if (servings <= 0) {
+      onChange(selections.filter(s => s.food.id !== food.id))
+    } else if (existing) {
+      onChange(selections.map(s => (s.food.id === food.id ? { ...s, servings } : s)))
+    } else {
+      onChange([...selections, { food, servings }])
+    }
+  }
+
+  // First tap arms the delete, second tap removes the food from the library.
+  // Only unselected foods can be deleted, so selections are unaffected.
+  const handleDelete = async (food) => {
+    if (pendingDeleteId !== food.id) {
+      setPendingDeleteId(food.id)
+      return
+    }
+
+    try {
+      await deleteSavedFood(food.id)
+      setPendingDeleteId(null)
+      setRefreshToken(token => token + 1)
+    } catch (err) {
+      console.error('Failed to delete saved food:', err)
+    }
+  }
+
+  const servingsOf = (food) => selections.find(s => s.food.id === food.id)?.servings || 0
+
+  return (
+    <div className="space-y-3">
+      <input
+        type="search"
+        placeholder="Search your foods"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        className="w-full px-4 py-2.5 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+      />
+
+      {results.length === 0 ? (
+        <p className="text-center py-3 text-sm text-gray-400">
+          {query
+            ? 'No saved foods match'
+            : 'No saved foods yet. Save foods from scan results, past meals or this form.'}
+        </p>
+      ) : (
+        <ul className="space-y-2 max-h-56 overflow-y-auto">
+          {results.map(food => {
+            const servings = servingsOf(food)
+            return (
+              <li
+                key={food.id}
+                className={`flex items-center gap-3 p-2 rounded-xl ${
+                  servings > 0 ? 'bg-emerald-50 dark:bg-emerald-900/20' : 'bg-gray-50 dark:bg-gray-700/50'
+                }`}
+              >
+                {food.thumbnail ? (
+                  <img src={food.thumbnail} alt="" className="w-10 h-10 rounded-lg object-cover flex-shrink-0" />
+                ) : (
+                  <div className="w-10 h-10 rounded-lg bg-gray-200 dark:bg-gray-600 flex items-center justify-center flex-shrink-0 text-lg">
+                    🍽️
+                  </div>
+                )}
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-800 dark:text-gray-100 truncate">{food.name}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {food.servingSize} · {food.calories} cal
+                  </p>
+                  {pendingDeleteId === food.id && (
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(food)}
+                      className="text-xs font-medium text-red-500"
+                    >
+                      Tap again to delete
+                    </button>
+                  )}
+                </div>
+                {servings > 0 ? (
+                  <div className="flex items-center gap-1">
+                    <button
+                      type="button"
+                      onClick={() => changeServings(food, -SERVING_STEP)}
+                      className="w-7 h-7 rounded-full bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 font-bold"
+                      title="Fewer servings"
+                    >
+                      −
+                    </button>
+                    <span className="w-8 text-center text-sm font-semibold text-emerald-600 dark:text-emerald-400">
+                      {formatServings(servings)}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => changeServings(food, SERVING_STEP)}
+                      className="w-7 h-7 rounded-full bg-emerald-500 text-white font-bold"
+                      title="More servings"
+                    >
+                      +
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-1">
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(food)}
+                      className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                      title="Remove from library"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => changeServings(food, 1)}
+                      className="px-3 py-1.5 rounded-lg bg-emerald-500 text-white text-sm font-semibold"
+                    >
+                      Add
+                    </button>
+                  </div>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default FoodPicker
@@ -1,82 +1,589 @@
-import { useState, useRef } from 'react'
-import { analyzeFoodImage, fileToBase64 } from '../utils/foodAnalyzer'
+import { useState, useRef, useEffect } from 'react'
+import { analyzeFoodImage, analyzeFoodText, analyzeNutritionLabel, refineFoodAnalysis } from '../utils/foodAnalyzer'
+import { prepareImageForUpload } from '../utils/imageCompression'
+import { resolveProvider } from '../utils/aiProviders'
+import { getBudgetStatus, formatCost } from '../utils/apiUsage'
+import { getAnalysisCacheKey, withAnalysisCache } from '../utils/analysisCache'
+import { getUploadSettings } from '../utils/db'
+import { formatBytes } from '../utils/fileUtils'
 import { useAuth } from '../contexts/AuthContext'
+import { saveMealPhoto } from '../utils/mealPhotos'
+import { saveFood, foodFromScanItem, foodFromLabel, createThumbnail, sumServings, formatServings } from '../utils/foodLibrary'
 
-export function FoodScanner({ isOpen, onClose, onAddMeal }) {
-  const { decryptedApiKey, hasApiKey } = useAuth()
-  const [step, setStep] = useState('capture') // 'capture' | 'analyzing' | 'results' | 'error'
-  const [imagePreview, setImagePreview] = useState(null)
+// Photos per meal scan; more rarely helps and makes the request slow
+const MAX_PHOTOS = 4
+
+// Servings eaten change in half steps
+const SERVING_STEP = 0.5
+
+// Label values shown per serving, scaled by servings eaten
+const LABEL_NUTRIENTS = [
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'sugar', label: 'Sugar', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' }
+]
+
+function scaleNutrient(value, servings, unit) {
+  const scaled = (Number(value) || 0) * servings
+  return unit === 'mg' ? Math.round(scaled) : Math.round(scaled * 10) / 10
+}
+
+// Portion multiplier for the whole scan, in quarter steps
+const PORTION_STEP = 0.25
+
+const EMPTY_FOOD = { name: '', portion: '', calories: '', protein: '', carbs: '', fat: '' }
+
+const inputClass = 'w-full min-w-0 px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white focus:ring-2 focus:ring-purple-500 focus:border-transparent'
+
+// Apply the portion multiplier to an edited row, turning form strings into numbers
+function scaleFood(food, multiplier) {
+  return {
+    name: food.name.trim(),
+    portion: multiplier === 1 ? food.portion : `${multiplier} × ${food.portion || 'portion'}`,
+    calories: Math.round((parseFloat(food.calories) || 0) * multiplier),
+    protein: scaleNutrient(parseFloat(food.protein), multiplier, 'g'),
+    carbs: scaleNutrient(parseFloat(food.carbs), multiplier, 'g'),
+    fat: scaleNutrient(parseFloat(food.fat), multiplier, 'g')
+  }
+}
+
+// Compress photos one at a time; decoding several camera photos at once can exhaust memory on phones
+async function prepareImages(files) {
+  const settings = await getUploadSettings()
+  const images = []
+  for (const file of files) {
+    images.push(await prepareImageForUpload(file, settings))
+  }
+  return images
+}
+
+function sumFoods(foods, key) {
+  return Math.round(foods.reduce((sum, food) => sum + food[key], 0) * 10) / 10
+}
+
+function FoodRowEditor({ food, onChange, onDone }) {
+  const update = (key, value) => onChange({ ...food, [key]: value })
+
+  return (
+    <div className="p-3 bg-purple-50 dark:bg-purple-900/20 rounded-xl space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          autoFocus
+          placeholder="Food name *"
+          value={food.name}
+          onChange={(e) => update('name', e.target.value)}
+          className={inputClass}
+        />
+        <input
+          type="text"
+          placeholder="Portion"
+          value={food.portion}
+          onChange={(e) => update('portion', e.target.value)}
+          className={`${inputClass} max-w-[7rem]`}
+        />
+      </div>
+      <div className="flex gap-2">
+        {[['calories', 'Cal'], ['protein', 'P (g)'], ['carbs', 'C (g)'], ['fat', 'F (g)']].map(([key, placeholder]) => (
+          <input
+            key={key}
+            type="number"
+            inputMode="decimal"
+            min="0"
+            placeholder={placeholder}
+            value={food[key]}
+            onChange={(e) => update(key, e.target.value)}
+            className={inputClass}
+          />
+        ))}
+      </div>
+      <button
+        onClick={onDone}
+        className="w-full py-2 bg-purple-500 text-white text-sm font-semibold rounded-lg hover:bg-purple-600"
+      >
+        Done
+      </button>
+    </div>
+  )
+}
+
+export function FoodScanner({ isOpen, onClose, onAddMeal, onQueueScan }) {
+  const { decryptedApiKey, hasApiKey, aiProvider } = useAuth()
+  const [step, setStep] = useState('capture') // 'capture' | 'photos' | 'describe' | 'analyzing' | 'results' | 'label' | 'error'
+  const [scanMode, setScanMode] = useState('meal') // 'meal' | 'label'
+  const [photos, setPhotos] = useState([]) // [{ file, previewUrl }]
+  const [beforeAfter, setBeforeAfter] = useState(false)
+  const [description, setDescription] = useState('')
   const [analysisResult, setAnalysisResult] = useState(null)
   const [error, setError] = useState(null)
+  const [resultFoods, setResultFoods] = useState([]) // editable copy of analysisResult.foods, each with a row key
+  const [editingKey, setEditingKey] = useState(null)
+  const [portionMultiplier, setPortionMultiplier] = useState(1)
+  const [savedFoodKeys, setSavedFoodKeys] = useState([])
+  const [analysisSource, setAnalysisSource] = useState(null) // { images, beforeAfter } or { description }
+  const [revisions, setRevisions] = useState([]) // [{ message, result, at }], first is the original estimate
+  const [showRefine, setShowRefine] = useState(false)
+  const [refineMessage, setRefineMessage] = useState('')
+  const [refining, setRefining] = useState(false)
+  const [refineError, setRefineError] = useState('')
+  const [labelResult, setLabelResult] = useState(null)
+  const [labelServings, setLabelServings] = useState(1)
+  const [saveLabelFood, setSaveLabelFood] = useState(true)
+  const [addingLabel, setAddingLabel] = useState(false)
+  const [addingMeal, setAddingMeal] = useState(false)
+  const [uploadStats, setUploadStats] = useState(null) // { count, originalSize, size, width, height }
+  const [canQueue, setCanQueue] = useState(false) // The analysis failed to reach the network
+  const [budgetStatus, setBudgetStatus] = useState(null) // { budget, spent, exceeded }
+  const [fromCache, setFromCache] = useState(false) // The result was reused from an earlier scan of the same photos
   const fileInputRef = useRef(null)
   const cameraInputRef = useRef(null)
+  const rowKeyRef = useRef(0)
+  const abortRef = useRef(null) // AbortController for the AI request in flight
+
+  const provider = resolveProvider(aiProvider)
+  const connection = { ...aiProvider, apiKey: decryptedApiKey }
+  const missingApiKey = provider.needsApiKey && !decryptedApiKey
+
+  // The first photo stands in for the scan in previews and library thumbnails
+  const imagePreview = photos[0]?.previewUrl || null
+
+  // Don't leave a request running after the scanner goes away
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  // Check the monthly API budget each time the scanner opens
+  useEffect(() => {
+    if (!isOpen) return
+    let cancelled = false
+
+    getBudgetStatus().then(status => {
+      if (!cancelled) {
+        setBudgetStatus(status)
+      }
+    }).catch(err => {
+      console.error('Failed to check API budget:', err)
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen])
+
+  // Each AI request gets a fresh signal; starting one cancels any still in flight
+  const startRequest = () => {
+    abortRef.current?.abort()
+    abortRef.current = new AbortController()
+    return abortRef.current.signal
+  }
+
+  const cancelRequest = () => {
+    abortRef.current?.abort()
+    abortRef.current = null
+  }
 
   const resetState = () => {
+    cancelRequest()
     setStep('capture')
-    setImagePreview(null)
+    photos.forEach(photo => URL.revokeObjectURL(photo.previewUrl))
+    setPhotos([])
+    setBeforeAfter(false)
+    setDescription('')
     setAnalysisResult(null)
     setError(null)
+    setResultFoods([])
+    setEditingKey(null)
+    setPortionMultiplier(1)
+    setSavedFoodKeys([])
+    setAnalysisSource(null)
+    setRevisions([])
+    setShowRefine(false)
+    setRefineMessage('')
+    setRefining(false)
+    setRefineError('')
+    setLabelResult(null)
+    setLabelServings(1)
+    setSaveLabelFood(true)
+    setAddingLabel(false)
+    setAddingMeal(false)
+    setUploadStats(null)
+    setCanQueue(false)
+    setFromCache(false)
   }
 
   const handleClose = () => {
     resetState()
+    setScanMode('meal')
     onClose()
   }
 
-  const handleImageSelect = async (file) => {
+  // Results are shown as editable rows; totals are recomputed from the rows.
+  // A new estimate replaces any edits made to the previous one.
+  const loadResult = (result) => {
+    setAnalysisResult(result)
+    setResultFoods((result.foods || []).map(food => ({
+      ...EMPTY_FOOD,
+      ...food,
+      key: ++rowKeyRef.current
+    })))
+    setEditingKey(null)
+    setPortionMultiplier(1)
+    setSavedFoodKeys([])
+  }
+
+  const showResult = (result, source) => {
+    loadResult(result)
+    setAnalysisSource(source)
+    setRevisions([{ message: null, result, at: Date.now() }])
+    setShowRefine(result.confidence === 'low')
+    setStep('results')
+  }
+
+  // Send extra context about the meal and replace the rows with the revised estimate
+  const handleRefine = async (e) => {
+    e.preventDefault()
+    const message = refineMessage.trim()
+    if (!message || refining) return
+
+    setRefining(true)
+    setRefineError('')
+    const signal = startRequest()
+
+    try {
+      const result = await refineFoodAnalysis(analysisSource, revisions, message, connection, { signal })
+      if (signal.aborted) return
+      setRevisions([...revisions, { message, result, at: Date.now() }])
+      loadResult(result)
+      setFromCache(false)
+      setRefineMessage('')
+    } catch (err) {
+      if (signal.aborted) return
+      console.error('Refine error:', err)
+      setRefineError(err.message || 'Failed to refine estimate')
+    } finally {
+      if (!signal.aborted) setRefining(false)
+    }
+  }
+
+  const handleCancelRefine = () => {
+    cancelRequest()
+    setRefining(false)
+  }
+
+  // Compress photos for the API, keeping the before/after sizes for the debug readout
+  const prepareUpload = async (files) => {
+    const images = await prepareImages(files)
+    setUploadStats({
+      count: images.length,
+      originalSize: images.reduce((sum, image) => sum + image.originalSize, 0),
+      size: images.reduce((sum, image) => sum + image.size, 0),
+      width: images[0].width,
+      height: images[0].height
+    })
+    return images
+  }
+
+  const renderUploadStats = () => uploadStats && !fromCache && (
+    <p className="mt-4 text-center text-xs text-gray-400 dark:text-gray-500">
+      Sent {uploadStats.count > 1 ? `${uploadStats.count} photos, ` : ''}{formatBytes(uploadStats.size)}
+      {' '}(original {formatBytes(uploadStats.originalSize)}) · {uploadStats.width}×{uploadStats.height}
+    </p>
+  )
+
+  // Shown in place of the upload stats when no request was sent
+  const renderCacheNotice = (onReanalyze) => fromCache && (
+    <div className="mt-4 text-center text-xs text-gray-400 dark:text-gray-500">
+      <p>Same photo as an earlier scan, so its result was reused without a new request.</p>
+      <button
+        onClick={onReanalyze}
+        className="mt-1 font-medium text-emerald-600 dark:text-emerald-400 hover:underline"
+      >
+        Re-analyze anyway
+      </button>
+    </div>
+  )
+
+  // Labels are read as soon as the photo is taken.
+  // refresh skips any cached result for the same photo.
+  const handleLabelSelect = async (file, { refresh = false } = {}) => {
     if (!file) return
 
     // Check for API key first
-    if (!decryptedApiKey) {
-      setError('Please add your Claude API key in Settings first.')
+    if (missingApiKey) {
+      setError(`Please add your ${provider.label} API key in Settings first.`)
       setStep('error')
       return
     }
 
+    const signal = startRequest()
     try {
-      // Create preview
-      const previewUrl = URL.createObjectURL(file)
-      setImagePreview(previewUrl)
+      // Create preview, replacing the previous one when re-analyzing
+      photos.forEach(photo => URL.revokeObjectURL(photo.previewUrl))
+      setPhotos([{ file, previewUrl: URL.createObjectURL(file) }])
       setStep('analyzing')
 
-      // Convert to base64 and analyze
-      const { base64, mediaType } = await fileToBase64(file)
-      const result = await analyzeFoodImage(base64, mediaType, decryptedApiKey)
+      // Compress and analyze, unless the same photo was read before
+      const images = await prepareUpload([file])
+      const [{ base64, mediaType }] = images
+      const key = await getAnalysisCacheKey(images, { provider, kind: 'label' })
+      const { result: label, cached } = await withAnalysisCache(
+        key,
+        () => analyzeNutritionLabel(base64, mediaType, connection, { signal }),
+        { refresh }
+      )
+      if (signal.aborted) return
+      setFromCache(cached)
+      setLabelResult(label)
+      setStep('label')
+    } catch (err) {
+      if (signal.aborted) return
+      console.error('Analysis error:', err)
+      setError(err.message || 'Failed to analyze image')
+      setStep('error')
+    }
+  }
+
+  // Meal photos are collected first so several angles, or a before and after, go in one request
+  const handleAddPhotos = (files) => {
+    const room = MAX_PHOTOS - photos.length
+    const added = files.slice(0, room).map(file => ({ file, previewUrl: URL.createObjectURL(file) }))
+    const next = [...photos, ...added]
+
+    setPhotos(next)
+    if (next.length !== 2) {
+      setBeforeAfter(false)
+    }
+    setStep('photos')
+  }
+
+  const handleRemovePhoto = (index) => {
+    URL.revokeObjectURL(photos[index].previewUrl)
+    const next = photos.filter((_, i) => i !== index)
+
+    setPhotos(next)
+    if (next.length !== 2) {
+      setBeforeAfter(false)
+    }
+    if (next.length === 0) {
+      setStep('capture')
+    }
+  }
 
-      setAnalysisResult(result)
-      setStep('results')
+  // Offline: keep the photos with a placeholder meal, to be analyzed once back online
+  const handleQueueScan = async () => {
+    setAddingMeal(true)
+
+    try {
+      const images = await prepareImages(photos.map(photo => photo.file))
+      await onQueueScan({ images, beforeAfter, photo: photos[0].file })
+      handleClose()
     } catch (err) {
+      console.error('Failed to queue scan:', err)
+      setError(err.message || 'Failed to save the scan for later')
+      setCanQueue(false)
+      setAddingMeal(false)
+      setStep('error')
+    }
+  }
+
+  // refresh skips any cached result for the same photos
+  const handleAnalyzePhotos = async ({ refresh = false } = {}) => {
+    if (photos.length === 0) return
+
+    if (!navigator.onLine && onQueueScan) {
+      handleQueueScan()
+      return
+    }
+
+    // Check for API key first
+    if (missingApiKey) {
+      setError(`Please add your ${provider.label} API key in Settings first.`)
+      setStep('error')
+      return
+    }
+
+    const signal = startRequest()
+    try {
+      setStep('analyzing')
+
+      // Compress and analyze, unless the same photos were analyzed before
+      const images = await prepareUpload(photos.map(photo => photo.file))
+      const key = await getAnalysisCacheKey(images, { provider, kind: 'meal', beforeAfter })
+      const { result, cached } = await withAnalysisCache(
+        key,
+        () => analyzeFoodImage(images, connection, { beforeAfter, signal }),
+        { refresh }
+      )
+      if (signal.aborted) return
+      setFromCache(cached)
+      showResult(result, { images, beforeAfter })
+    } catch (err) {
+      if (signal.aborted) return
       console.error('Analysis error:', err)
       setError(err.message || 'Failed to analyze image')
+      setCanQueue(!!err.isNetworkError && !!onQueueScan)
       setStep('error')
     }
   }
 
+  const handleDescribe = async (e) => {
+    e.preventDefault()
+    if (!description.trim()) return
+
+    if (missingApiKey) {
+      setError(`Please add your ${provider.label} API key in Settings first.`)
+      setStep('error')
+      return
+    }
+
+    const signal = startRequest()
+    try {
+      setStep('analyzing')
+      const result = await analyzeFoodText(description, connection, { signal })
+      if (signal.aborted) return
+      showResult(result, { description })
+    } catch (err) {
+      if (signal.aborted) return
+      console.error('Analysis error:', err)
+      setError(err.message || 'Failed to analyze description')
+      setStep('error')
+    }
+  }
+
+  // Back to whatever was being analyzed, so it can be changed or sent again
+  const returnToInput = () => {
+    if (description) {
+      setStep('describe')
+    } else if (scanMode === 'meal' && photos.length > 0) {
+      setStep('photos')
+    } else {
+      resetState()
+    }
+  }
+
+  const handleCancelAnalysis = () => {
+    cancelRequest()
+    returnToInput()
+  }
+
   const handleFileChange = (e) => {
-    const file = e.target.files?.[0]
-    if (file) {
-      handleImageSelect(file)
+    const files = Array.from(e.target.files || [])
+    // Clear the input so the same photo can be picked again after removing it
+    e.target.value = ''
+    if (files.length === 0) return
+
+    if (scanMode === 'label') {
+      handleLabelSelect(files[0])
+    } else {
+      handleAddPhotos(files)
+    }
+  }
+
+  // Rows as they will be logged, in the same order as resultFoods
+  const scaledFoods = resultFoods.map(food => scaleFood(food, portionMultiplier))
+  const totals = {
+    calories: scaledFoods.reduce((sum, food) => sum + food.calories, 0),
+    protein: sumFoods(scaledFoods, 'protein'),
+    carbs: sumFoods(scaledFoods, 'carbs'),
+    fat: sumFoods(scaledFoods, 'fat')
+  }
+
+  const handleFoodChange = (updated) => {
+    setResultFoods(resultFoods.map(food => (food.key === updated.key ? updated : food)))
+    // An edited row no longer matches what was saved
+    setSavedFoodKeys(savedFoodKeys.filter(key => key !== updated.key))
+  }
+
+  // Rows left without a name are dropped when editing finishes
+  const handleFoodDone = () => {
+    setResultFoods(resultFoods.filter(food => food.name.trim()))
+    setEditingKey(null)
+  }
+
+  const handleRemoveFood = (key) => {
+    setResultFoods(resultFoods.filter(food => food.key !== key))
+    if (editingKey === key) {
+      setEditingKey(null)
     }
   }
 
-  const handleAddAllToMeal = () => {
-    if (!analysisResult) return
+  const handleAddMissingFood = () => {
+    const key = ++rowKeyRef.current
+    setResultFoods([...resultFoods.filter(food => food.name.trim()), { ...EMPTY_FOOD, key }])
+    setEditingKey(key)
+  }
+
+  // Save detected items to the foods library as shown, with a thumbnail of the scanned photo
+  const handleSaveFoods = async (keys) => {
+    try {
+      const thumbnail = await createThumbnail(imagePreview)
+      for (const [index, food] of scaledFoods.entries()) {
+        if (keys.includes(resultFoods[index].key)) {
+          await saveFood(foodFromScanItem(food, thumbnail))
+        }
+      }
+      setSavedFoodKeys(prev => [...new Set([...prev, ...keys])])
+    } catch (err) {
+      console.error('Failed to save food:', err)
+    }
+  }
+
+  // Log the chosen servings of a label, saving the product first if asked so it can be re-added without a scan
+  const handleAddLabel = async () => {
+    if (!labelResult) return
+    setAddingLabel(true)
+
+    try {
+      let food = foodFromLabel(labelResult)
+      if (saveLabelFood) {
+        food = await saveFood({ ...food, thumbnail: await createThumbnail(imagePreview) })
+      }
+
+      const meal = sumServings([{ food, servings: labelServings }])
+      await onAddMeal({ name: food.name, ...meal })
+      handleClose()
+    } catch (err) {
+      console.error('Failed to add label:', err)
+      setError(err.message || 'Failed to add label')
+      setStep('error')
+    }
+  }
+
+  const handleAddAllToMeal = async () => {
+    const foods = scaledFoods.filter(food => food.name)
+    if (foods.length === 0) return
+    setAddingMeal(true)
+
+    // Keep the first photo with the meal. A failed save shouldn't lose the meal itself.
+    let photoId = null
+    if (photos.length > 0) {
+      try {
+        photoId = await saveMealPhoto(photos[0].file)
+      } catch (err) {
+        console.error('Failed to save meal photo:', err)
+      }
+    }
 
     // Create a meal with all the food items
-    const mealName = analysisResult.foods.length === 1
-      ? analysisResult.foods[0].name
-      : `Scanned Meal (${analysisResult.foods.length} items)`
+    const mealName = foods.length === 1
+      ? foods[0].name
+      : `${imagePreview ? 'Scanned' : 'Described'} Meal (${foods.length} items)`
 
-    const items = analysisResult.foods.map(f => `${f.name} (${f.portion})`).join(', ')
+    const items = foods.map(f => `${f.name} (${f.portion})`).join(', ')
 
     onAddMeal({
       name: mealName,
       items: items,
-      totalCal: analysisResult.totalCalories,
+      totalCal: totals.calories,
       // Store extra nutrition data
-      protein: analysisResult.totalProtein,
-      carbs: analysisResult.totalCarbs,
-      fat: analysisResult.totalFat
+      protein: totals.protein,
+      carbs: totals.carbs,
+      fat: totals.fat,
+      foods,
+      // Keep how the estimate was reached when it was refined
+      revisions: revisions.length > 1 ? revisions : null,
+      photoId
     })
 
     handleClose()
@@ -92,12 +599,50 @@ export function FoodScanner({ isOpen, onClose, onAddMeal }) {
       >
         <div className="w-12 h-1 bg-gray-300 dark:bg-gray-600 rounded-full mx-auto mb-4" />
 
+        {/* Photo inputs stay mounted so photos can be added from the capture and photos steps */}
+        <input
+          ref={cameraInputRef}
+          type="file"
+          accept="image/*"
+          capture="environment"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          multiple={scanMode === 'meal'}
+          onChange={handleFileChange}
+          className="hidden"
+        />
+
         {/* Capture Step */}
         {step === 'capture' && (
           <>
             <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">Scan Food</h2>
+
+            {/* Mode Toggle */}
+            <div className="flex p-1 mb-4 bg-gray-100 dark:bg-gray-700 rounded-xl">
+              {[['meal', 'Meal photo'], ['label', 'Nutrition label']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => setScanMode(mode)}
+                  className={`flex-1 py-2 text-sm font-medium rounded-lg transition-colors ${
+                    scanMode === mode
+                      ? 'bg-white dark:bg-gray-800 text-gray-800 dark:text-white shadow-sm'
+                      : 'text-gray-500 dark:text-gray-400'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
             <p className="text-gray-500 dark:text-gray-400 text-sm mb-6">
-              Take a photo or choose an image of your food to automatically detect calories and nutrition.
+              {scanMode === 'label'
+                ? 'Photograph the nutrition facts panel on a package. You choose how many servings you ate.'
+                : 'Take a photo or choose an image of your food to automatically detect calories and nutrition. Add more angles, or a before and after shot for leftovers, before analyzing.'}
             </p>
 
             <div className="space-y-3">
@@ -117,14 +662,6 @@ export function FoodScanner({ isOpen, onClose, onAddMeal }) {
                   <p className="text-sm text-gray-500 dark:text-gray-400">Use your camera</p>
                 </div>
               </button>
-              <input
-                ref={cameraInputRef}
-                type="file"
-                accept="image/*"
-                capture="environment"
-                onChange={handleFileChange}
-                className="hidden"
-              />
 
               {/* Gallery Button */}
               <button
@@ -141,27 +678,168 @@ export function FoodScanner({ isOpen, onClose, onAddMeal }) {
                   <p className="text-sm text-gray-500 dark:text-gray-400">From your gallery</p>
                 </div>
               </button>
-              <input
-                ref={fileInputRef}
-                type="file"
-                accept="image/*"
-                onChange={handleFileChange}
-                className="hidden"
-              />
+
+              {/* Describe Button */}
+              {scanMode === 'meal' && (
+                <button
+                  onClick={() => setStep('describe')}
+                  className="w-full flex items-center gap-4 p-4 bg-sky-50 dark:bg-sky-900/20 border-2 border-sky-200 dark:border-sky-800 rounded-2xl hover:bg-sky-100 dark:hover:bg-sky-900/30 transition-colors"
+                >
+                  <div className="w-12 h-12 bg-sky-500 rounded-full flex items-center justify-center">
+                    <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+                    </svg>
+                  </div>
+                  <div className="text-left">
+                    <p className="font-semibold text-gray-800 dark:text-white">Describe It</p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Type what you ate</p>
+                  </div>
+                </button>
+              )}
             </div>
 
-            {!decryptedApiKey && (
+            {missingApiKey && (
               <div className="mt-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-xl p-3">
                 <p className="text-xs text-amber-700 dark:text-amber-300">
                   {hasApiKey
                     ? '⚠️ API key is encrypted. Please re-login with your password to unlock scanning.'
-                    : '⚠️ API key required. Add your Claude API key in Settings to use food scanning.'}
+                    : `⚠️ API key required. Add your ${provider.label} API key in Settings to use food scanning.`}
+                </p>
+              </div>
+            )}
+
+            {budgetStatus?.exceeded && (
+              <div className={`mt-4 rounded-xl p-3 border ${
+                budgetStatus.budget.action === 'block'
+                  ? 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800'
+                  : 'bg-amber-50 dark:bg-amber-900/20 border-amber-200 dark:border-amber-800'
+              }`}>
+                <p className={`text-xs ${budgetStatus.budget.action === 'block' ? 'text-red-700 dark:text-red-300' : 'text-amber-700 dark:text-amber-300'}`}>
+                  {budgetStatus.budget.action === 'block'
+                    ? `🚫 This month's API budget of ${formatCost(budgetStatus.budget.monthlyLimit)} is used up. Scanning is paused until next month, or raise the budget in Settings.`
+                    : `⚠️ ${formatCost(budgetStatus.spent)} spent on scans this month, over your ${formatCost(budgetStatus.budget.monthlyLimit)} budget.`}
                 </p>
               </div>
             )}
           </>
         )}
 
+        {/* Photos Step */}
+        {step === 'photos' && (
+          <>
+            <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-2">Meal Photos</h2>
+            <p className="text-gray-500 dark:text-gray-400 text-sm mb-4">
+              {beforeAfter
+                ? 'The estimate will cover only what was eaten: the first photo as served, the second as left.'
+                : 'Add other angles of the same meal for a better estimate.'}
+            </p>
+
+            <div className="grid grid-cols-2 gap-3 mb-4">
+              {photos.map((photo, index) => (
+                <div key={photo.previewUrl} className="relative">
+                  <img
+                    src={photo.previewUrl}
+                    alt={`Meal photo ${index + 1}`}
+                    className="w-full h-32 object-cover rounded-2xl"
+                  />
+                  {beforeAfter && (
+                    <span className="absolute bottom-2 left-2 px-2 py-0.5 rounded-full bg-black/60 text-white text-xs font-medium">
+                      {index === 0 ? 'Before' : 'After'}
+                    </span>
+                  )}
+                  <button
+                    onClick={() => handleRemovePhoto(index)}
+                    className="absolute top-2 right-2 w-7 h-7 rounded-full bg-black/60 text-white flex items-center justify-center"
+                    title="Remove photo"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+              {photos.length < MAX_PHOTOS && (
+                <div className="flex flex-col gap-2">
+                  <button
+                    onClick={() => cameraInputRef.current?.click()}
+                    className="flex-1 rounded-2xl border-2 border-dashed border-purple-200 dark:border-purple-800 text-sm font-medium text-purple-600 dark:text-purple-400 hover:bg-purple-50 dark:hover:bg-purple-900/20"
+                  >
+                    + Take photo
+                  </button>
+                  <button
+                    onClick={() => fileInputRef.current?.click()}
+                    className="flex-1 rounded-2xl border-2 border-dashed border-emerald-200 dark:border-emerald-800 text-sm font-medium text-emerald-600 dark:text-emerald-400 hover:bg-emerald-50 dark:hover:bg-emerald-900/20"
+                  >
+                    + From gallery
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {photos.length === 2 && (
+              <label className="flex items-center gap-2 mb-4 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={beforeAfter}
+                  onChange={(e) => setBeforeAfter(e.target.checked)}
+                  className="w-4 h-4 rounded text-purple-500 focus:ring-purple-500"
+                />
+                Before &amp; after — I didn&apos;t finish everything
+              </label>
+            )}
+
+            <div className="flex gap-3">
+              <button
+                onClick={resetState}
+                className="flex-1 py-3 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => handleAnalyzePhotos()}
+                disabled={addingMeal}
+                className="flex-1 py-3 bg-purple-500 text-white font-semibold rounded-xl hover:bg-purple-600 active:scale-[0.98] transition-all disabled:opacity-50"
+              >
+                {addingMeal ? 'Saving for later...' : `Analyze ${photos.length > 1 ? `${photos.length} Photos` : 'Photo'}`}
+              </button>
+            </div>
+          </>
+        )}
+
+        {/* Describe Step */}
+        {step === 'describe' && (
+          <form onSubmit={handleDescribe}>
+            <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-2">Describe Your Meal</h2>
+            <p className="text-gray-500 dark:text-gray-400 text-sm mb-4">
+              List what you ate, with amounts if you know them.
+            </p>
+            <textarea
+              autoFocus
+              rows={4}
+              placeholder="e.g., 2 scrambled eggs, a slice of sourdough with butter, black coffee"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white resize-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+            />
+            <div className="flex gap-3 mt-4">
+              <button
+                type="button"
+                onClick={() => setStep('capture')}
+                className="flex-1 py-3 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+              >
+                Back
+              </button>
+              <button
+                type="submit"
+                disabled={!description.trim()}
+                className="flex-1 py-3 bg-sky-500 text-white font-semibold rounded-xl hover:bg-sky-600 active:scale-[0.98] transition-all disabled:opacity-50"
+              >
+                Analyze
+              </button>
+            </div>
+          </form>
+        )}
+
         {/* Analyzing Step */}
         {step === 'analyzing' && (
           <div className="text-center py-8">
@@ -176,11 +854,19 @@ export function FoodScanner({ isOpen, onClose, onAddMeal }) {
             )}
             <div className="w-12 h-12 border-3 border-purple-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
             <h3 className="text-lg font-semibold text-gray-800 dark:text-white mb-2">
-              Analyzing your food...
+              {scanMode === 'label' ? 'Reading the label...' : 'Analyzing your food...'}
             </h3>
             <p className="text-sm text-gray-500 dark:text-gray-400">
-              AI is identifying items and calculating nutrition
+              {scanMode === 'label'
+                ? 'AI is reading the serving size and nutrition facts'
+                : 'AI is identifying items and calculating nutrition'}
             </p>
+            <button
+              onClick={handleCancelAnalysis}
+              className="mt-6 px-6 py-2.5 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Cancel
+            </button>
           </div>
         )}
 
@@ -189,7 +875,7 @@ export function FoodScanner({ isOpen, onClose, onAddMeal }) {
           <>
             <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">Analysis Results</h2>
 
-            {imagePreview && (
+            {photos.length === 1 && (
               <div className="mb-4">
                 <img
                   src={imagePreview}
@@ -199,6 +885,31 @@ export function FoodScanner({ isOpen, onClose, onAddMeal }) {
               </div>
             )}
 
+            {photos.length > 1 && (
+              <div className="flex gap-2 mb-4 overflow-x-auto">
+                {photos.map((photo, index) => (
+                  <div key={photo.previewUrl} className="relative flex-shrink-0">
+                    <img
+                      src={photo.previewUrl}
+                      alt={`Analyzed food ${index + 1}`}
+                      className="w-28 h-28 object-cover rounded-2xl"
+                    />
+                    {beforeAfter && (
+                      <span className="absolute bottom-2 left-2 px-2 py-0.5 rounded-full bg-black/60 text-white text-xs font-medium">
+                        {index === 0 ? 'Before' : 'After'}
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {!imagePreview && description && (
+              <div className="mb-4 bg-sky-50 dark:bg-sky-900/20 rounded-xl p-3">
+                <p className="text-sm text-gray-700 dark:text-gray-300 italic">"{description}"</p>
+              </div>
+            )}
+
             {/* Confidence Badge */}
             <div className="flex items-center gap-2 mb-4">
               <span className={`px-3 py-1 rounded-full text-xs font-medium ${
@@ -210,50 +921,197 @@ export function FoodScanner({ isOpen, onClose, onAddMeal }) {
               }`}>
                 {analysisResult.confidence} confidence
               </span>
+              {revisions.length > 1 && (
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  Revised {revisions.length - 1} {revisions.length === 2 ? 'time' : 'times'}
+                </span>
+              )}
             </div>
 
+            {/* Refine Chat */}
+            {showRefine ? (
+              <div className="mb-4 p-3 bg-sky-50 dark:bg-sky-900/20 rounded-xl space-y-2">
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-300">Refine the estimate</p>
+                {revisions.slice(1).map(revision => (
+                  <div key={revision.at} className="space-y-1">
+                    <p className="ml-8 px-3 py-2 bg-sky-500 text-white text-sm rounded-xl rounded-br-sm">
+                      {revision.message}
+                    </p>
+                    <p className="mr-8 px-3 py-2 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 text-sm rounded-xl rounded-bl-sm">
+                      Updated to {revision.result.totalCalories} cal · {revision.result.confidence} confidence
+                      {revision.result.notes && (
+                        <span className="block text-xs text-gray-500 dark:text-gray-400 mt-1">{revision.result.notes}</span>
+                      )}
+                    </p>
+                  </div>
+                ))}
+                <form onSubmit={handleRefine} className="flex gap-2">
+                  <input
+                    type="text"
+                    placeholder="e.g., the rice was brown, about 1 cup"
+                    value={refineMessage}
+                    onChange={(e) => setRefineMessage(e.target.value)}
+                    disabled={refining}
+                    className={inputClass}
+                  />
+                  {refining ? (
+                    <button
+                      type="button"
+                      onClick={handleCancelRefine}
+                      className="px-4 py-2 border border-sky-300 dark:border-sky-700 text-sky-600 dark:text-sky-400 text-sm font-semibold rounded-lg"
+                      title="Stop refining"
+                    >
+                      Stop
+                    </button>
+                  ) : (
+                    <button
+                      type="submit"
+                      disabled={!refineMessage.trim()}
+                      className="px-4 py-2 bg-sky-500 text-white text-sm font-semibold rounded-lg hover:bg-sky-600 disabled:opacity-50"
+                    >
+                      Send
+                    </button>
+                  )}
+                </form>
+                {refineError && (
+                  <p className="text-sm text-red-500">{refineError}</p>
+                )}
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  A revised estimate replaces any edits below.
+                </p>
+              </div>
+            ) : (
+              <button
+                onClick={() => setShowRefine(true)}
+                className="block mb-4 text-sm font-medium text-sky-600 dark:text-sky-400"
+              >
+                💬 Add details to refine this estimate
+              </button>
+            )}
+
             {/* Total Summary */}
             <div className="bg-gradient-to-br from-purple-500 to-purple-600 rounded-2xl p-4 text-white mb-4">
               <p className="text-purple-100 text-sm mb-1">Total Calories</p>
-              <p className="text-3xl font-bold">{analysisResult.totalCalories} cal</p>
+              <p className="text-3xl font-bold">{totals.calories} cal</p>
               <div className="flex gap-4 mt-3 text-sm">
                 <div>
                   <p className="text-purple-200">Protein</p>
-                  <p className="font-semibold">{analysisResult.totalProtein}g</p>
+                  <p className="font-semibold">{totals.protein}g</p>
                 </div>
                 <div>
                   <p className="text-purple-200">Carbs</p>
-                  <p className="font-semibold">{analysisResult.totalCarbs}g</p>
+                  <p className="font-semibold">{totals.carbs}g</p>
                 </div>
                 <div>
                   <p className="text-purple-200">Fat</p>
-                  <p className="font-semibold">{analysisResult.totalFat}g</p>
+                  <p className="font-semibold">{totals.fat}g</p>
                 </div>
               </div>
             </div>
 
+            {/* Portion Multiplier */}
+            <div className="flex items-center justify-between p-3 mb-4 bg-gray-50 dark:bg-gray-700/50 rounded-xl">
+              <div>
+                <p className="font-medium text-gray-700 dark:text-gray-300">Portion</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">Scale every item at once</p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setPortionMultiplier(Math.max(PORTION_STEP, portionMultiplier - PORTION_STEP))}
+                  disabled={portionMultiplier <= PORTION_STEP}
+                  className="w-8 h-8 rounded-full bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 font-bold disabled:opacity-50"
+                  title="Smaller portion"
+                >
+                  −
+                </button>
+                <span className="w-12 text-center font-semibold text-purple-600 dark:text-purple-400">
+                  {portionMultiplier}×
+                </span>
+                <button
+                  onClick={() => setPortionMultiplier(portionMultiplier + PORTION_STEP)}
+                  className="w-8 h-8 rounded-full bg-purple-500 text-white font-bold"
+                  title="Larger portion"
+                >
+                  +
+                </button>
+              </div>
+            </div>
+
             {/* Food Items List */}
             <div className="mb-4">
-              <h3 className="font-medium text-gray-700 dark:text-gray-300 mb-2">Detected Items</h3>
-              <ul className="space-y-2">
-                {analysisResult.foods.map((food, index) => (
-                  <li
-                    key={index}
-                    className="flex justify-between items-center p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl"
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-medium text-gray-700 dark:text-gray-300">Detected Items</h3>
+                {resultFoods.some(food => food.name.trim() && !savedFoodKeys.includes(food.key)) && (
+                  <button
+                    onClick={() => handleSaveFoods(resultFoods.filter(food => food.name.trim()).map(food => food.key))}
+                    className="text-xs font-medium text-purple-600 dark:text-purple-400"
                   >
-                    <div>
-                      <p className="font-medium text-gray-800 dark:text-white">{food.name}</p>
-                      <p className="text-xs text-gray-500 dark:text-gray-400">{food.portion}</p>
-                    </div>
-                    <div className="text-right">
-                      <p className="font-semibold text-purple-600 dark:text-purple-400">{food.calories} cal</p>
-                      <p className="text-xs text-gray-500 dark:text-gray-400">
-                        P:{food.protein}g C:{food.carbs}g F:{food.fat}g
-                      </p>
-                    </div>
-                  </li>
-                ))}
+                    Save all to My Foods
+                  </button>
+                )}
+              </div>
+              <ul className="space-y-2">
+                {resultFoods.map((food, index) => {
+                  if (food.key === editingKey) {
+                    return (
+                      <li key={food.key}>
+                        <FoodRowEditor food={food} onChange={handleFoodChange} onDone={handleFoodDone} />
+                      </li>
+                    )
+                  }
+
+                  const scaled = scaledFoods[index]
+                  const isSaved = savedFoodKeys.includes(food.key)
+                  return (
+                    <li
+                      key={food.key}
+                      className="flex justify-between items-center gap-2 p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl"
+                    >
+                      <button
+                        onClick={() => setEditingKey(food.key)}
+                        className="flex-1 min-w-0 text-left"
+                        title="Edit item"
+                      >
+                        <p className="font-medium text-gray-800 dark:text-white truncate">{scaled.name}</p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{scaled.portion}</p>
+                      </button>
+                      <div className="flex items-center gap-1">
+                        <div className="text-right">
+                          <p className="font-semibold text-purple-600 dark:text-purple-400">{scaled.calories} cal</p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            P:{scaled.protein}g C:{scaled.carbs}g F:{scaled.fat}g
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => handleSaveFoods([food.key])}
+                          disabled={isSaved}
+                          className="p-1.5 text-gray-400 hover:text-purple-500 disabled:text-purple-500 transition-colors"
+                          title={isSaved ? 'Saved to My Foods' : 'Save to My Foods'}
+                        >
+                          <svg className="w-4 h-4" fill={isSaved ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                          </svg>
+                        </button>
+                        <button
+                          onClick={() => handleRemoveFood(food.key)}
+                          className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                          title="Remove item"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </div>
+                    </li>
+                  )
+                })}
               </ul>
+              <button
+                onClick={handleAddMissingFood}
+                className="w-full mt-2 py-2 text-purple-600 dark:text-purple-400 text-sm font-medium border border-dashed border-purple-200 dark:border-purple-800 rounded-xl hover:bg-purple-50 dark:hover:bg-purple-900/20"
+              >
+                + Add missing item
+              </button>
             </div>
 
             {/* Notes */}
@@ -271,15 +1129,146 @@ export function FoodScanner({ isOpen, onClose, onAddMeal }) {
                 onClick={resetState}
                 className="flex-1 py-3 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
               >
-                Scan Again
+                {imagePreview ? 'Scan Again' : 'Start Over'}
               </button>
               <button
                 onClick={handleAddAllToMeal}
-                className="flex-1 py-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all"
+                disabled={addingMeal || !scaledFoods.some(food => food.name)}
+                className="flex-1 py-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+              >
+                {addingMeal ? 'Adding...' : 'Add to Log'}
+              </button>
+            </div>
+
+            {renderUploadStats()}
+            {renderCacheNotice(() => handleAnalyzePhotos({ refresh: true }))}
+          </>
+        )}
+
+        {/* Label Step */}
+        {step === 'label' && labelResult && (
+          <>
+            <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">Nutrition Label</h2>
+
+            <div className="flex items-center gap-3 mb-4">
+              {imagePreview && (
+                <img
+                  src={imagePreview}
+                  alt="Nutrition label"
+                  className="w-16 h-16 object-cover rounded-xl flex-shrink-0"
+                />
+              )}
+              <div className="min-w-0">
+                <p className="font-semibold text-gray-800 dark:text-white truncate">{labelResult.productName}</p>
+                {labelResult.brand && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400 truncate">{labelResult.brand}</p>
+                )}
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Serving: {labelResult.servingSize || '1 serving'}
+                  {labelResult.servingsPerContainer > 0 && ` · ${labelResult.servingsPerContainer} per container`}
+                </p>
+              </div>
+            </div>
+
+            {labelResult.confidence && labelResult.confidence !== 'high' && (
+              <div className="mb-4">
+                <span className={`px-3 py-1 rounded-full text-xs font-medium ${
+                  labelResult.confidence === 'medium'
+                    ? 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400'
+                    : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
+                }`}>
+                  {labelResult.confidence} confidence — check against the package
+                </span>
+              </div>
+            )}
+
+            {/* Servings Eaten */}
+            <div className="flex items-center justify-between p-3 mb-4 bg-gray-50 dark:bg-gray-700/50 rounded-xl">
+              <div>
+                <p className="font-medium text-gray-700 dark:text-gray-300">Servings eaten</p>
+                {labelResult.servingsPerContainer > 0 && labelServings !== labelResult.servingsPerContainer && (
+                  <button
+                    onClick={() => setLabelServings(labelResult.servingsPerContainer)}
+                    className="text-xs font-medium text-purple-600 dark:text-purple-400"
+                  >
+                    Whole package
+                  </button>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setLabelServings(Math.max(SERVING_STEP, labelServings - SERVING_STEP))}
+                  disabled={labelServings <= SERVING_STEP}
+                  className="w-8 h-8 rounded-full bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 font-bold disabled:opacity-50"
+                  title="Fewer servings"
+                >
+                  −
+                </button>
+                <span className="w-10 text-center font-semibold text-purple-600 dark:text-purple-400">
+                  {formatServings(labelServings)}
+                </span>
+                <button
+                  onClick={() => setLabelServings(labelServings + SERVING_STEP)}
+                  className="w-8 h-8 rounded-full bg-purple-500 text-white font-bold"
+                  title="More servings"
+                >
+                  +
+                </button>
+              </div>
+            </div>
+
+            {/* Scaled Totals */}
+            <div className="bg-gradient-to-br from-purple-500 to-purple-600 rounded-2xl p-4 text-white mb-4">
+              <p className="text-purple-100 text-sm mb-1">Calories</p>
+              <p className="text-3xl font-bold">{Math.round((Number(labelResult.calories) || 0) * labelServings)} cal</p>
+              <div className="grid grid-cols-3 gap-3 mt-3 text-sm">
+                {LABEL_NUTRIENTS.map(({ key, label, unit }) => (
+                  <div key={key}>
+                    <p className="text-purple-200">{label}</p>
+                    <p className="font-semibold">{scaleNutrient(labelResult[key], labelServings, unit)}{unit}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Notes */}
+            {labelResult.notes && (
+              <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-3 mb-4">
+                <p className="text-xs text-gray-600 dark:text-gray-400">
+                  <span className="font-medium">Note:</span> {labelResult.notes}
+                </p>
+              </div>
+            )}
+
+            <label className="flex items-center gap-2 mb-4 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={saveLabelFood}
+                onChange={(e) => setSaveLabelFood(e.target.checked)}
+                className="w-4 h-4 rounded text-purple-500 focus:ring-purple-500"
+              />
+              Save to My Foods to add it again without scanning
+            </label>
+
+            {/* Action Buttons */}
+            <div className="flex gap-3">
+              <button
+                onClick={resetState}
+                className="flex-1 py-3 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
               >
-                Add to Log
+                Scan Again
+              </button>
+              <button
+                onClick={handleAddLabel}
+                disabled={addingLabel}
+                className="flex-1 py-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+              >
+                {addingLabel ? 'Adding...' : 'Add to Log'}
               </button>
             </div>
+
+            {renderUploadStats()}
+            {renderCacheNotice(() => handleLabelSelect(photos[0].file, { refresh: true }))}
           </>
         )}
 
@@ -298,11 +1287,20 @@ export function FoodScanner({ isOpen, onClose, onAddMeal }) {
               {error || 'Something went wrong. Please try again.'}
             </p>
             <button
-              onClick={resetState}
+              onClick={returnToInput}
               className="px-6 py-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 transition-colors"
             >
               Try Again
             </button>
+            {canQueue && (
+              <button
+                onClick={handleQueueScan}
+                disabled={addingMeal}
+                className="block mx-auto mt-3 text-sm font-medium text-purple-600 dark:text-purple-400 disabled:opacity-50"
+              >
+                {addingMeal ? 'Saving...' : 'Save and analyze when back online'}
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,305 @@
+import { useState, useEffect } from 'react'
+import { getMealTemplates, saveMealTemplate, deleteMealTemplate, templateMealFromMeal } from '../utils/mealTemplates'
+
+const EMPTY_MEAL = { name: '', items: '', totalCal: '', protein: '', carbs: '', fat: '', foods: [] }
+
+// Hand-editing any of these means the meal no longer matches its per-food breakdown
+const NUTRITION_KEYS = ['totalCal', 'protein', 'carbs', 'fat']
+
+const inputClass = 'w-full min-w-0 px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent'
+
+// Convert form strings back to numbers before saving
+function parseMeal(meal) {
+  return {
+    ...meal,
+    totalCal: parseInt(meal.totalCal, 10) || 0,
+    protein: parseFloat(meal.protein) || 0,
+    carbs: parseFloat(meal.carbs) || 0,
+    fat: parseFloat(meal.fat) || 0
+  }
+}
+
+function TemplateEditor({ template, dayMeals, onSaved, onCancel }) {
+  const [name, setName] = useState(template?.name || '')
+  const [meals, setMeals] = useState(() => (template?.meals || []).map(meal => ({ ...meal })))
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const updateMeal = (index, key, value) => {
+    setMeals(meals.map((meal, i) => {
+      if (i !== index) return meal
+      return NUTRITION_KEYS.includes(key) ? { ...meal, [key]: value, foods: [] } : { ...meal, [key]: value }
+    }))
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError('')
+
+    try {
+      await saveMealTemplate({ id: template?.id, name, meals: meals.map(parseMeal) })
+      onSaved()
+    } catch (err) {
+      console.error('Failed to save template:', err)
+      setError(err.message || 'Failed to save template')
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <input
+        type="text"
+        placeholder="Template name, e.g. Weekday breakfast"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+      />
+
+      {/* Meals in the template */}
+      <div className="space-y-2">
+        {meals.map((meal, index) => (
+          <div key={index} className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl space-y-2">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                placeholder="Meal name *"
+                value={meal.name}
+                onChange={(e) => updateMeal(index, 'name', e.target.value)}
+                className={inputClass}
+              />
+              <input
+                type="number"
+                placeholder="Cal"
+                value={meal.totalCal}
+                onChange={(e) => updateMeal(index, 'totalCal', e.target.value)}
+                className={`${inputClass} max-w-[5rem]`}
+              />
+              <button
+                onClick={() => setMeals(meals.filter((_, i) => i !== index))}
+                className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                title="Remove meal"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+            <input
+              type="text"
+              placeholder="Food items"
+              value={meal.items}
+              onChange={(e) => updateMeal(index, 'items', e.target.value)}
+              className={inputClass}
+            />
+            <div className="flex gap-2">
+              {['protein', 'carbs', 'fat'].map(key => (
+                <input
+                  key={key}
+                  type="number"
+                  placeholder={`${key[0].toUpperCase()}${key.slice(1)} (g)`}
+                  value={meal[key]}
+                  onChange={(e) => updateMeal(index, key, e.target.value)}
+                  className={inputClass}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+        <button
+          onClick={() => setMeals([...meals, { ...EMPTY_MEAL }])}
+          className="w-full py-2 text-emerald-600 dark:text-emerald-400 text-sm font-medium border border-emerald-200 dark:border-emerald-800 rounded-xl hover:bg-emerald-50 dark:hover:bg-emerald-900/20"
+        >
+          + Add a meal
+        </button>
+      </div>
+
+      {/* Copy meals from the day being viewed */}
+      {dayMeals.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">Add from this day</h3>
+          <div className="flex flex-wrap gap-2">
+            {dayMeals.map(meal => (
+              <button
+                key={meal.id}
+                onClick={() => setMeals([...meals, templateMealFromMeal(meal)])}
+                className="px-3 py-1.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 text-sm rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"
+              >
+                + {meal.name} · {meal.totalCal} cal
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-500">{error}</p>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={onCancel}
+          className="flex-1 py-3 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex-1 py-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Template'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * List, log, create and edit meal templates
+ * @param {object[]} dayMeals - Meals on the day being viewed, offered as template contents
+ * @param {function} onLog - Called with a template to log it
+ * @param {function} onChanged - Called after templates are added, edited or deleted
+ */
+export function MealTemplatesModal({ dayMeals, onLog, onChanged, onClose }) {
+  const [templates, setTemplates] = useState([])
+  const [editing, setEditing] = useState(null) // template, or 'new'
+  const [pendingDeleteId, setPendingDeleteId] = useState(null)
+  const [refreshToken, setRefreshToken] = useState(0)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      const loaded = await getMealTemplates()
+      if (!cancelled) {
+        setTemplates(loaded)
+      }
+    }
+    load()
+
+    return () => {
+      cancelled = true
+    }
+  }, [refreshToken])
+
+  const refresh = () => {
+    setRefreshToken(token => token + 1)
+    onChanged?.()
+  }
+
+  const handleSaved = () => {
+    setEditing(null)
+    refresh()
+  }
+
+  const handleDelete = async (template) => {
+    if (pendingDeleteId !== template.id) {
+      setPendingDeleteId(template.id)
+      return
+    }
+
+    try {
+      await deleteMealTemplate(template.id)
+      setPendingDeleteId(null)
+      refresh()
+    } catch (err) {
+      console.error('Failed to delete template:', err)
+      setError(err.message || 'Failed to delete template')
+    }
+  }
+
+  const handleLog = async (template) => {
+    try {
+      await onLog(template)
+      onClose()
+    } catch (err) {
+      console.error('Failed to log template:', err)
+      setError(err.message || 'Failed to log template')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-gray-800 w-full max-w-md rounded-t-3xl p-6 animate-slide-up max-h-[90vh] overflow-y-auto"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="w-12 h-1 bg-gray-300 dark:bg-gray-600 rounded-full mx-auto mb-4" />
+
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800 dark:text-white">
+            {editing ? (editing === 'new' ? 'New Template' : 'Edit Template') : 'Meal Templates'}
+          </h2>
+          {!editing && (
+            <button
+              onClick={() => setEditing('new')}
+              className="px-4 py-2 bg-emerald-500 text-white text-sm font-semibold rounded-xl hover:bg-emerald-600"
+            >
+              + New
+            </button>
+          )}
+        </div>
+
+        {editing ? (
+          <TemplateEditor
+            key={editing === 'new' ? 'new' : editing.id}
+            template={editing === 'new' ? null : editing}
+            dayMeals={dayMeals}
+            onSaved={handleSaved}
+            onCancel={() => setEditing(null)}
+          />
+        ) : templates.length === 0 ? (
+          <p className="text-center py-6 text-sm text-gray-400">
+            No templates yet. Save meals you log often, like a weekday breakfast, and log them in one tap.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {templates.map(template => {
+              const totalCal = template.meals.reduce((sum, meal) => sum + (meal.totalCal || 0), 0)
+              return (
+                <li key={template.id} className="flex items-center gap-2 p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl">
+                  <button
+                    onClick={() => setEditing(template)}
+                    className="flex-1 min-w-0 text-left"
+                    title="Edit template"
+                  >
+                    <p className="font-medium text-gray-800 dark:text-gray-100 truncate">{template.name}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {template.meals.map(meal => meal.name).join(', ')} · {totalCal} cal
+                    </p>
+                    {pendingDeleteId === template.id && (
+                      <span className="text-xs font-medium text-red-500">Tap delete again to confirm</span>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(template)}
+                    className={`p-1.5 transition-colors ${pendingDeleteId === template.id ? 'text-red-500' : 'text-gray-400 hover:text-red-500'}`}
+                    title="Delete template"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    </svg>
+                  </button>
+                  <button
+                    onClick={() => handleLog(template)}
+                    className="px-3 py-1.5 rounded-lg bg-emerald-500 text-white text-sm font-semibold"
+                  >
+                    Log
+                  </button>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+
+        {error && (
+          <p className="mt-3 text-sm text-red-500">{error}</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MealTemplatesModal
@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react'
+import { getPhotoStorageUsage, deleteUnusedPhotos, deletePhotosOlderThan, deleteAllPhotos } from '../utils/mealPhotos'
+import { formatBytes } from '../utils/fileUtils'
+
+// Age choices for removing old photos, in days
+const AGE_OPTIONS = [30, 90, 180, 365]
+
+/**
+ * Settings section showing how much space meal photos use, with cleanup actions
+ */
+export function PhotoStorage() {
+  const [usage, setUsage] = useState(null)
+  const [refreshToken, setRefreshToken] = useState(0)
+  const [olderThanDays, setOlderThanDays] = useState(90)
+  const [confirmDeleteAll, setConfirmDeleteAll] = useState(false)
+  const [working, setWorking] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        const loaded = await getPhotoStorageUsage()
+        if (!cancelled) {
+          setUsage(loaded)
+        }
+      } catch (err) {
+        console.error('Failed to read photo storage:', err)
+      }
+    }
+    load()
+
+    return () => {
+      cancelled = true
+    }
+  }, [refreshToken])
+
+  const runCleanup = async (cleanup, describe) => {
+    setWorking(true)
+    setError('')
+    setMessage('')
+
+    try {
+      const count = await cleanup()
+      setMessage(describe(count))
+      setRefreshToken(token => token + 1)
+    } catch (err) {
+      console.error('Failed to clean up photos:', err)
+      setError(err.message || 'Failed to clean up photos')
+    } finally {
+      setWorking(false)
+      setConfirmDeleteAll(false)
+    }
+  }
+
+  const plural = (count) => `${count} ${count === 1 ? 'photo' : 'photos'}`
+
+  const handleDeleteAll = () => {
+    if (!confirmDeleteAll) {
+      setConfirmDeleteAll(true)
+      return
+    }
+    const count = usage?.count || 0
+    runCleanup(async () => {
+      await deleteAllPhotos()
+      return count
+    }, n => `Deleted ${plural(n)}`)
+  }
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">Meal Photos</h3>
+
+      <div className="p-3 mb-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl">
+        <p className="text-sm text-gray-800 dark:text-gray-100">
+          {usage ? `${plural(usage.count)} · ${formatBytes(usage.bytes)}` : 'Checking storage...'}
+        </p>
+        {usage?.unusedCount > 0 && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {plural(usage.unusedCount)} no longer used by any meal
+          </p>
+        )}
+      </div>
+
+      {usage?.count > 0 && (
+        <div className="space-y-2">
+          {usage.unusedCount > 0 && (
+            <button
+              onClick={() => runCleanup(deleteUnusedPhotos, n => `Removed ${plural(n)} of deleted meals`)}
+              disabled={working}
+              className="w-full py-2.5 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 text-sm font-medium rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+            >
+              Remove photos of deleted meals
+            </button>
+          )}
+
+          <div className="flex gap-2">
+            <select
+              value={olderThanDays}
+              onChange={(e) => setOlderThanDays(Number(e.target.value))}
+              className="px-3 py-2.5 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+            >
+              {AGE_OPTIONS.map(days => (
+                <option key={days} value={days}>Older than {days} days</option>
+              ))}
+            </select>
+            <button
+              onClick={() => runCleanup(() => deletePhotosOlderThan(olderThanDays), n => `Removed ${plural(n)} older than ${olderThanDays} days`)}
+              disabled={working}
+              className="flex-1 py-2.5 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 text-sm font-medium rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+            >
+              Remove
+            </button>
+          </div>
+
+          <button
+            onClick={handleDeleteAll}
+            disabled={working}
+            className={`w-full py-2.5 border-2 text-sm font-medium rounded-xl disabled:opacity-50 ${
+              confirmDeleteAll
+                ? 'border-red-500 bg-red-500 text-white'
+                : 'border-red-200 dark:border-red-800 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20'
+            }`}
+          >
+            {confirmDeleteAll ? 'Tap again to delete all photos' : 'Delete all photos'}
+          </button>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Meals are kept when their photos are removed. Photos are not included in backups.
+          </p>
+        </div>
+      )}
+
+      {message && (
+        <p className="mt-2 text-sm text-emerald-600 dark:text-emerald-400">{message}</p>
+      )}
+      {error && (
+        <p className="mt-2 text-sm text-red-500">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default PhotoStorage
@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react'
+import { getPhotoTimeline, getPhotoBlob } from '../utils/mealPhotos'
+import { formatDateDisplay } from '../utils/dateUtils'
+
+// Full-size photo with its meal, loaded from the stored blob
+function PhotoViewer({ item, onGoToDate, onClose }) {
+  const [url, setUrl] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    let objectUrl = null
+
+    async function load() {
+      const blob = await getPhotoBlob(item.meal.photoId)
+      if (!cancelled && blob) {
+        objectUrl = URL.createObjectURL(blob)
+        setUrl(objectUrl)
+      }
+    }
+    load()
+
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [item])
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/90 p-4" onClick={onClose}>
+      <div className="w-full max-w-md" onClick={e => e.stopPropagation()}>
+        <img
+          src={url || item.thumbnail}
+          alt={item.meal.name}
+          className="w-full max-h-[70vh] object-contain rounded-2xl"
+        />
+        <div className="mt-4 text-white">
+          <p className="font-semibold">{item.meal.name} · {item.meal.totalCal} cal</p>
+          <p className="text-sm text-gray-300">{formatDateDisplay(item.date)} · {item.meal.time}</p>
+          {item.meal.items && (
+            <p className="text-sm text-gray-400 mt-1">{item.meal.items}</p>
+          )}
+        </div>
+        <div className="flex gap-3 mt-4">
+          <button
+            onClick={onClose}
+            className="flex-1 py-3 border-2 border-white/30 text-white font-semibold rounded-xl hover:bg-white/10"
+          >
+            Close
+          </button>
+          <button
+            onClick={() => onGoToDate(item.date)}
+            className="flex-1 py-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600"
+          >
+            Go to Day
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Photo food diary: every meal with a stored photo, grouped by day, newest first
+ * @param {function} onSelectDate - Called with a date to show that day
+ */
+export function PhotoTimelineModal({ onSelectDate, onClose }) {
+  const [items, setItems] = useState(null)
+  const [viewing, setViewing] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      try {
+        const timeline = await getPhotoTimeline()
+        if (!cancelled) {
+          setItems(timeline)
+        }
+      } catch (err) {
+        console.error('Failed to load photo timeline:', err)
+        if (!cancelled) {
+          setItems([])
+        }
+      }
+    }
+    load()
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Group consecutive items by day; items are already newest day first
+  const days = []
+  for (const item of items || []) {
+    const last = days[days.length - 1]
+    if (last?.date === item.date) {
+      last.items.push(item)
+    } else {
+      days.push({ date: item.date, items: [item] })
+    }
+  }
+
+  const handleGoToDate = (date) => {
+    onSelectDate(date)
+    onClose()
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-gray-800 w-full max-w-md rounded-t-3xl p-6 animate-slide-up max-h-[90vh] overflow-y-auto"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="w-12 h-1 bg-gray-300 dark:bg-gray-600 rounded-full mx-auto mb-4" />
+        <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">Photo Diary</h2>
+
+        {items === null ? (
+          <p className="text-center py-6 text-sm text-gray-400">Loading photos...</p>
+        ) : days.length === 0 ? (
+          <p className="text-center py-6 text-sm text-gray-400">
+            No meal photos yet. Photos from food scans are kept here.
+          </p>
+        ) : (
+          <div className="space-y-5">
+            {days.map(day => (
+              <section key={day.date}>
+                <button
+                  onClick={() => handleGoToDate(day.date)}
+                  className="flex justify-between w-full mb-2 text-sm"
+                >
+                  <span className="font-medium text-gray-700 dark:text-gray-300">{formatDateDisplay(day.date)}</span>
+                  <span className="text-gray-400">
+                    {day.items.reduce((sum, item) => sum + (item.meal.totalCal || 0), 0)} cal
+                  </span>
+                </button>
+                <div className="grid grid-cols-3 gap-2">
+                  {day.items.map(item => (
+                    <button
+                      key={item.meal.id}
+                      onClick={() => setViewing(item)}
+                      className="relative aspect-square rounded-xl overflow-hidden"
+                    >
+                      <img src={item.thumbnail} alt={item.meal.name} className="w-full h-full object-cover" />
+                      <span className="absolute inset-x-0 bottom-0 px-1.5 py-1 bg-black/50 text-white text-xs text-left truncate">
+                        {item.meal.name}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              </section>
+            ))}
+          </div>
+        )}
+
+        {viewing && (
+          <PhotoViewer
+            key={viewing.meal.id}
+            item={viewing}
+            onGoToDate={handleGoToDate}
+            onClose={() => setViewing(null)}
+          />
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PhotoTimelineModal
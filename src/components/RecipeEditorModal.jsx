@@ -0,0 +1,285 @@
+import { useState } from 'react'
+import { FoodPicker } from './FoodPicker'
+import { ingredientFromFood, recipeTotals, saveRecipe, deleteRecipe } from '../utils/recipes'
+
+const EMPTY_CUSTOM = { name: '', servingSize: '', calories: '', protein: '', carbs: '', fat: '' }
+
+const inputClass = 'w-full min-w-0 px-3 py-2.5 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent'
+
+/**
+ * Create or edit a recipe. Mount with a `key` of the recipe's id (or 'new')
+ * so the form is initialized from the recipe each time.
+ */
+export function RecipeEditorModal({ recipe, onSaved, onDeleted, onClose }) {
+  const [name, setName] = useState(recipe?.name || '')
+  const [servings, setServings] = useState(String(recipe?.servings || 4))
+  const [ingredients, setIngredients] = useState(recipe?.ingredients || [])
+  const [custom, setCustom] = useState(EMPTY_CUSTOM)
+  const [showCustom, setShowCustom] = useState(false)
+  const [confirmDelete, setConfirmDelete] = useState(false)
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const totals = recipeTotals(ingredients)
+  const yieldServings = parseFloat(servings) || 0
+  const perServing = yieldServings > 0
+    ? {
+        calories: Math.round(totals.calories / yieldServings),
+        protein: Math.round(totals.protein / yieldServings),
+        carbs: Math.round(totals.carbs / yieldServings),
+        fat: Math.round(totals.fat / yieldServings)
+      }
+    : null
+
+  // Library ingredients are driven by the food picker; custom ones are kept as they are
+  const pickerSelections = ingredients
+    .filter(i => i.foodId)
+    .map(i => ({ food: { ...i, id: i.foodId }, servings: i.quantity }))
+
+  const handlePickerChange = (next) => {
+    const customIngredients = ingredients.filter(i => !i.foodId)
+    const libraryIngredients = next.map(({ food, servings: quantity }) => {
+      const existing = ingredients.find(i => i.foodId === food.id)
+      return existing ? { ...existing, quantity } : ingredientFromFood(food, quantity)
+    })
+    setIngredients([...libraryIngredients, ...customIngredients])
+  }
+
+  const updateQuantity = (id, value) => {
+    setIngredients(ingredients.map(i => (i.id === id ? { ...i, quantity: value } : i)))
+  }
+
+  const removeIngredient = (id) => {
+    setIngredients(ingredients.filter(i => i.id !== id))
+  }
+
+  const handleAddCustom = () => {
+    if (!custom.name.trim() || !custom.calories) return
+    setIngredients([...ingredients, ingredientFromFood({ ...custom, id: null, name: custom.name.trim() })])
+    setCustom(EMPTY_CUSTOM)
+    setShowCustom(false)
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError('')
+
+    try {
+      const saved = await saveRecipe({
+        id: recipe?.id,
+        name,
+        servings,
+        ingredients: ingredients.map(i => ({ ...i, quantity: parseFloat(i.quantity) || 0 }))
+      })
+      onSaved?.(saved)
+      onClose()
+    } catch (err) {
+      console.error('Failed to save recipe:', err)
+      setError(err.message || 'Failed to save recipe')
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!confirmDelete) {
+      setConfirmDelete(true)
+      return
+    }
+
+    try {
+      await deleteRecipe(recipe.id)
+      onDeleted?.(recipe.id)
+      onClose()
+    } catch (err) {
+      console.error('Failed to delete recipe:', err)
+      setError(err.message || 'Failed to delete recipe')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-end justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-gray-800 w-full max-w-md rounded-t-3xl p-6 animate-slide-up max-h-[90vh] overflow-y-auto"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="w-12 h-1 bg-gray-300 dark:bg-gray-600 rounded-full mx-auto mb-4" />
+        <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">
+          {recipe ? 'Edit Recipe' : 'New Recipe'}
+        </h2>
+
+        <div className="space-y-4">
+          <div className="flex gap-2">
+            <div className="flex-1 min-w-0">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name *</label>
+              <input
+                type="text"
+                placeholder="e.g., Turkey chili"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div className="w-24">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Servings *</label>
+              <input
+                type="number"
+                min="0.5"
+                step="0.5"
+                value={servings}
+                onChange={(e) => setServings(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          {/* Ingredients */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Ingredients</h3>
+            {ingredients.length === 0 ? (
+              <p className="text-sm text-gray-400 mb-2">Add ingredients from My Foods or enter them below.</p>
+            ) : (
+              <ul className="space-y-2 mb-3">
+                {ingredients.map(ingredient => (
+                  <li key={ingredient.id} className="flex items-center gap-2 p-2 bg-gray-50 dark:bg-gray-700/50 rounded-xl">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-800 dark:text-gray-100 truncate">{ingredient.name}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        × {ingredient.servingSize} · {Math.round(ingredient.calories * (parseFloat(ingredient.quantity) || 0))} cal
+                      </p>
+                    </div>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.25"
+                      value={ingredient.quantity}
+                      onChange={(e) => updateQuantity(ingredient.id, e.target.value)}
+                      className="w-16 px-2 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                      title="Servings of this ingredient"
+                    />
+                    <button
+                      onClick={() => removeIngredient(ingredient.id)}
+                      className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                      title="Remove ingredient"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <FoodPicker selections={pickerSelections} onChange={handlePickerChange} />
+
+            {showCustom ? (
+              <div className="mt-3 p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl space-y-2">
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    placeholder="Ingredient"
+                    value={custom.name}
+                    onChange={(e) => setCustom({ ...custom, name: e.target.value })}
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    placeholder="Serving"
+                    value={custom.servingSize}
+                    onChange={(e) => setCustom({ ...custom, servingSize: e.target.value })}
+                    className={`${inputClass} max-w-[7rem]`}
+                  />
+                </div>
+                <div className="flex gap-2">
+                  {['calories', 'protein', 'carbs', 'fat'].map(key => (
+                    <input
+                      key={key}
+                      type="number"
+                      placeholder={key === 'calories' ? 'Cal *' : `${key[0].toUpperCase()}${key.slice(1)} (g)`}
+                      value={custom[key]}
+                      onChange={(e) => setCustom({ ...custom, [key]: e.target.value })}
+                      className={inputClass}
+                    />
+                  ))}
+                </div>
+                <button
+                  onClick={handleAddCustom}
+                  disabled={!custom.name.trim() || !custom.calories}
+                  className="w-full py-2 bg-emerald-500 text-white text-sm font-semibold rounded-xl hover:bg-emerald-600 disabled:opacity-50"
+                >
+                  Add Ingredient
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => setShowCustom(true)}
+                className="mt-3 text-sm font-medium text-emerald-600 dark:text-emerald-400"
+              >
+                + Enter an ingredient manually
+              </button>
+            )}
+          </div>
+
+          {/* Nutrition Summary */}
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <div className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl">
+              <p className="text-xs text-gray-500 dark:text-gray-400">Whole recipe</p>
+              <p className="font-semibold text-gray-800 dark:text-white">{totals.calories} cal</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                P:{Math.round(totals.protein)}g C:{Math.round(totals.carbs)}g F:{Math.round(totals.fat)}g
+              </p>
+            </div>
+            <div className="p-3 bg-emerald-50 dark:bg-emerald-900/20 rounded-xl">
+              <p className="text-xs text-gray-500 dark:text-gray-400">Per serving</p>
+              {perServing ? (
+                <>
+                  <p className="font-semibold text-emerald-600 dark:text-emerald-400">{perServing.calories} cal</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    P:{perServing.protein}g C:{perServing.carbs}g F:{perServing.fat}g
+                  </p>
+                </>
+              ) : (
+                <p className="text-xs text-gray-400">Set the number of servings</p>
+              )}
+            </div>
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-500">{error}</p>
+          )}
+
+          <div className="flex gap-3">
+            {recipe ? (
+              <button
+                onClick={handleDelete}
+                className={`flex-1 py-3 border-2 font-semibold rounded-xl transition-colors ${
+                  confirmDelete
+                    ? 'border-red-500 bg-red-500 text-white'
+                    : 'border-red-200 dark:border-red-800 text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20'
+                }`}
+              >
+                {confirmDelete ? 'Tap to Confirm' : 'Delete'}
+              </button>
+            ) : (
+              <button
+                onClick={onClose}
+                className="flex-1 py-3 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex-1 py-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Recipe'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RecipeEditorModal
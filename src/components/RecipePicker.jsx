@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react'
+import { RecipeEditorModal } from './RecipeEditorModal'
+import { searchRecipes, recipeNutrition } from '../utils/recipes'
+import { formatServings } from '../utils/foodLibrary'
+
+// Servings change in half steps
+const SERVING_STEP = 0.5
+
+/**
+ * Pick a recipe and how many servings were eaten. Recipes can be created and edited from here.
+ * @param {{recipe: object, servings: number}|null} selection - Current pick
+ * @param {function} onChange - Called with the new selection, or null
+ */
+export function RecipePicker({ selection, onChange }) {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [editing, setEditing] = useState(null) // recipe, or 'new'
+  const [refreshToken, setRefreshToken] = useState(0)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function search() {
+      const recipes = await searchRecipes(query)
+      if (!cancelled) {
+        setResults(recipes)
+      }
+    }
+    search()
+
+    return () => {
+      cancelled = true
+    }
+  }, [query, refreshToken])
+
+  const changeServings = (delta) => {
+    const servings = selection.servings + delta
+    onChange(servings > 0 ? { ...selection, servings } : null)
+  }
+
+  // Keep the current pick in sync with edits made in the editor
+  const handleSaved = (recipe) => {
+    setRefreshToken(token => token + 1)
+    if (selection?.recipe.id === recipe.id) {
+      onChange({ ...selection, recipe })
+    }
+  }
+
+  const handleDeleted = (recipeId) => {
+    setRefreshToken(token => token + 1)
+    if (selection?.recipe.id === recipeId) {
+      onChange(null)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <input
+          type="search"
+          placeholder="Search recipes"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="flex-1 min-w-0 px-4 py-2.5 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+        />
+        <button
+          type="button"
+          onClick={() => setEditing('new')}
+          className="px-3 py-2 bg-emerald-500 text-white text-sm font-semibold rounded-xl hover:bg-emerald-600"
+        >
+          + New
+        </button>
+      </div>
+
+      {results.length === 0 ? (
+        <p className="text-center py-3 text-sm text-gray-400">
+          {query ? 'No recipes match' : 'No recipes yet. Create one from your saved foods.'}
+        </p>
+      ) : (
+        <ul className="space-y-2 max-h-56 overflow-y-auto">
+          {results.map(recipe => {
+            const isSelected = selection?.recipe.id === recipe.id
+            const perServing = recipeNutrition(recipe, 1)
+            return (
+              <li
+                key={recipe.id}
+                className={`flex items-center gap-2 p-2 rounded-xl ${
+                  isSelected ? 'bg-emerald-50 dark:bg-emerald-900/20' : 'bg-gray-50 dark:bg-gray-700/50'
+                }`}
+              >
+                <button
+                  type="button"
+                  onClick={() => setEditing(recipe)}
+                  className="flex-1 min-w-0 text-left"
+                  title="Edit recipe"
+                >
+                  <p className="text-sm font-medium text-gray-800 dark:text-gray-100 truncate">{recipe.name}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {perServing.calories} cal per serving · makes {formatServings(recipe.servings)}
+                  </p>
+                </button>
+                {isSelected ? (
+                  <div className="flex items-center gap-1">
+                    <button
+                      type="button"
+                      onClick={() => changeServings(-SERVING_STEP)}
+                      className="w-7 h-7 rounded-full bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 font-bold"
+                      title="Fewer servings"
+                    >
+                      −
+                    </button>
+                    <span className="w-8 text-center text-sm font-semibold text-emerald-600 dark:text-emerald-400">
+                      {formatServings(selection.servings)}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => changeServings(SERVING_STEP)}
+                      className="w-7 h-7 rounded-full bg-emerald-500 text-white font-bold"
+                      title="More servings"
+                    >
+                      +
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => onChange({ recipe, servings: 1 })}
+                    className="px-3 py-1.5 rounded-lg bg-emerald-500 text-white text-sm font-semibold"
+                  >
+                    Log
+                  </button>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      {editing && (
+        <RecipeEditorModal
+          key={editing === 'new' ? 'new' : editing.id}
+          recipe={editing === 'new' ? null : editing}
+          onSaved={handleSaved}
+          onDeleted={handleDeleted}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default RecipePicker
@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react'
+import { db, normalizeEntry } from '../utils/db'
+import { addDays, formatDateDisplay, getDayName } from '../utils/dateUtils'
+
+const SECTIONS = [
+  { key: 'meals', title: 'Meals', describe: meal => `${meal.totalCal || 0} cal` },
+  { key: 'exercises', title: 'Exercises', describe: ex => `${ex.weight} lbs x ${ex.reps} reps${ex.sets > 1 ? ` x ${ex.sets} sets` : ''}` },
+  { key: 'cardio', title: 'Cardio', describe: c => `${c.caloriesBurned} cal burned` }
+]
+
+/**
+ * Repeat items from yesterday or the same weekday last week into the selected date.
+ * Everything from the source day starts selected; untick what you didn't have again.
+ */
+export function RepeatDayModal({ date, onRepeat, onClose }) {
+  const sources = [
+    { key: 'yesterday', label: 'Yesterday', date: addDays(date, -1) },
+    { key: 'lastWeek', label: `Last ${getDayName(date)}`, date: addDays(date, -7) }
+  ]
+
+  const [sourceKey, setSourceKey] = useState('yesterday')
+  // The day last loaded; entry stays null when loading it failed
+  const [loaded, setLoaded] = useState({ date: null, entry: null })
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const sourceDate = sources.find(s => s.key === sourceKey).date
+  const loading = loaded.date !== sourceDate
+  const sourceEntry = loading ? null : loaded.entry
+
+  // Load the source day and preselect everything on it
+  useEffect(() => {
+    let cancelled = false
+
+    async function loadSource() {
+      try {
+        const stored = await db.dailyEntries.get(sourceDate)
+        const normalized = stored
+          ? normalizeEntry(stored)
+          : { date: sourceDate, meals: [], exercises: [], cardio: [] }
+        // Pending scan placeholders can't be repeated; their queued scan fills in the original only
+        const entry = { ...normalized, meals: normalized.meals.filter(meal => !meal.pendingScan) }
+        if (!cancelled) {
+          setLoaded({ date: sourceDate, entry })
+          setError('')
+          setSelectedIds(new Set(SECTIONS.flatMap(({ key }) => entry[key].map(item => item.id))))
+        }
+      } catch (err) {
+        console.error('Failed to load day:', err)
+        if (!cancelled) {
+          setLoaded({ date: sourceDate, entry: null })
+          setSelectedIds(new Set())
+          setError(err.message || 'Failed to load day')
+        }
+      }
+    }
+
+    loadSource()
+
+    return () => {
+      cancelled = true
+    }
+  }, [sourceDate])
+
+  const toggleItem = (id) => {
+    const next = new Set(selectedIds)
+    if (next.has(id)) {
+      next.delete(id)
+    } else {
+      next.add(id)
+    }
+    setSelectedIds(next)
+  }
+
+  const handleRepeat = async () => {
+    const items = {}
+    SECTIONS.forEach(({ key }) => {
+      items[key] = sourceEntry[key].filter(item => selectedIds.has(item.id))
+    })
+
+    setSaving(true)
+    setError('')
+
+    try {
+      await onRepeat(items)
+      onClose()
+    } catch (err) {
+      console.error('Failed to repeat day:', err)
+      setError(err.message || 'Failed to repeat day')
+      setSaving(false)
+    }
+  }
+
+  const isEmpty = sourceEntry && SECTIONS.every(({ key }) => sourceEntry[key].length === 0)
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-gray-800 w-full max-w-md rounded-t-3xl p-6 animate-slide-up max-h-[90vh] overflow-y-auto"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="w-12 h-1 bg-gray-300 dark:bg-gray-600 rounded-full mx-auto mb-4" />
+        <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-1">Repeat a Day</h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          Add items to {formatDateDisplay(date)}
+        </p>
+
+        <div className="flex gap-2 mb-4">
+          {sources.map(source => (
+            <button
+              key={source.key}
+              onClick={() => setSourceKey(source.key)}
+              className={`flex-1 py-2 rounded-xl text-sm font-medium transition-colors ${
+                sourceKey === source.key
+                  ? 'bg-emerald-500 text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+              }`}
+            >
+              {source.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <p className="text-center py-6 text-sm text-gray-400">Loading...</p>
+        ) : !sourceEntry ? null : isEmpty ? (
+          <p className="text-center py-6 text-sm text-gray-400">
+            Nothing logged on {formatDateDisplay(sourceDate)}
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {SECTIONS.filter(({ key }) => sourceEntry[key].length > 0).map(({ key, title, describe }) => (
+              <div key={key}>
+                <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">{title}</h3>
+                <ul className="space-y-2">
+                  {sourceEntry[key].map(item => (
+                    <li key={item.id}>
+                      <label className="flex items-center gap-3 p-3 bg-gray-50 dark:bg-gray-700/50 rounded-xl cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.has(item.id)}
+                          onChange={() => toggleItem(item.id)}
+                          className="w-4 h-4 rounded text-emerald-500 focus:ring-emerald-500"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <p className="font-medium text-gray-800 dark:text-gray-100 truncate">{item.name}</p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {item.time && `${item.time} · `}{describe(item)}
+                          </p>
+                        </div>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {error && (
+          <p className="mt-3 text-sm text-red-500">{error}</p>
+        )}
+
+        <div className="flex gap-3 mt-4">
+          <button
+            onClick={onClose}
+            className="flex-1 py-3 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleRepeat}
+            disabled={saving || loading || selectedIds.size === 0}
+            className="flex-1 py-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+          >
+            {saving ? 'Adding...' : `Add ${selectedIds.size} ${selectedIds.size === 1 ? 'item' : 'items'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RepeatDayModal
@@ -1,14 +1,21 @@
 import { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
-import { testApiKey } from '../utils/foodAnalyzer'
+import { testConnection } from '../utils/foodAnalyzer'
+import { resolveProvider } from '../utils/aiProviders'
 import { getPSTDebugString } from '../utils/dateUtils'
+import { DataManagement } from './DataManagement'
+import { PhotoStorage } from './PhotoStorage'
+import { UploadSettings } from './UploadSettings'
+import { AiProviderSettings } from './AiProviderSettings'
+import { ApiUsage } from './ApiUsage'
 
-export function SettingsModal({ isOpen, onClose }) {
+export function SettingsModal({ isOpen, onClose, onDataChanged }) {
   const {
     authData,
     decryptedApiKey,
     hasApiKey,
     saveApiKey,
+    aiProvider,
     enableBiometric,
     disableBiometric,
     checkBiometricAvailable,
@@ -33,6 +40,8 @@ export function SettingsModal({ isOpen, onClose }) {
   const [testing, setTesting] = useState(false)
   const [testResult, setTestResult] = useState(null) // { success: boolean, error?: string }
 
+  const provider = resolveProvider(aiProvider)
+
   // Debug date - updates every second while settings is open
   const [debugDate, setDebugDate] = useState('')
 
@@ -55,7 +64,7 @@ export function SettingsModal({ isOpen, onClose }) {
       const timer = setInterval(() => setDebugDate(getPSTDebugString()), 1000)
       return () => clearInterval(timer)
     }
-  }, [isOpen, decryptedApiKey, checkBiometricAvailable])
+  }, [isOpen, provider.id, decryptedApiKey, checkBiometricAvailable])
 
   const handleSaveApiKey = async () => {
     if (!apiKey.trim()) {
@@ -83,7 +92,7 @@ export function SettingsModal({ isOpen, onClose }) {
     // Use either the input field value or the decrypted key
     const keyToTest = apiKey.trim() || decryptedApiKey
 
-    if (!keyToTest) {
+    if (provider.needsApiKey && !keyToTest) {
       setTestResult({ success: false, error: 'No API key to test' })
       return
     }
@@ -92,7 +101,7 @@ export function SettingsModal({ isOpen, onClose }) {
     setTestResult(null)
     setError('')
 
-    const result = await testApiKey(keyToTest)
+    const result = await testConnection({ ...aiProvider, apiKey: keyToTest })
 
     setTesting(false)
     setTestResult(result)
@@ -148,94 +157,105 @@ export function SettingsModal({ isOpen, onClose }) {
 
         {!showDeleteConfirm ? (
           <div className="space-y-6">
-            {/* API Key Section */}
-            <div>
-              <div className="flex justify-between items-center mb-2">
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                  Claude API Key
-                </label>
-                {hasApiKey && (
-                  <span className="text-xs text-emerald-500 flex items-center gap-1">
-                    <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
-                      <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
-                    </svg>
-                    Encrypted
-                  </span>
-                )}
-              </div>
-              <div className="relative">
-                <input
-                  type={showKey ? 'text' : 'password'}
-                  placeholder={hasApiKey ? '••••••••••••••••' : 'sk-ant-...'}
-                  value={apiKey}
-                  onChange={(e) => setApiKey(e.target.value)}
-                  className="w-full px-4 py-3 pr-12 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent font-mono text-sm"
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowKey(!showKey)}
-                  className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
-                >
-                  {showKey ? (
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21" />
-                    </svg>
-                  ) : (
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                    </svg>
+            {/* AI Provider */}
+            <AiProviderSettings />
+
+            {/* API Key Section - each provider has its own key; local and mock ones don't use one */}
+            {provider.needsApiKey && (
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {provider.label} API Key
+                  </label>
+                  {hasApiKey && (
+                    <span className="text-xs text-emerald-500 flex items-center gap-1">
+                      <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
+                        <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
+                      </svg>
+                      Encrypted
+                    </span>
                   )}
-                </button>
-              </div>
-              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
-                Required for AI food scanning. Get your key from{' '}
-                <a
-                  href="https://console.anthropic.com/settings/keys"
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="text-emerald-500 underline"
-                >
-                  console.anthropic.com
-                </a>
-              </p>
+                </div>
+                <div className="relative">
+                  <input
+                    type={showKey ? 'text' : 'password'}
+                    placeholder={hasApiKey ? '••••••••••••••••' : provider.protocol === 'anthropic' ? 'sk-ant-...' : 'sk-...'}
+                    value={apiKey}
+                    onChange={(e) => setApiKey(e.target.value)}
+                    className="w-full px-4 py-3 pr-12 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent font-mono text-sm"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowKey(!showKey)}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                  >
+                    {showKey ? (
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21" />
+                      </svg>
+                    ) : (
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                      </svg>
+                    )}
+                  </button>
+                </div>
+                {provider.protocol === 'anthropic' ? (
+                  <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                    Required for AI food scanning. Get your key from{' '}
+                    <a
+                      href="https://console.anthropic.com/settings/keys"
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-emerald-500 underline"
+                    >
+                      console.anthropic.com
+                    </a>
+                  </p>
+                ) : (
+                  <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                    Required for AI food scanning. Use the key issued by your provider.
+                  </p>
+                )}
 
-              {error && (
-                <p className="mt-2 text-sm text-red-500">{error}</p>
-              )}
-
-              <div className="flex gap-2 mt-3">
-                <button
-                  onClick={handleSaveApiKey}
-                  disabled={saving || !apiKey.trim()}
-                  className={`flex-1 py-2.5 font-semibold rounded-xl transition-all ${
-                    saved
-                      ? 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400'
-                      : 'bg-emerald-500 text-white hover:bg-emerald-600 active:scale-[0.98] disabled:opacity-50'
-                  }`}
-                >
-                  {saving ? 'Encrypting...' : saved ? '✓ Saved!' : hasApiKey ? 'Update' : 'Save'}
-                </button>
-                <button
-                  onClick={handleTestApiKey}
-                  disabled={testing || (!apiKey.trim() && !decryptedApiKey)}
-                  className="px-4 py-2.5 border-2 border-emerald-200 dark:border-emerald-800 text-emerald-600 dark:text-emerald-400 font-semibold rounded-xl hover:bg-emerald-50 dark:hover:bg-emerald-900/20 transition-colors disabled:opacity-50"
-                >
-                  {testing ? 'Testing...' : 'Test API'}
-                </button>
-              </div>
+                {error && (
+                  <p className="mt-2 text-sm text-red-500">{error}</p>
+                )}
 
-              {/* Test Result */}
-              {testResult && (
-                <div className={`mt-2 p-2 rounded-lg text-sm ${
-                  testResult.success
-                    ? 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-700 dark:text-emerald-300'
-                    : 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300'
-                }`}>
-                  {testResult.success ? '✓ API key is valid!' : `✗ ${testResult.error}`}
+                <div className="flex gap-2 mt-3">
+                  <button
+                    onClick={handleSaveApiKey}
+                    disabled={saving || !apiKey.trim()}
+                    className={`flex-1 py-2.5 font-semibold rounded-xl transition-all ${
+                      saved
+                        ? 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400'
+                        : 'bg-emerald-500 text-white hover:bg-emerald-600 active:scale-[0.98] disabled:opacity-50'
+                    }`}
+                  >
+                    {saving ? 'Encrypting...' : saved ? '✓ Saved!' : hasApiKey ? 'Update' : 'Save'}
+                  </button>
+                  <button
+                    onClick={handleTestApiKey}
+                    disabled={testing || (!apiKey.trim() && !decryptedApiKey)}
+                    className="px-4 py-2.5 border-2 border-emerald-200 dark:border-emerald-800 text-emerald-600 dark:text-emerald-400 font-semibold rounded-xl hover:bg-emerald-50 dark:hover:bg-emerald-900/20 transition-colors disabled:opacity-50"
+                  >
+                    {testing ? 'Testing...' : 'Test API'}
+                  </button>
                 </div>
-              )}
-            </div>
+
+                {/* Test Result */}
+                {testResult && (
+                  <div className={`mt-2 p-2 rounded-lg text-sm ${
+                    testResult.success
+                      ? 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-700 dark:text-emerald-300'
+                      : 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300'
+                  }`}>
+                    {testResult.success ? '✓ Connection works!' : `✗ ${testResult.error}`}
+                  </div>
+                )}
+              </div>
+            )}
 
             {/* Biometric Section */}
             {biometricAvailable && (
@@ -276,11 +296,23 @@ export function SettingsModal({ isOpen, onClose }) {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
                 </svg>
                 <p className="text-xs text-emerald-700 dark:text-emerald-300">
-                  Your API key is encrypted with AES-256-GCM using a key derived from your password. It's stored locally and never sent anywhere except to Anthropic's API.
+                  Your API key is encrypted with AES-256-GCM using a key derived from your password. It's stored locally and never sent anywhere except to the AI provider you choose.
                 </p>
               </div>
             </div>
 
+            {/* Scan Photo Compression */}
+            <UploadSettings />
+
+            {/* API Usage and Budget */}
+            <ApiUsage />
+
+            {/* Export / Import */}
+            <DataManagement onDataChanged={onDataChanged} />
+
+            {/* Meal Photo Storage */}
+            <PhotoStorage />
+
             {/* Debug Date */}
             <div className="bg-gray-100 dark:bg-gray-700/50 rounded-xl p-3">
               <p className="text-xs text-gray-500 dark:text-gray-400 font-mono text-center">
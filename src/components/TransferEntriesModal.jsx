@@ -0,0 +1,112 @@
+import { useState } from 'react'
+import { addDays, formatDateDisplay, getTodayPST } from '../utils/dateUtils'
+
+/**
+ * Pick a day to copy or move the selected entries to
+ * @param {'copy' | 'move'} mode
+ */
+export function TransferEntriesModal({ mode, count, currentDate, onConfirm, onClose }) {
+  const today = getTodayPST()
+  const [targetDate, setTargetDate] = useState(() => (currentDate < today ? today : addDays(currentDate, -1)))
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const isMove = mode === 'move'
+  const noun = count === 1 ? 'item' : 'items'
+
+  const quickDates = [
+    { label: 'Today', date: today },
+    { label: 'Yesterday', date: addDays(today, -1) }
+  ]
+
+  const handleConfirm = async () => {
+    if (!targetDate || targetDate > today) {
+      setError('Choose a date no later than today')
+      return
+    }
+    if (isMove && targetDate === currentDate) {
+      setError('Choose a different day to move to')
+      return
+    }
+
+    setSaving(true)
+    setError('')
+
+    try {
+      await onConfirm(targetDate)
+      onClose()
+    } catch (err) {
+      console.error(`Failed to ${mode} entries:`, err)
+      setError(err.message || `Failed to ${mode} entries`)
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-end justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-gray-800 w-full max-w-md rounded-t-3xl p-6 animate-slide-up"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="w-12 h-1 bg-gray-300 dark:bg-gray-600 rounded-full mx-auto mb-4" />
+        <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-1">
+          {isMove ? 'Move' : 'Copy'} {count} {noun}
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          {isMove
+            ? `The ${noun} will be removed from ${formatDateDisplay(currentDate)}.`
+            : 'Copies are added alongside anything already logged that day.'}
+        </p>
+
+        <div className="flex gap-2 mb-3">
+          {quickDates.map(({ label, date }) => (
+            <button
+              key={label}
+              onClick={() => setTargetDate(date)}
+              className={`flex-1 py-2 rounded-xl text-sm font-medium transition-colors ${
+                targetDate === date
+                  ? 'bg-emerald-500 text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <input
+          type="date"
+          value={targetDate}
+          max={today}
+          onChange={(e) => setTargetDate(e.target.value)}
+          className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+        />
+        {targetDate && (
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{formatDateDisplay(targetDate)}</p>
+        )}
+
+        {error && (
+          <p className="mt-3 text-sm text-red-500">{error}</p>
+        )}
+
+        <div className="flex gap-3 mt-4">
+          <button
+            onClick={onClose}
+            className="flex-1 py-3 border-2 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 font-semibold rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={saving}
+            className="flex-1 py-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 active:scale-[0.98] transition-all disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : isMove ? 'Move' : 'Copy'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TransferEntriesModal
@@ -0,0 +1,46 @@
+import { useEffect } from 'react'
+
+// How long the toast stays on screen before dismissing itself
+const TOAST_DURATION_MS = 5000
+
+/**
+ * Snackbar offering to undo or redo the last change, or just a message when there's no onAction.
+ * Mount with a `key` per toast
+ * so the dismiss timer restarts when a new message replaces the current one.
+ */
+export function UndoToast({ message, actionLabel, onAction, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_DURATION_MS)
+    return () => clearTimeout(timer)
+  }, [onDismiss])
+
+  return (
+    <div className="fixed bottom-24 inset-x-4 z-[70] flex justify-center pointer-events-none">
+      <div
+        role="status"
+        className="pointer-events-auto flex items-center gap-4 max-w-md w-full px-4 py-3 bg-gray-800 dark:bg-gray-700 text-white rounded-xl shadow-lg animate-fade-in"
+      >
+        <p className="flex-1 min-w-0 text-sm truncate">{message}</p>
+        {onAction && (
+          <button
+            onClick={onAction}
+            className="text-sm font-semibold text-emerald-400 hover:text-emerald-300"
+          >
+            {actionLabel}
+          </button>
+        )}
+        <button
+          onClick={onDismiss}
+          className="p-1 text-gray-400 hover:text-white"
+          title="Dismiss"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default UndoToast
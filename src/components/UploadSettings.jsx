@@ -0,0 +1,105 @@
+import { useState, useEffect } from 'react'
+import { getUploadSettings, setUploadSettings } from '../utils/db'
+import { DEFAULT_UPLOAD_SETTINGS, MAX_DIMENSION_OPTIONS, FORMAT_OPTIONS } from '../utils/imageCompression'
+
+const selectClass = 'w-full px-3 py-2.5 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+
+/**
+ * Settings section for how scan photos are compressed before they are sent for analysis
+ */
+export function UploadSettings() {
+  const [settings, setSettings] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      const loaded = await getUploadSettings()
+      if (!cancelled) {
+        setSettings(loaded)
+      }
+    }
+    load()
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Changes are saved as soon as they're made
+  const update = async (key, value) => {
+    const next = { ...settings, [key]: value }
+    setSettings(next)
+    setError('')
+
+    try {
+      await setUploadSettings(next)
+    } catch (err) {
+      console.error('Failed to save upload settings:', err)
+      setError(err.message || 'Failed to save upload settings')
+    }
+  }
+
+  if (!settings) return null
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">Scan Photo Upload</h3>
+
+      <div className="flex gap-2 mb-3">
+        <div className="flex-1 min-w-0">
+          <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Max size</label>
+          <select
+            value={settings.maxDimension}
+            onChange={(e) => update('maxDimension', Number(e.target.value))}
+            className={selectClass}
+          >
+            {MAX_DIMENSION_OPTIONS.map(size => (
+              <option key={size} value={size}>
+                {size}px{size === DEFAULT_UPLOAD_SETTINGS.maxDimension ? ' (recommended)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex-1 min-w-0">
+          <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Format</label>
+          <select
+            value={settings.format}
+            onChange={(e) => update('format', e.target.value)}
+            className={selectClass}
+          >
+            {FORMAT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <label className="flex justify-between text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+        <span>Quality</span>
+        <span>{Math.round(settings.quality * 100)}%</span>
+      </label>
+      <input
+        type="range"
+        min="0.5"
+        max="0.95"
+        step="0.05"
+        value={settings.quality}
+        onChange={(e) => update('quality', Number(e.target.value))}
+        className="w-full accent-emerald-500"
+      />
+
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        Photos are resized, turned upright and stripped of metadata such as location before they leave your device.
+        Smaller sizes upload faster on mobile data.
+      </p>
+
+      {error && (
+        <p className="mt-2 text-sm text-red-500">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default UploadSettings
@@ -1,4 +1,4 @@
-import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react'
+import { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import { getAuthData, setAuthData, hasAuthSetup, deleteAllData } from '../utils/db'
 import {
   hashPassword,
@@ -9,6 +9,7 @@ import {
   registerBiometric,
   authenticateBiometric
 } from '../utils/crypto'
+import { DEFAULT_PROVIDER_SETTINGS, resolveProvider } from '../utils/aiProviders'
 
 const AuthContext = createContext(null)
 
@@ -18,6 +19,32 @@ const MAX_FAILED_ATTEMPTS = 5
 const TAB_BLUR_TIMEOUT = 5 * 60 * 1000 // 5 minutes
 const SESSION_KEY = 'caltrack_session'
 
+// Encrypted API keys by provider ({ [provider]: { encrypted, iv } }).
+// A key saved before keys were kept per provider is the Anthropic key.
+function getStoredApiKeys(authData) {
+  const legacy = authData?.encryptedApiKey && authData?.apiKeyIV
+    ? { anthropic: { encrypted: authData.encryptedApiKey, iv: authData.apiKeyIV } }
+    : {}
+  return { ...legacy, ...authData?.apiKeys }
+}
+
+function hasStoredApiKeys(authData) {
+  return Object.keys(getStoredApiKeys(authData)).length > 0
+}
+
+// Decrypt every stored key; one that fails to decrypt is left out
+async function decryptApiKeys(authData, password) {
+  const apiKeys = {}
+  for (const [provider, { encrypted, iv }] of Object.entries(getStoredApiKeys(authData))) {
+    try {
+      apiKeys[provider] = await decryptData(encrypted, iv, password, authData.salt)
+    } catch (e) {
+      console.error(`[Auth] Failed to decrypt ${provider} API key:`, e)
+    }
+  }
+  return apiKeys
+}
+
 export function AuthProvider({ children }) {
   const [authState, setAuthState] = useState({
     isLoading: true,
@@ -26,8 +53,8 @@ export function AuthProvider({ children }) {
     authData: null
   })
 
-  // Store decrypted API key in memory only (never persisted)
-  const [decryptedApiKey, setDecryptedApiKey] = useState(null)
+  // Store decrypted API keys, by provider, in memory only (never persisted)
+  const [decryptedApiKeys, setDecryptedApiKeys] = useState({})
   const [currentPassword, setCurrentPassword] = useState(null)
 
   // Session timeout refs
@@ -169,8 +196,7 @@ export function AuthProvider({ children }) {
       const authData = {
         passwordHash: hash,
         salt: salt,
-        encryptedApiKey: null,
-        apiKeyIV: null,
+        apiKeys: {},
         biometricEnabled: false,
         biometricCredentialId: null,
         failedAttempts: 0,
@@ -240,38 +266,16 @@ export function AuthProvider({ children }) {
       // Reset failed attempts on success
       await setAuthData({ ...authData, failedAttempts: 0, lockoutUntil: null })
 
-      // Decrypt API key if exists
-      let apiKey = null
-      console.log('[Auth] Login - checking for encrypted API key:', {
-        hasEncryptedApiKey: !!authData.encryptedApiKey,
-        hasApiKeyIV: !!authData.apiKeyIV,
-        encryptedKeyLength: authData.encryptedApiKey?.length,
-        ivLength: authData.apiKeyIV?.length
-      })
-
-      if (authData.encryptedApiKey && authData.apiKeyIV) {
-        try {
-          console.log('[Auth] Attempting to decrypt API key with salt:', authData.salt?.substring(0, 10) + '...')
-          apiKey = await decryptData(
-            authData.encryptedApiKey,
-            authData.apiKeyIV,
-            password,
-            authData.salt
-          )
-          console.log('[Auth] API key decrypted successfully, key length:', apiKey?.length)
-        } catch (e) {
-          console.error('[Auth] Failed to decrypt API key:', e)
-        }
-      } else {
-        console.log('[Auth] No encrypted API key found in authData')
-      }
+      // Decrypt API keys if any are stored
+      const apiKeys = await decryptApiKeys(authData, password)
+      console.log('[Auth] Decrypted API keys for:', Object.keys(apiKeys))
 
       // Create session
       const session = { expiresAt: Date.now() + SESSION_TIMEOUT }
       sessionStorage.setItem(SESSION_KEY, JSON.stringify(session))
 
       setCurrentPassword(password)
-      setDecryptedApiKey(apiKey)
+      setDecryptedApiKeys(apiKeys)
       setAuthState({
         isLoading: false,
         needsSetup: false,
@@ -314,7 +318,7 @@ export function AuthProvider({ children }) {
         authData
       })
 
-      return { success: true, needsPasswordForApiKey: !!authData.encryptedApiKey }
+      return { success: true, needsPasswordForApiKey: hasStoredApiKeys(authData) }
     } catch (error) {
       console.error('Biometric login error:', error)
       return { success: false, error: error.message }
@@ -374,7 +378,25 @@ export function AuthProvider({ children }) {
     }
   }, [])
 
-  // Save API key (encrypt and store)
+  // Save AI provider settings ({ provider, baseUrl, model })
+  const saveAiProvider = useCallback(async (aiProvider) => {
+    try {
+      const authData = await getAuthData()
+      await setAuthData({ ...authData, aiProvider })
+
+      setAuthState(prev => ({
+        ...prev,
+        authData: { ...prev.authData, aiProvider }
+      }))
+
+      return { success: true }
+    } catch (error) {
+      console.error('Save AI provider error:', error)
+      return { success: false, error: error.message }
+    }
+  }, [])
+
+  // Save the API key for the selected provider (encrypt and store)
   const saveApiKey = useCallback(async (apiKey, password = currentPassword) => {
     try {
       console.log('[Auth] saveApiKey called, hasPassword:', !!password)
@@ -384,28 +406,26 @@ export function AuthProvider({ children }) {
       }
 
       const authData = await getAuthData()
+      const provider = resolveProvider(authData.aiProvider).id
       console.log('[Auth] Current authData salt:', authData?.salt ? 'exists' : 'missing')
 
       const { encrypted, iv } = await encryptData(apiKey, password, authData.salt)
-      console.log('[Auth] API key encrypted, encrypted length:', encrypted?.length, 'iv length:', iv?.length)
+      console.log('[Auth] API key encrypted for', provider, 'encrypted length:', encrypted?.length, 'iv length:', iv?.length)
 
-      const updatedAuthData = {
-        ...authData,
-        encryptedApiKey: encrypted,
-        apiKeyIV: iv
+      // Keys saved before per-provider storage move into apiKeys
+      const keyUpdates = {
+        apiKeys: { ...getStoredApiKeys(authData), [provider]: { encrypted, iv } },
+        encryptedApiKey: null,
+        apiKeyIV: null
       }
 
-      await setAuthData(updatedAuthData)
+      await setAuthData({ ...authData, ...keyUpdates })
       console.log('[Auth] Encrypted API key saved to IndexedDB')
 
-      // Verify it was saved
-      const verifyData = await getAuthData()
-      console.log('[Auth] Verification - encryptedApiKey exists:', !!verifyData?.encryptedApiKey, 'apiKeyIV exists:', !!verifyData?.apiKeyIV)
-
-      setDecryptedApiKey(apiKey)
+      setDecryptedApiKeys(prev => ({ ...prev, [provider]: apiKey }))
       setAuthState(prev => ({
         ...prev,
-        authData: { ...prev.authData, encryptedApiKey: encrypted, apiKeyIV: iv }
+        authData: { ...prev.authData, ...keyUpdates }
       }))
 
       return { success: true }
@@ -415,12 +435,12 @@ export function AuthProvider({ children }) {
     }
   }, [currentPassword])
 
-  // Unlock API key with password (for biometric login users)
+  // Unlock API keys with password (for biometric login users)
   const unlockApiKey = useCallback(async (password) => {
     try {
       const authData = await getAuthData()
 
-      if (!authData.encryptedApiKey || !authData.apiKeyIV) {
+      if (!hasStoredApiKeys(authData)) {
         return { success: false, error: 'No API key stored' }
       }
 
@@ -430,15 +450,10 @@ export function AuthProvider({ children }) {
         return { success: false, error: 'Invalid password' }
       }
 
-      const apiKey = await decryptData(
-        authData.encryptedApiKey,
-        authData.apiKeyIV,
-        password,
-        authData.salt
-      )
+      const apiKeys = await decryptApiKeys(authData, password)
 
       setCurrentPassword(password)
-      setDecryptedApiKey(apiKey)
+      setDecryptedApiKeys(apiKeys)
 
       return { success: true }
     } catch (error) {
@@ -450,7 +465,7 @@ export function AuthProvider({ children }) {
   // Lock the app
   const lock = useCallback(() => {
     // Clear sensitive data from memory
-    setDecryptedApiKey(null)
+    setDecryptedApiKeys({})
     setCurrentPassword(null)
     sessionStorage.removeItem(SESSION_KEY)
 
@@ -477,7 +492,7 @@ export function AuthProvider({ children }) {
       await deleteAllData()
 
       // Clear everything
-      setDecryptedApiKey(null)
+      setDecryptedApiKeys({})
       setCurrentPassword(null)
       sessionStorage.removeItem(SESSION_KEY)
 
@@ -500,17 +515,29 @@ export function AuthProvider({ children }) {
     return await isBiometricAvailable()
   }, [])
 
+  // Keys are only handed out for the selected provider, and only if it uses one,
+  // so a key is never sent to a different provider's server.
+  // Memoized so consumers (e.g. the scan queue's connection) only change when the settings do.
+  const storedAiProvider = authState.authData?.aiProvider
+  const aiProvider = useMemo(() => ({ ...DEFAULT_PROVIDER_SETTINGS, ...storedAiProvider }), [storedAiProvider])
+  const activeProvider = useMemo(() => resolveProvider(aiProvider), [aiProvider])
+  const storedApiKeys = getStoredApiKeys(authState.authData)
+  const hasApiKey = activeProvider.needsApiKey && !!storedApiKeys[activeProvider.id]
+  const decryptedApiKey = (activeProvider.needsApiKey && decryptedApiKeys[activeProvider.id]) || null
+
   const value = {
     ...authState,
     decryptedApiKey,
-    hasApiKey: !!authState.authData?.encryptedApiKey,
-    needsApiKeyUnlock: authState.isAuthenticated && authState.authData?.encryptedApiKey && !decryptedApiKey,
+    hasApiKey,
+    aiProvider,
+    needsApiKeyUnlock: authState.isAuthenticated && hasApiKey && !decryptedApiKey,
     setupAccount,
     loginWithPassword,
     loginWithBiometric,
     enableBiometric,
     disableBiometric,
     saveApiKey,
+    saveAiProvider,
     unlockApiKey,
     lock,
     deleteAll,
@@ -1,6 +1,57 @@
-import { useState, useEffect, useCallback } from 'react'
-import { db, createEmptyEntry, generateId, getDefaultCalorieTarget, addExerciseToHistory, addActivityToHistory } from '../utils/db'
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { db, createEmptyEntry, normalizeEntry, generateId, getDefaultCalorieTarget, getDefaultMacroTargets, addExerciseToHistory, addActivityToHistory, releaseExerciseFromHistory, releaseActivityFromHistory } from '../utils/db'
 import { getNowTimePST } from '../utils/dateUtils'
+import { resolveMacroTargetGrams } from '../utils/macros'
+
+// Maximum number of undoable changes kept in memory
+const MAX_UNDO_STEPS = 50
+
+// Consecutive coalescing edits (e.g. typing notes) within this window share one undo step
+const COALESCE_WINDOW_MS = 2000
+
+// History tables key names case-insensitively
+function isSameName(a, b) {
+  return a?.toLowerCase().trim() === b?.toLowerCase().trim()
+}
+
+// Fill in defaults for a new meal, logged now unless a time is given
+function buildMeal(meal) {
+  return {
+    id: generateId(),
+    time: meal.time || getNowTimePST(),
+    name: meal.name || '',
+    items: meal.items || '',
+    totalCal: meal.totalCal || 0,
+    protein: meal.protein || 0,
+    carbs: meal.carbs || 0,
+    fat: meal.fat || 0,
+    foods: meal.foods || [],
+    recipe: meal.recipe || null,
+    revisions: meal.revisions || null,
+    photoId: meal.photoId || null,
+    pendingScan: meal.pendingScan || false,
+    image: meal.image || null
+  }
+}
+
+/**
+ * Read the stored entry for a date, or a new empty entry with the default targets
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<object>}
+ */
+async function readEntry(date) {
+  const existing = await db.dailyEntries.get(date)
+  const defaultMacros = await getDefaultMacroTargets()
+
+  if (existing) {
+    // Ensure exercises, cardio and macro targets exist for backwards compatibility
+    return normalizeEntry(existing, defaultMacros)
+  }
+
+  // Get default calorie and macro targets for new entries
+  const defaultTarget = await getDefaultCalorieTarget()
+  return createEmptyEntry(date, defaultTarget, defaultMacros)
+}
 
 /**
  * Custom hook for loading and saving daily entries
@@ -12,6 +63,15 @@ export function useDaily(date) {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
+  // Undo/redo stacks of { date, label, before, after, at } snapshots. Kept here rather than
+  // per date so the history survives switching days.
+  const [history, setHistory] = useState({ past: [], future: [] })
+  const historyRef = useRef(history) // For checks from outside a render (the scan queue)
+
+  useEffect(() => {
+    historyRef.current = history
+  }, [history])
+
   // Load entry for the given date
   useEffect(() => {
     let cancelled = false
@@ -21,20 +81,9 @@ export function useDaily(date) {
       setError(null)
 
       try {
-        const existing = await db.dailyEntries.get(date)
+        const loaded = await readEntry(date)
         if (!cancelled) {
-          if (existing) {
-            // Ensure exercises and cardio arrays exist for backwards compatibility
-            setEntry({
-              ...existing,
-              exercises: existing.exercises || [],
-              cardio: existing.cardio || []
-            })
-          } else {
-            // Get default calorie target for new entries
-            const defaultTarget = await getDefaultCalorieTarget()
-            setEntry(createEmptyEntry(date, defaultTarget))
-          }
+          setEntry(loaded)
         }
       } catch (err) {
         if (!cancelled) {
@@ -55,6 +104,17 @@ export function useDaily(date) {
     }
   }, [date])
 
+  // Re-read the entry after changes made outside this hook (e.g. data import).
+  // Snapshots may no longer match the stored data, so the undo history is cleared.
+  const reload = useCallback(async () => {
+    setHistory({ past: [], future: [] })
+    try {
+      setEntry(await readEntry(date))
+    } catch (err) {
+      setError(err)
+    }
+  }, [date])
+
   // Save entry to database
   const saveEntry = useCallback(async (updatedEntry) => {
     try {
@@ -66,25 +126,208 @@ export function useDaily(date) {
     }
   }, [])
 
-  // Add a meal
-  const addMeal = useCallback(async (meal) => {
-    const newMeal = {
-      id: generateId(),
-      time: meal.time || getNowTimePST(),
-      name: meal.name || '',
-      items: meal.items || '',
-      totalCal: meal.totalCal || 0,
-      image: meal.image || null
+  // Save several entries at once, updating the visible entry if it's among them
+  const saveEntries = useCallback(async (updatedEntries) => {
+    try {
+      await db.transaction('rw', db.dailyEntries, async () => {
+        await db.dailyEntries.bulkPut(updatedEntries)
+      })
+      const current = updatedEntries.find(e => e.date === date)
+      if (current) {
+        setEntry(current)
+      }
+    } catch (err) {
+      setError(err)
+      throw err
     }
+  }, [date])
+
+  // Save entries and record the change on the undo stack. `changes` is a list of
+  // { before, after } snapshots so one undo step can span several days.
+  const commitEntries = useCallback(async (changes, label, { coalesce = false } = {}) => {
+    await saveEntries(changes.map(change => change.after))
+
+    const now = Date.now()
+    const recordDate = changes[changes.length - 1].after.date
+    setHistory(prev => {
+      const last = prev.past[prev.past.length - 1]
+      if (coalesce && last && last.date === recordDate && last.label === label && now - last.at < COALESCE_WINDOW_MS) {
+        const merged = last.changes.map((change, i) => ({ ...change, after: changes[i]?.after ?? change.after }))
+        return {
+          past: [...prev.past.slice(0, -1), { ...last, changes: merged, at: now }],
+          future: []
+        }
+      }
+
+      const record = { date: recordDate, label, changes, at: now }
+      return {
+        past: [...prev.past, record].slice(-MAX_UNDO_STEPS),
+        future: []
+      }
+    })
+  }, [saveEntries])
+
+  // Save the current entry and record the change on the undo stack
+  const commitEntry = useCallback(async (updatedEntry, label, options) => {
+    await commitEntries([{ before: entry, after: updatedEntry }], label, options)
+  }, [entry, commitEntries])
+
+  // Apply a change that isn't itself undoable to every undo/redo snapshot of that day,
+  // so undoing or redoing other changes doesn't revert it
+  const patchHistory = useCallback((patchDate, patch) => {
+    const patchSnapshot = snapshot => (snapshot.date === patchDate ? patch(snapshot) : snapshot)
+    const patchRecord = record => ({
+      ...record,
+      changes: record.changes.map(change => ({ before: patchSnapshot(change.before), after: patchSnapshot(change.after) }))
+    })
+    setHistory(prev => ({
+      past: prev.past.map(patchRecord),
+      future: prev.future.map(patchRecord)
+    }))
+  }, [])
+
+  // Add the placeholder meal for a queued scan (see scanQueue.js). It isn't undoable:
+  // redoing it after the scan was processed would bring back a placeholder nothing fills in.
+  const addPendingMeal = useCallback(async (meal) => {
+    const newMeal = buildMeal(meal)
+
+    await saveEntry({ ...entry, meals: [...entry.meals, newMeal] })
+    patchHistory(entry.date, snapshot => ({ ...snapshot, meals: [...snapshot.meals, newMeal] }))
+    return newMeal
+  }, [entry, saveEntry, patchHistory])
+
+  // Fill in a queued scan's placeholder meal on any day, in the database, the visible entry
+  // and the undo/redo snapshots, so neither a later save nor undo brings the placeholder back.
+  // `resolve` maps the placeholder to the filled-in meal. Returns false if the placeholder
+  // was deleted or already filled in.
+  const resolvePendingMeal = useCallback(async (mealDate, mealId, resolve) => {
+    const isPlaceholder = meal => meal.id === mealId && meal.pendingScan
+    const patch = snapshot => (snapshot.meals.some(isPlaceholder)
+      ? { ...snapshot, meals: snapshot.meals.map(meal => (isPlaceholder(meal) ? resolve(meal) : meal)) }
+      : snapshot)
+
+    const resolved = await db.transaction('rw', db.dailyEntries, async () => {
+      const stored = await db.dailyEntries.get(mealDate)
+      if (!stored?.meals.some(isPlaceholder)) return false
+
+      await db.dailyEntries.put(patch(stored))
+      return true
+    })
+
+    // A deleted placeholder can still come back through undo, so history is patched either way
+    setEntry(prev => (prev.date === mealDate ? patch(prev) : prev))
+    patchHistory(mealDate, patch)
+    return resolved
+  }, [patchHistory])
+
+  // Whether undo or redo could bring back a placeholder meal that's no longer stored
+  const canRestorePendingMeal = useCallback((mealDate, mealId) => {
+    const { past, future } = historyRef.current
+    return [...past, ...future].some(record => record.changes.some(change =>
+      [change.before, change.after].some(snapshot =>
+        snapshot.date === mealDate && snapshot.meals.some(meal => meal.id === mealId && meal.pendingScan)
+      )
+    ))
+  }, [])
+
+  // Undo the most recent change. Returns the undone record, or null if there was nothing to undo.
+  // Exercise/activity history counts are autocomplete hints and are not rolled back.
+  const undo = useCallback(async () => {
+    const record = history.past[history.past.length - 1]
+    if (!record) return null
+
+    await saveEntries(record.changes.map(change => change.before))
+    setHistory(prev => ({
+      past: prev.past.slice(0, -1),
+      future: [...prev.future, record]
+    }))
+    return record
+  }, [history, saveEntries])
+
+  // Redo the most recently undone change. Returns the redone record, or null.
+  const redo = useCallback(async () => {
+    const record = history.future[history.future.length - 1]
+    if (!record) return null
+
+    await saveEntries(record.changes.map(change => change.after))
+    setHistory(prev => ({
+      past: [...prev.past, record],
+      future: prev.future.slice(0, -1)
+    }))
+    return record
+  }, [history, saveEntries])
+
+  // Copy meals/exercises/cardio into another day with fresh ids. With `move`, the
+  // originals are removed from the current day. Records a single undo step.
+  // Pending scan placeholders stay put: their queued scan only fills in the original.
+  const copyItemsToDate = useCallback(async (items, targetDate, { move = false } = {}) => {
+    const meals = (items.meals || []).filter(meal => !meal.pendingScan)
+    const exercises = items.exercises || []
+    const cardio = items.cardio || []
+    const count = meals.length + exercises.length + cardio.length
+    if (count === 0) return 0
+
+    const isSameDay = targetDate === date
+    if (move && isSameDay) return 0
+
+    const withNewId = item => ({ ...item, id: generateId() })
+    const target = isSameDay ? entry : await readEntry(targetDate)
+    const updatedTarget = {
+      ...target,
+      meals: [...target.meals, ...meals.map(withNewId)],
+      exercises: [...(target.exercises || []), ...exercises.map(withNewId)],
+      cardio: [...(target.cardio || []), ...cardio.map(withNewId)]
+    }
+
+    const changes = []
+    if (move) {
+      const movedIds = new Set([...meals, ...exercises, ...cardio].map(item => item.id))
+      changes.push({
+        before: entry,
+        after: {
+          ...entry,
+          meals: entry.meals.filter(meal => !movedIds.has(meal.id)),
+          exercises: (entry.exercises || []).filter(ex => !movedIds.has(ex.id)),
+          cardio: (entry.cardio || []).filter(c => !movedIds.has(c.id))
+        }
+      })
+    }
+    changes.push({ before: target, after: updatedTarget })
+
+    const noun = count === 1 ? 'item' : 'items'
+    await commitEntries(changes, `${count} ${noun} ${move ? 'moved' : 'copied'}`)
+
+    // Copies count as new uses for autocomplete; moved items were already counted
+    if (!move) {
+      for (const ex of exercises) {
+        if (ex.name) await addExerciseToHistory(ex.name)
+      }
+      for (const c of cardio) {
+        if (c.name) await addActivityToHistory(c.name)
+      }
+    }
+
+    return count
+  }, [date, entry, commitEntries])
+
+  // Add several meals in one save (and one undo step), e.g. from a meal template
+  const addMeals = useCallback(async (meals, label = 'Meals added') => {
+    const newMeals = meals.map(buildMeal)
 
     const updatedEntry = {
       ...entry,
-      meals: [...entry.meals, newMeal]
+      meals: [...entry.meals, ...newMeals]
     }
 
-    await saveEntry(updatedEntry)
+    await commitEntry(updatedEntry, label)
+    return newMeals
+  }, [entry, commitEntry])
+
+  // Add a meal
+  const addMeal = useCallback(async (meal) => {
+    const [newMeal] = await addMeals([meal], 'Meal added')
     return newMeal
-  }, [entry, saveEntry])
+  }, [addMeals])
 
   // Update a meal
   const updateMeal = useCallback(async (mealId, updates) => {
@@ -95,8 +338,8 @@ export function useDaily(date) {
       )
     }
 
-    await saveEntry(updatedEntry)
-  }, [entry, saveEntry])
+    await commitEntry(updatedEntry, 'Meal updated')
+  }, [entry, commitEntry])
 
   // Delete a meal
   const deleteMeal = useCallback(async (mealId) => {
@@ -105,8 +348,8 @@ export function useDaily(date) {
       meals: entry.meals.filter(meal => meal.id !== mealId)
     }
 
-    await saveEntry(updatedEntry)
-  }, [entry, saveEntry])
+    await commitEntry(updatedEntry, 'Meal deleted')
+  }, [entry, commitEntry])
 
   // Add a workout
   const addWorkout = useCallback(async (workout) => {
@@ -122,9 +365,9 @@ export function useDaily(date) {
       workouts: [...entry.workouts, newWorkout]
     }
 
-    await saveEntry(updatedEntry)
+    await commitEntry(updatedEntry, 'Workout added')
     return newWorkout
-  }, [entry, saveEntry])
+  }, [entry, commitEntry])
 
   // Update a workout
   const updateWorkout = useCallback(async (workoutId, updates) => {
@@ -135,8 +378,8 @@ export function useDaily(date) {
       )
     }
 
-    await saveEntry(updatedEntry)
-  }, [entry, saveEntry])
+    await commitEntry(updatedEntry, 'Workout updated')
+  }, [entry, commitEntry])
 
   // Delete a workout
   const deleteWorkout = useCallback(async (workoutId) => {
@@ -145,8 +388,8 @@ export function useDaily(date) {
       workouts: entry.workouts.filter(workout => workout.id !== workoutId)
     }
 
-    await saveEntry(updatedEntry)
-  }, [entry, saveEntry])
+    await commitEntry(updatedEntry, 'Workout deleted')
+  }, [entry, commitEntry])
 
   // Add an exercise (new format)
   const addExercise = useCallback(async (exercise) => {
@@ -164,7 +407,7 @@ export function useDaily(date) {
       exercises: [...(entry.exercises || []), newExercise]
     }
 
-    await saveEntry(updatedEntry)
+    await commitEntry(updatedEntry, 'Exercise added')
 
     // Add to exercise history for autocomplete
     if (exercise.name) {
@@ -172,10 +415,11 @@ export function useDaily(date) {
     }
 
     return newExercise
-  }, [entry, saveEntry])
+  }, [entry, commitEntry])
 
   // Update an exercise
   const updateExercise = useCallback(async (exerciseId, updates) => {
+    const previous = (entry.exercises || []).find(ex => ex.id === exerciseId)
     const updatedEntry = {
       ...entry,
       exercises: (entry.exercises || []).map(ex =>
@@ -183,13 +427,16 @@ export function useDaily(date) {
       )
     }
 
-    await saveEntry(updatedEntry)
+    await commitEntry(updatedEntry, 'Exercise updated')
 
     // Update exercise history if name changed
-    if (updates.name) {
+    if (updates.name && !isSameName(updates.name, previous?.name)) {
       await addExerciseToHistory(updates.name)
+      if (previous?.name) {
+        await releaseExerciseFromHistory(previous.name)
+      }
     }
-  }, [entry, saveEntry])
+  }, [entry, commitEntry])
 
   // Delete an exercise
   const deleteExercise = useCallback(async (exerciseId) => {
@@ -198,8 +445,8 @@ export function useDaily(date) {
       exercises: (entry.exercises || []).filter(ex => ex.id !== exerciseId)
     }
 
-    await saveEntry(updatedEntry)
-  }, [entry, saveEntry])
+    await commitEntry(updatedEntry, 'Exercise deleted')
+  }, [entry, commitEntry])
 
   // Add a cardio activity
   const addCardio = useCallback(async (activity) => {
@@ -216,14 +463,35 @@ export function useDaily(date) {
       cardio: [...(entry.cardio || []), newCardio]
     }
 
-    await saveEntry(updatedEntry)
+    await commitEntry(updatedEntry, 'Cardio added')
 
     if (activity.name) {
       await addActivityToHistory(activity.name)
     }
 
     return newCardio
-  }, [entry, saveEntry])
+  }, [entry, commitEntry])
+
+  // Update a cardio activity
+  const updateCardio = useCallback(async (cardioId, updates) => {
+    const previous = (entry.cardio || []).find(c => c.id === cardioId)
+    const updatedEntry = {
+      ...entry,
+      cardio: (entry.cardio || []).map(c =>
+        c.id === cardioId ? { ...c, ...updates } : c
+      )
+    }
+
+    await commitEntry(updatedEntry, 'Cardio updated')
+
+    // Update activity history if name changed
+    if (updates.name && !isSameName(updates.name, previous?.name)) {
+      await addActivityToHistory(updates.name)
+      if (previous?.name) {
+        await releaseActivityFromHistory(previous.name)
+      }
+    }
+  }, [entry, commitEntry])
 
   // Delete a cardio activity
   const deleteCardio = useCallback(async (cardioId) => {
@@ -232,8 +500,8 @@ export function useDaily(date) {
       cardio: (entry.cardio || []).filter(c => c.id !== cardioId)
     }
 
-    await saveEntry(updatedEntry)
-  }, [entry, saveEntry])
+    await commitEntry(updatedEntry, 'Cardio deleted')
+  }, [entry, commitEntry])
 
   // Update daily notes
   const updateDailyNotes = useCallback(async (notes) => {
@@ -242,24 +510,29 @@ export function useDaily(date) {
       dailyNotes: notes
     }
 
-    await saveEntry(updatedEntry)
-  }, [entry, saveEntry])
+    await commitEntry(updatedEntry, 'Notes edited', { coalesce: true })
+  }, [entry, commitEntry])
 
-  // Update target calories
-  const updateTargetCalories = useCallback(async (calories) => {
+  // Update calorie and macro targets together
+  const updateTargets = useCallback(async (calories, macroTargets) => {
     const updatedEntry = {
       ...entry,
-      targetCalories: calories
+      targetCalories: calories,
+      macroTargets
     }
 
-    await saveEntry(updatedEntry)
-  }, [entry, saveEntry])
+    await commitEntry(updatedEntry, 'Targets changed')
+  }, [entry, commitEntry])
 
   // Computed values
   const totalCalories = entry.meals.reduce((sum, meal) => sum + (meal.totalCal || 0), 0)
   const totalCaloriesBurned = (entry.cardio || []).reduce((sum, c) => sum + (c.caloriesBurned || 0), 0)
   const netCalories = totalCalories - totalCaloriesBurned
   const remainingCalories = entry.targetCalories - netCalories
+  const totalProtein = entry.meals.reduce((sum, meal) => sum + (meal.protein || 0), 0)
+  const totalCarbs = entry.meals.reduce((sum, meal) => sum + (meal.carbs || 0), 0)
+  const totalFat = entry.meals.reduce((sum, meal) => sum + (meal.fat || 0), 0)
+  const macroTargetGrams = resolveMacroTargetGrams(entry.macroTargets, entry.targetCalories)
 
   return {
     // Data
@@ -272,9 +545,17 @@ export function useDaily(date) {
     totalCaloriesBurned,
     netCalories,
     remainingCalories,
+    totalProtein,
+    totalCarbs,
+    totalFat,
+    macroTargetGrams,
 
     // Meal actions
     addMeal,
+    addMeals,
+    addPendingMeal,
+    resolvePendingMeal,
+    canRestorePendingMeal,
     updateMeal,
     deleteMeal,
 
@@ -285,6 +566,7 @@ export function useDaily(date) {
 
     // Cardio actions
     addCardio,
+    updateCardio,
     deleteCardio,
 
     // Workout actions (legacy)
@@ -292,10 +574,20 @@ export function useDaily(date) {
     updateWorkout,
     deleteWorkout,
 
+    // Copy/move between days
+    copyItemsToDate,
+
     // Other actions
     updateDailyNotes,
-    updateTargetCalories,
-    saveEntry
+    updateTargets,
+    saveEntry,
+    reload,
+
+    // Undo/redo
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
   }
 }
 
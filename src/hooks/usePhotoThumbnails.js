@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react'
+import { getPhotoThumbnails } from '../utils/mealPhotos'
+
+/**
+ * Thumbnails for the given meal photos, loaded from the mealPhotos table
+ * @param {string[]} photoIds
+ * @returns {Object<string, string>} - Thumbnail data URL by photo id
+ */
+export function usePhotoThumbnails(photoIds) {
+  const [thumbnails, setThumbnails] = useState({})
+  // Reload only when the set of ids changes, not on every render's new array
+  const idsKey = photoIds.join(',')
+
+  useEffect(() => {
+    if (!idsKey) return
+    let cancelled = false
+
+    getPhotoThumbnails(idsKey.split(',')).then(loaded => {
+      if (!cancelled) {
+        setThumbnails(loaded)
+      }
+    }).catch(err => {
+      console.error('Failed to load photo thumbnails:', err)
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [idsKey])
+
+  return thumbnails
+}
+
+export default usePhotoThumbnails
@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { enqueueScan, countQueuedScans, processScanQueue } from '../utils/scanQueue'
+
+// Set or clear the app icon badge where the Badging API is supported (installed PWAs)
+function setAppBadge(count) {
+  if (!('setAppBadge' in navigator)) return
+  const request = count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge()
+  request.catch(err => console.error('Failed to update app badge:', err))
+}
+
+/**
+ * Offline scan queue: counts queued scans and analyzes them whenever the app is back online
+ * @param {object} connection - AI provider settings plus apiKey (see aiProviders.js)
+ * @param {boolean} canAnalyze - False while no usable API key is available
+ * @param {object} meals - useDaily's { resolvePendingMeal, canRestorePendingMeal } for the placeholder meals
+ * @returns {{queuedCount: number, resultCount: number, queueScan: function, clearResults: function}}
+ */
+export function useScanQueue(connection, canAnalyze, meals) {
+  const [queuedCount, setQueuedCount] = useState(0)
+  const [resultCount, setResultCount] = useState(0) // Scans filled in since last seen, shown as a badge
+  const processingRef = useRef(false)
+  const mealsRef = useRef(meals)
+
+  useEffect(() => {
+    mealsRef.current = meals
+  }, [meals])
+
+  const refreshCount = useCallback(async () => {
+    setQueuedCount(await countQueuedScans())
+  }, [])
+
+  const processQueue = useCallback(async () => {
+    if (!canAnalyze || !navigator.onLine || processingRef.current) {
+      await refreshCount()
+      return
+    }
+    processingRef.current = true
+
+    try {
+      const { analyzed, failed } = await processScanQueue(connection, {
+        resolveMeal: (date, mealId, resolve) => mealsRef.current.resolvePendingMeal(date, mealId, resolve),
+        canRestoreMeal: (date, mealId) => mealsRef.current.canRestorePendingMeal(date, mealId)
+      })
+      const done = analyzed.length + failed.length
+      if (done > 0) {
+        setResultCount(count => count + done)
+      }
+    } catch (err) {
+      console.error('Failed to process scan queue:', err)
+    } finally {
+      processingRef.current = false
+      await refreshCount()
+    }
+  }, [connection, canAnalyze, refreshCount])
+
+  // Try on start and unlock, whenever the connection comes back, and when the app is reopened
+  // (a server that was unreachable while the device stayed online doesn't fire 'online')
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (!document.hidden) {
+        processQueue()
+      }
+    }
+
+    processQueue()
+    window.addEventListener('online', processQueue)
+    document.addEventListener('visibilitychange', handleVisibility)
+    return () => {
+      window.removeEventListener('online', processQueue)
+      document.removeEventListener('visibilitychange', handleVisibility)
+    }
+  }, [processQueue])
+
+  useEffect(() => {
+    setAppBadge(resultCount)
+  }, [resultCount])
+
+  const queueScan = useCallback(async (scan) => {
+    await enqueueScan(scan)
+    await refreshCount()
+  }, [refreshCount])
+
+  const clearResults = useCallback(() => setResultCount(0), [])
+
+  return { queuedCount, resultCount, queueScan, clearResults }
+}
+
+export default useScanQueue
@@ -0,0 +1,350 @@
+/**
+ * AI providers - where analysis requests are sent
+ * - anthropic: the Claude Messages API
+ * - openai: any OpenAI-compatible Chat Completions endpoint
+ * - local: a self-hosted OpenAI-compatible server (Ollama, LM Studio, scripts/mock-ai-server.js)
+ * - mock: deterministic replies without any network, see mockAi.js
+ * Requests are built in Anthropic's message format and converted for other protocols.
+ * Every request has a timeout, retries rate limits and server errors with backoff, and can be
+ * cancelled with an AbortSignal. Requests are logged to the usage table (see apiUsage.js).
+ */
+
+import { mockReply } from './mockAi'
+import { recordApiCall, getBudgetStatus, isPricedModel, formatCost } from './apiUsage'
+
+export const PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic (Claude)',
+    protocol: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-sonnet-4-20250514',
+    needsApiKey: true
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    protocol: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o',
+    needsApiKey: true
+  },
+  local: {
+    label: 'Local model',
+    protocol: 'openai',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llava',
+    needsApiKey: false
+  },
+  mock: {
+    label: 'Mock (offline)',
+    protocol: 'mock',
+    baseUrl: '',
+    model: 'mock',
+    needsApiKey: false
+  }
+}
+
+// Blank baseUrl and model mean "use the provider's default"
+export const DEFAULT_PROVIDER_SETTINGS = {
+  provider: 'anthropic',
+  baseUrl: '',
+  model: '',
+  timeoutSeconds: 60
+}
+
+// Photo analysis can take a while, and local models on slow hardware longer still
+export const TIMEOUT_OPTIONS = [30, 60, 120, 300]
+
+// Mock replies wait briefly so loading states can be seen
+const MOCK_DELAY_MS = 400
+
+// Retries for rate limits (429), overload (529) and server errors, with exponential backoff
+// starting at RETRY_BASE_DELAY_MS. A retry-after longer than RETRY_MAX_DELAY_MS is not waited out.
+const MAX_RETRIES = 2
+const RETRY_BASE_DELAY_MS = 1000
+const RETRY_MAX_DELAY_MS = 20000
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529]
+
+/**
+ * Fill in provider defaults
+ * @param {object} settings - { provider, baseUrl, model }
+ * @returns {object} - The provider definition with the effective baseUrl and model
+ */
+export function resolveProvider(settings) {
+  const id = PROVIDERS[settings?.provider] ? settings.provider : DEFAULT_PROVIDER_SETTINGS.provider
+  const provider = PROVIDERS[id]
+  return {
+    ...provider,
+    id,
+    baseUrl: (settings?.baseUrl || provider.baseUrl).replace(/\/+$/, ''),
+    model: settings?.model || provider.model,
+    timeoutSeconds: settings?.timeoutSeconds || DEFAULT_PROVIDER_SETTINGS.timeoutSeconds
+  }
+}
+
+export function providerNeedsApiKey(settings) {
+  return resolveProvider(settings).needsApiKey
+}
+
+// Convert Anthropic content blocks to OpenAI chat content parts
+function toOpenAiContent(content) {
+  if (typeof content === 'string') return content
+  return content.map(block => block.type === 'image'
+    ? { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } }
+    : { type: 'text', text: block.text }
+  )
+}
+
+function buildRequest(provider, apiKey, messages, maxTokens) {
+  if (provider.protocol === 'anthropic') {
+    return {
+      url: `${provider.baseUrl}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: { model: provider.model, max_tokens: maxTokens, messages }
+    }
+  }
+
+  return {
+    url: `${provider.baseUrl}/chat/completions`,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    },
+    body: {
+      model: provider.model,
+      max_tokens: maxTokens,
+      messages: messages.map(message => ({ role: message.role, content: toOpenAiContent(message.content) }))
+    }
+  }
+}
+
+// Pull the reply text out of a provider response
+function readReply(provider, data) {
+  return provider.protocol === 'anthropic'
+    ? data.content?.[0]?.text
+    : data.choices?.[0]?.message?.content
+}
+
+// Token counts from a provider response
+function readUsage(provider, data) {
+  return provider.protocol === 'anthropic'
+    ? { inputTokens: data.usage?.input_tokens, outputTokens: data.usage?.output_tokens }
+    : { inputTokens: data.usage?.prompt_tokens, outputTokens: data.usage?.completion_tokens }
+}
+
+// Best-effort error message from a failed response; both APIs use { error: { message } }
+async function readErrorMessage(response) {
+  const errorText = await response.text()
+  console.error('[AiProviders] API Error Response:', {
+    status: response.status,
+    statusText: response.statusText,
+    body: errorText
+  })
+
+  try {
+    const errorData = JSON.parse(errorText)
+    return errorData.error?.message || `API request failed: ${response.status}`
+  } catch {
+    // Not JSON, use raw text
+    return errorText ? errorText.substring(0, 200) : `API request failed: ${response.status}`
+  }
+}
+
+// User-facing message for a failed response, by kind of failure
+async function describeFailure(provider, response) {
+  const detail = await readErrorMessage(response)
+
+  if (response.status === 401 || response.status === 403) {
+    return `Your ${provider.label} API key was rejected. Check it in Settings. (${detail})`
+  }
+  if (response.status === 429) {
+    return `${provider.label} rate limit reached. Wait a minute and try again.`
+  }
+  if (response.status === 529 || response.status === 503) {
+    return `${provider.label} is overloaded right now. Try again in a few minutes.`
+  }
+  if (response.status >= 500) {
+    return `${provider.label} had a server error (${response.status}). Try again shortly.`
+  }
+  return detail
+}
+
+// retry-after is either a number of seconds or an HTTP date
+function retryAfterMs(response) {
+  const header = response.headers.get('retry-after')
+  if (!header) return null
+
+  const seconds = Number(header)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+
+  const date = Date.parse(header)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+// Exponential backoff with jitter: ~1s, ~2s, ~4s...
+function backoffMs(attempt) {
+  return RETRY_BASE_DELAY_MS * 2 ** attempt * (0.75 + Math.random() * 0.5)
+}
+
+function abortError() {
+  return new DOMException('The request was cancelled', 'AbortError')
+}
+
+// Resolve after ms, or reject as soon as the signal aborts
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError())
+      return
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    function onAbort() {
+      clearTimeout(timer)
+      reject(abortError())
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+// One fetch attempt, aborted by the caller's signal or after the timeout
+async function fetchWithTimeout(provider, request, signal) {
+  if (signal?.aborted) throw abortError()
+
+  const controller = new AbortController()
+  const onAbort = () => controller.abort()
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, provider.timeoutSeconds * 1000)
+
+  try {
+    return await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: controller.signal
+    })
+  } catch (err) {
+    if (signal?.aborted) throw abortError()
+    if (timedOut) {
+      throw new Error(`${provider.label} didn't respond within ${provider.timeoutSeconds} seconds. Try again, or allow more time in Settings.`)
+    }
+    console.error('[AiProviders] Network error:', err)
+    const networkError = new Error(`Could not reach ${provider.baseUrl}. Check your connection and the provider URL in Settings.`)
+    networkError.isNetworkError = true
+    throw networkError
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+// Send a request, retrying network errors, rate limits and server errors.
+// Attempts and the last HTTP status are kept in stats for the usage log.
+async function fetchWithRetries(provider, request, signal, stats) {
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw abortError()
+    stats.attempts = attempt + 1
+
+    let response
+    try {
+      response = await fetchWithTimeout(provider, request, signal)
+    } catch (err) {
+      if (!err.isNetworkError || attempt >= MAX_RETRIES) throw err
+      console.warn(`[AiProviders] Network error, retry ${attempt + 1} of ${MAX_RETRIES}`)
+      await wait(backoffMs(attempt), signal)
+      continue
+    }
+
+    stats.status = response.status
+    if (response.ok) {
+      return await response.json()
+    }
+
+    const delay = retryAfterMs(response) ?? backoffMs(attempt)
+    if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= MAX_RETRIES || delay > RETRY_MAX_DELAY_MS) {
+      throw new Error(await describeFailure(provider, response))
+    }
+
+    console.warn(`[AiProviders] ${response.status}, retry ${attempt + 1} of ${MAX_RETRIES} in ${Math.round(delay)}ms`)
+    await wait(delay, signal)
+  }
+}
+
+/**
+ * Send a conversation to the configured provider and return the text of the reply.
+ * Network errors, rate limits and server errors are retried up to MAX_RETRIES times.
+ * If the server still can't be reached, the error has isNetworkError set so callers can try again later.
+ * Requests to priced models are refused without sending when the monthly budget is used up
+ * and set to block; that error has isBudgetExceeded set.
+ * @param {object} connection - Provider settings plus apiKey: { provider, baseUrl, model, timeoutSeconds, apiKey }
+ * @param {Array<{role: string, content: Array|string}>} messages - Alternating user and assistant
+ *   turns, in Anthropic's content block format
+ * @param {object} options
+ * @param {number} options.maxTokens - Reply length limit
+ * @param {AbortSignal} options.signal - Cancels the request, rejecting with an AbortError
+ * @returns {Promise<string>}
+ */
+export async function sendMessages(connection, messages, { maxTokens = 1024, signal } = {}) {
+  // Cancelled before anything was sent, e.g. while the photo was still being compressed
+  if (signal?.aborted) throw abortError()
+
+  const provider = resolveProvider(connection)
+
+  if (provider.protocol === 'mock') {
+    await wait(MOCK_DELAY_MS, signal)
+    return mockReply(messages)
+  }
+
+  if (provider.needsApiKey && !connection.apiKey) {
+    throw new Error(`API key not configured. Please add your ${provider.label} API key in Settings.`)
+  }
+
+  if (isPricedModel(provider.model)) {
+    const { budget, exceeded } = await getBudgetStatus()
+    if (exceeded && budget.action === 'block') {
+      const budgetError = new Error(`This month's API budget of ${formatCost(budget.monthlyLimit)} has been reached. Raise or remove it in Settings to keep scanning.`)
+      budgetError.isBudgetExceeded = true
+      throw budgetError
+    }
+  }
+
+  // Providers without a key of their own (e.g. local servers) never get one
+  const request = buildRequest(provider, provider.needsApiKey ? connection.apiKey : null, messages, maxTokens)
+  const stats = { attempts: 0, status: null }
+  const startedAt = Date.now()
+  const logCall = (outcome, details) => recordApiCall({
+    provider: provider.id,
+    model: provider.model,
+    latencyMs: Date.now() - startedAt,
+    attempts: stats.attempts,
+    status: stats.status,
+    outcome,
+    ...details
+  })
+
+  let data
+  try {
+    data = await fetchWithRetries(provider, request, signal, stats)
+  } catch (err) {
+    await logCall(signal?.aborted ? 'cancelled' : 'error', { error: err.message })
+    throw err
+  }
+
+  const text = readReply(provider, data)
+  await logCall(text ? 'success' : 'error', { ...readUsage(provider, data), error: text ? null : 'Empty reply' })
+  if (!text) {
+    throw new Error('No response from API')
+  }
+  return text
+}
@@ -0,0 +1,143 @@
+/**
+ * Analysis cache - scanning the same photo again reuses the earlier result instead of paying for another request
+ * - Keyed by a SHA-256 of the compressed image bytes sent to the API, plus the kind of scan and
+ *   the provider and model, so one model's result is never passed off as another's
+ * - Only paid providers are cached; local and mock results are never stored or reused
+ * - Holds the validated result as first returned; refinements aren't cached
+ * - Entries expire after MAX_AGE_DAYS and the least recently used are evicted past MAX_ENTRIES or MAX_BYTES
+ */
+
+import { db } from './db'
+import { base64ToBuffer } from './crypto'
+
+const MAX_AGE_DAYS = 30
+const MAX_ENTRIES = 200
+const MAX_BYTES = 1_000_000 // Serialized size of the stored results
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+async function sha256(data) {
+  return toHex(await crypto.subtle.digest('SHA-256', data))
+}
+
+/**
+ * Cache key for a scan of compressed images
+ * @param {Array<{base64: string}>} images - Photos as sent to the API, in order
+ * @param {object} options
+ * @param {object} options.provider - Resolved provider (see resolveProvider in aiProviders.js)
+ * @param {string} options.kind - 'meal' | 'label'
+ * @param {boolean} options.beforeAfter - Meal photos sent as a before and after pair
+ * @returns {Promise<string|null>} - null for providers whose results aren't cached
+ */
+export async function getAnalysisCacheKey(images, { provider, kind, beforeAfter = false }) {
+  if (!provider.needsApiKey) return null
+
+  const hashes = await Promise.all(images.map(image => sha256(base64ToBuffer(image.base64))))
+  return `${provider.id}:${provider.model}:${kind}${beforeAfter ? ':before-after' : ''}:${hashes.join(',')}`
+}
+
+function isExpired(entry, now) {
+  return now - entry.createdAt > MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+}
+
+// Drop expired entries, then the least recently used until within both limits
+async function evictEntries() {
+  const now = Date.now()
+  const entries = await db.analysisCache.orderBy('lastUsed').reverse().toArray()
+  const stale = []
+  let count = 0
+  let bytes = 0
+
+  for (const entry of entries) {
+    count += 1
+    bytes += entry.size
+    if (isExpired(entry, now) || count > MAX_ENTRIES || bytes > MAX_BYTES) {
+      stale.push(entry.key)
+    }
+  }
+
+  if (stale.length > 0) {
+    await db.analysisCache.bulkDelete(stale)
+  }
+}
+
+async function readEntry(key) {
+  const entry = await db.analysisCache.get(key)
+  if (!entry) return null
+
+  const now = Date.now()
+  if (isExpired(entry, now)) {
+    await db.analysisCache.delete(key)
+    return null
+  }
+
+  await db.analysisCache.update(key, { lastUsed: now, hits: entry.hits + 1 })
+  return entry
+}
+
+async function writeEntry(key, result) {
+  const now = Date.now()
+  await db.analysisCache.put({
+    key,
+    result,
+    size: JSON.stringify(result).length,
+    hits: 0,
+    createdAt: now,
+    lastUsed: now
+  })
+  await evictEntries()
+}
+
+/**
+ * Return the cached result for a key, or run the analysis and cache what it returns.
+ * Cache failures are reported but never stop the analysis.
+ * @param {string|null} key - From getAnalysisCacheKey; null skips the cache
+ * @param {function} analyze - Makes the request, resolving to the result
+ * @param {object} options
+ * @param {boolean} options.refresh - Ignore a cached result and replace it
+ * @returns {Promise<{result: object, cached: boolean}>} - cached is true when an earlier result was reused
+ */
+export async function withAnalysisCache(key, analyze, { refresh = false } = {}) {
+  if (!key) {
+    return { result: await analyze(), cached: false }
+  }
+
+  if (!refresh) {
+    try {
+      const entry = await readEntry(key)
+      if (entry) {
+        return { result: entry.result, cached: true }
+      }
+    } catch (err) {
+      console.error('Failed to read analysis cache:', err)
+    }
+  }
+
+  const result = await analyze()
+
+  try {
+    await writeEntry(key, result)
+  } catch (err) {
+    console.error('Failed to save analysis to cache:', err)
+  }
+  return { result, cached: false }
+}
+
+/**
+ * Size of the cache and how many requests it has saved
+ * @returns {Promise<{count: number, bytes: number, hits: number}>}
+ */
+export async function getAnalysisCacheStats() {
+  const entries = await db.analysisCache.toArray()
+  return {
+    count: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    hits: entries.reduce((sum, entry) => sum + entry.hits, 0)
+  }
+}
+
+export async function clearAnalysisCache() {
+  await db.analysisCache.clear()
+}
@@ -0,0 +1,163 @@
+/**
+ * Validation for meal analyses and nutrition labels returned by the AI (see ANALYSIS_FORMAT
+ * and LABEL_PROMPT in foodAnalyzer.js)
+ * - Numbers sent as strings ("250", "12g", "~300 kcal") are coerced
+ * - Totals are recomputed from foods[] when missing or inconsistent with the items
+ * - Anything that can't be repaired is reported as an error, worded so it can be fed back to the model
+ */
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat']
+
+// Analysis total field for each food nutrient
+const TOTAL_FIELDS = {
+  calories: 'totalCalories',
+  protein: 'totalProtein',
+  carbs: 'totalCarbs',
+  fat: 'totalFat'
+}
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low']
+
+// Per-serving label values that default to 0 when missing (calories are required)
+const LABEL_NUTRIENTS = ['protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium']
+
+// A total may be off from the sum of its items by rounding, but not by more than this
+const TOTAL_TOLERANCE = 0.05
+const TOTAL_TOLERANCE_MIN = 2
+
+// Accept numbers, or strings that start with one ("250", "12.5g", "~300 kcal")
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value !== 'string') return null
+  const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/)
+  return match ? parseFloat(match[0]) : null
+}
+
+// Calories are whole numbers, grams have one decimal place
+function roundNutrient(key, value) {
+  return key === 'calories' ? Math.round(value) : Math.round(value * 10) / 10
+}
+
+function isConsistent(total, sum) {
+  return Math.abs(total - sum) <= Math.max(TOTAL_TOLERANCE_MIN, sum * TOTAL_TOLERANCE)
+}
+
+/**
+ * Check a parsed analysis against the expected schema and repair what can be repaired
+ * @param {*} data - Parsed JSON from the model
+ * @returns {{analysis: object|null, errors: string[]}} - The cleaned analysis, or null with
+ *   the problems found when it can't be used
+ */
+export function validateAnalysis(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { analysis: null, errors: ['The reply must be a single JSON object.'] }
+  }
+  if (!Array.isArray(data.foods)) {
+    return { analysis: null, errors: ['"foods" must be an array of food items.'] }
+  }
+  if (data.foods.length === 0) {
+    return { analysis: null, errors: ['"foods" must list at least one food item.'] }
+  }
+
+  const errors = []
+  const foods = data.foods.map((item, i) => {
+    const label = `foods[${i}]`
+    if (!item || typeof item !== 'object') {
+      errors.push(`${label} must be an object.`)
+      return null
+    }
+
+    const name = typeof item.name === 'string' ? item.name.trim() : ''
+    if (!name) {
+      errors.push(`${label}.name must be a non-empty string.`)
+    }
+
+    const food = {
+      name,
+      portion: typeof item.portion === 'string' ? item.portion.trim() : String(item.portion ?? '')
+    }
+    for (const key of NUTRIENTS) {
+      const value = toNumber(item[key])
+      if (value === null || value < 0) {
+        errors.push(`${label}.${key} must be a non-negative number, got ${JSON.stringify(item[key] ?? null)}.`)
+      } else {
+        food[key] = roundNutrient(key, value)
+      }
+    }
+    return food
+  })
+
+  if (errors.length > 0) {
+    return { analysis: null, errors }
+  }
+
+  const analysis = { foods }
+  for (const key of NUTRIENTS) {
+    const sum = roundNutrient(key, foods.reduce((total, food) => total + food[key], 0))
+    const total = toNumber(data[TOTAL_FIELDS[key]])
+    if (total === null || !isConsistent(total, sum)) {
+      if (total !== null) {
+        console.warn(`[AnalysisSchema] ${TOTAL_FIELDS[key]} ${total} does not match the items (${sum}), using the sum`)
+      }
+      analysis[TOTAL_FIELDS[key]] = sum
+    } else {
+      analysis[TOTAL_FIELDS[key]] = roundNutrient(key, total)
+    }
+  }
+
+  analysis.confidence = readConfidence(data.confidence)
+  analysis.notes = typeof data.notes === 'string' ? data.notes : ''
+
+  return { analysis, errors: [] }
+}
+
+/**
+ * Check a parsed nutrition label and coerce its values to numbers
+ * @param {*} data - Parsed JSON from the model
+ * @returns {{label: object|null, errors: string[]}} - The cleaned label, or null with the
+ *   problems found when it can't be used
+ */
+export function validateLabel(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { label: null, errors: ['The reply must be a single JSON object.'] }
+  }
+
+  const errors = []
+  const calories = toNumber(data.calories)
+  if (calories === null || calories < 0) {
+    errors.push(`calories must be a non-negative number, got ${JSON.stringify(data.calories ?? null)}.`)
+  }
+
+  const label = {
+    productName: readText(data.productName),
+    brand: readText(data.brand),
+    servingSize: readText(data.servingSize),
+    servingsPerContainer: Math.max(0, toNumber(data.servingsPerContainer) ?? 0),
+    calories: Math.round(calories ?? 0)
+  }
+  for (const key of LABEL_NUTRIENTS) {
+    const value = toNumber(data[key])
+    if (value !== null && value < 0) {
+      errors.push(`${key} must be a non-negative number, got ${JSON.stringify(data[key])}.`)
+    }
+    label[key] = key === 'sodium' ? Math.round(value ?? 0) : Math.round((value ?? 0) * 10) / 10
+  }
+
+  if (errors.length > 0) {
+    return { label: null, errors }
+  }
+
+  label.confidence = readConfidence(data.confidence)
+  label.notes = readText(data.notes)
+  return { label, errors: [] }
+}
+
+function readText(value) {
+  return typeof value === 'string' ? value.trim() : ''
+}
+
+// An unknown confidence is treated as low rather than rejected
+function readConfidence(value) {
+  const confidence = typeof value === 'string' ? value.toLowerCase().trim() : ''
+  return CONFIDENCE_LEVELS.includes(confidence) ? confidence : 'low'
+}
@@ -0,0 +1,150 @@
+/**
+ * API usage tracking - every AI request is logged locally with its tokens, latency and outcome
+ * - Costs are estimates from MODEL_PRICES; models without a known price count as free
+ * - Days and months follow Pacific Time like the rest of the app
+ * - An optional monthly budget either warns before scanning or blocks requests once reached
+ */
+
+import { db, generateId, getAuthData } from './db'
+import { getDatePST, getTodayPST, addDays } from './dateUtils'
+
+// US dollars per million input and output tokens, matched by model name prefix
+const MODEL_PRICES = [
+  { prefix: 'claude-opus-4', input: 15, output: 75 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { prefix: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+  { prefix: 'gpt-4o', input: 2.5, output: 10 },
+  { prefix: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+  { prefix: 'gpt-4.1', input: 2, output: 8 }
+]
+
+// A monthly limit of 0 means no budget
+export const DEFAULT_USAGE_BUDGET = {
+  monthlyLimit: 0,
+  action: 'warn' // 'warn' | 'block'
+}
+
+// Usage older than this is dropped as new requests are logged
+const RETENTION_DAYS = 400
+
+// Requests to free models aren't held back by the budget
+export function isPricedModel(model) {
+  return MODEL_PRICES.some(p => model?.startsWith(p.prefix))
+}
+
+/**
+ * Estimated cost of a request
+ * @param {string} model
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number} - US dollars, 0 for models without a known price
+ */
+export function estimateCost(model, inputTokens, outputTokens) {
+  const price = MODEL_PRICES.find(p => model?.startsWith(p.prefix))
+  if (!price) return 0
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000
+}
+
+// Small amounts need more precision than whole cents
+export function formatCost(dollars) {
+  if (dollars === 0) return '$0'
+  return dollars < 0.1 ? `$${dollars.toFixed(3)}` : `$${dollars.toFixed(2)}`
+}
+
+/**
+ * Log one AI request. Failures to log are reported but never break the request itself.
+ * @param {object} call - { provider, model, inputTokens, outputTokens, latencyMs, attempts,
+ *   outcome: 'success' | 'error' | 'cancelled', status, error }
+ */
+export async function recordApiCall(call) {
+  try {
+    const now = Date.now()
+    await db.apiUsage.put({
+      id: generateId(),
+      createdAt: now,
+      date: getDatePST(now),
+      provider: call.provider,
+      model: call.model,
+      inputTokens: call.inputTokens || 0,
+      outputTokens: call.outputTokens || 0,
+      cost: estimateCost(call.model, call.inputTokens || 0, call.outputTokens || 0),
+      latencyMs: Math.round(call.latencyMs),
+      attempts: call.attempts || 1,
+      outcome: call.outcome,
+      status: call.status || null,
+      error: call.error || null
+    })
+    await db.apiUsage.where('createdAt').below(now - RETENTION_DAYS * 24 * 60 * 60 * 1000).delete()
+  } catch (err) {
+    console.error('Failed to record API usage:', err)
+  }
+}
+
+function emptyTotals() {
+  return { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, cost: 0 }
+}
+
+function addCall(totals, call) {
+  totals.calls += 1
+  if (call.outcome === 'error') totals.failures += 1
+  totals.inputTokens += call.inputTokens
+  totals.outputTokens += call.outputTokens
+  totals.cost += call.cost
+}
+
+/**
+ * Totals for today, this month and each of the last few days
+ * @param {number} days - Number of recent days to list
+ * @returns {Promise<{today: object, month: object, days: Array<{date: string} & object>}>}
+ *   Each totals object is { calls, failures, inputTokens, outputTokens, cost }
+ */
+export async function getUsageSummary(days = 7) {
+  const today = getTodayPST()
+  const month = today.slice(0, 7)
+  const earliest = [addDays(today, -(days - 1)), `${month}-01`].sort()[0]
+
+  const calls = await db.apiUsage.where('date').aboveOrEqual(earliest).toArray()
+  const summary = { today: emptyTotals(), month: emptyTotals(), days: [] }
+  const byDate = {}
+
+  for (const call of calls) {
+    if (call.date === today) addCall(summary.today, call)
+    if (call.date.startsWith(month)) addCall(summary.month, call)
+    byDate[call.date] ??= emptyTotals()
+    addCall(byDate[call.date], call)
+  }
+
+  for (let i = 0; i < days; i++) {
+    const date = addDays(today, -i)
+    summary.days.push({ date, ...(byDate[date] || emptyTotals()) })
+  }
+  return summary
+}
+
+export async function clearUsageHistory() {
+  await db.apiUsage.clear()
+}
+
+export async function getUsageBudget() {
+  const auth = await getAuthData()
+  return { ...DEFAULT_USAGE_BUDGET, ...auth?.usageBudget }
+}
+
+export async function setUsageBudget(usageBudget) {
+  await db.auth.update('main', { usageBudget })
+}
+
+/**
+ * Compare this month's estimated spend with the budget
+ * @returns {Promise<{budget: object, spent: number, exceeded: boolean}>}
+ */
+export async function getBudgetStatus() {
+  const budget = await getUsageBudget()
+  const month = getTodayPST().slice(0, 7)
+  const calls = await db.apiUsage.where('date').startsWith(month).toArray()
+  const spent = calls.reduce((sum, call) => sum + call.cost, 0)
+
+  return { budget, spent, exceeded: budget.monthlyLimit > 0 && spent >= budget.monthlyLimit }
+}
@@ -0,0 +1,382 @@
+/**
+ * Backup utilities - export and import all CalTrack data as versioned JSON
+ * - Secrets (password hash, salt, encrypted API key, biometric credential) are never exported
+ * - Backups can be encrypted with AES-256-GCM under a passphrase-derived key
+ * - Imported entries go through the same normalization as entries loaded by useDaily
+ */
+
+import { db, normalizeEntry, getAuthData } from './db'
+import { getTodayPST } from './dateUtils'
+import { encryptData, decryptData, generateSalt, bufferToBase64 } from './crypto'
+
+export const BACKUP_FORMAT = 'caltrack-backup'
+export const BACKUP_VERSION = 1
+
+export const ENCRYPTED_BACKUP_FORMAT = 'caltrack-encrypted-backup'
+export const ENCRYPTED_BACKUP_VERSION = 1
+export const MIN_BACKUP_PASSPHRASE_LENGTH = 8
+
+// Backups leave the device, so use a stronger work factor than the login hash
+const BACKUP_PBKDF2_ITERATIONS = 600000
+// Refuse headers that would hang the browser or are too weak to be ours
+const MIN_PBKDF2_ITERATIONS = 100000
+const MAX_PBKDF2_ITERATIONS = 5000000
+
+// Auth fields that are safe to include in a backup
+const EXPORTABLE_SETTINGS = ['targetCalories', 'macroTargets']
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Backup File Schema:
+ * {
+ *   format: 'caltrack-backup',
+ *   version: number,             // BACKUP_VERSION at export time
+ *   exportedAt: number,          // Timestamp of export
+ *   data: {
+ *     dailyEntries: [...],       // See Daily Entry Schema in db.js
+ *     exerciseHistory: [...],
+ *     activityHistory: [...],
+ *     savedFoods: [...],         // See Saved Food Schema in db.js (optional in older files)
+ *     recipes: [...],            // See Recipe Schema in db.js (optional in older files)
+ *     mealTemplates: [...],      // See Meal Template Schema in db.js (optional in older files)
+ *     settings: { targetCalories, macroTargets }
+ *   }
+ * }
+ */
+
+/**
+ * Collect all exportable data into a backup object
+ * @returns {Promise<object>}
+ */
+export async function exportAllData() {
+  const [dailyEntries, exerciseHistory, activityHistory, savedFoods, recipes, mealTemplates, auth] = await Promise.all([
+    db.dailyEntries.toArray(),
+    db.exerciseHistory.toArray(),
+    db.activityHistory.toArray(),
+    db.savedFoods.toArray(),
+    db.recipes.toArray(),
+    db.mealTemplates.toArray(),
+    getAuthData()
+  ])
+
+  const settings = {}
+  for (const key of EXPORTABLE_SETTINGS) {
+    if (auth?.[key] !== undefined) {
+      settings[key] = auth[key]
+    }
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: Date.now(),
+    data: {
+      dailyEntries,
+      exerciseHistory,
+      activityHistory,
+      savedFoods,
+      recipes,
+      mealTemplates,
+      settings
+    }
+  }
+}
+
+/**
+ * Suggested file name for a backup made today
+ */
+export function backupFilename(extension = 'json') {
+  return `caltrack-backup-${getTodayPST()}.${extension}`
+}
+
+/**
+ * Validate a parsed backup object and normalize its entries
+ * @param {object} backup - Parsed backup
+ * @returns {object} - Backup with normalized, valid daily entries
+ */
+export function validateBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a CalTrack backup')
+  }
+
+  if (typeof backup.version !== 'number' || backup.version < 1) {
+    throw new Error('Backup file has no format version')
+  }
+
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`This backup was made by a newer version of CalTrack (format v${backup.version}). Please update the app first.`)
+  }
+
+  const data = backup.data || {}
+  if (!Array.isArray(data.dailyEntries)) {
+    throw new Error('Backup file is missing daily entries')
+  }
+
+  const dailyEntries = data.dailyEntries
+    .filter(entry => entry && DATE_PATTERN.test(entry.date))
+    .map(entry => normalizeEntry(entry))
+
+  return {
+    ...backup,
+    data: {
+      dailyEntries,
+      exerciseHistory: Array.isArray(data.exerciseHistory) ? data.exerciseHistory : [],
+      activityHistory: Array.isArray(data.activityHistory) ? data.activityHistory : [],
+      savedFoods: Array.isArray(data.savedFoods) ? data.savedFoods.filter(food => food?.id && food.name) : [],
+      recipes: Array.isArray(data.recipes) ? data.recipes.filter(recipe => recipe?.id && Array.isArray(recipe.ingredients)) : [],
+      mealTemplates: Array.isArray(data.mealTemplates) ? data.mealTemplates.filter(template => template?.id && Array.isArray(template.meals)) : [],
+      settings: data.settings || {}
+    },
+    skippedEntries: data.dailyEntries.length - dailyEntries.length
+  }
+}
+
+/**
+ * Parse and validate backup file contents
+ * @param {string} text - Raw file contents
+ * @returns {object} - Validated backup
+ */
+export function parseBackup(text) {
+  let backup
+  try {
+    backup = JSON.parse(text)
+  } catch {
+    throw new Error('Backup file is not valid JSON')
+  }
+  return validateBackup(backup)
+}
+
+/**
+ * Encrypted Backup File Schema:
+ * {
+ *   format: 'caltrack-encrypted-backup',
+ *   version: number,               // ENCRYPTED_BACKUP_VERSION at export time
+ *   kdf: {
+ *     name: 'PBKDF2',
+ *     hash: 'SHA-256',
+ *     iterations: number,
+ *     salt: string                 // base64
+ *   },
+ *   cipher: {
+ *     name: 'AES-GCM',
+ *     iv: string                   // base64
+ *   },
+ *   data: string                   // base64 ciphertext + GCM tag of the plain backup JSON
+ * }
+ */
+
+/**
+ * Encrypt a backup object with a passphrase
+ * @param {object} backup - Backup from exportAllData()
+ * @param {string} passphrase - Backup passphrase (separate from the login password)
+ * @returns {Promise<string>} - Encrypted backup file contents
+ */
+export async function encryptBackup(backup, passphrase) {
+  if (!passphrase || passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+    throw new Error(`Backup passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters`)
+  }
+
+  const salt = bufferToBase64(generateSalt())
+  const { encrypted, iv } = await encryptData(JSON.stringify(backup), passphrase, salt, BACKUP_PBKDF2_ITERATIONS)
+
+  return JSON.stringify({
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: BACKUP_PBKDF2_ITERATIONS,
+      salt
+    },
+    cipher: {
+      name: 'AES-GCM',
+      iv
+    },
+    data: encrypted
+  })
+}
+
+/**
+ * Check whether backup file contents are an encrypted backup
+ * @param {string} text - Raw file contents
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(text) {
+  try {
+    return JSON.parse(text)?.format === ENCRYPTED_BACKUP_FORMAT
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Decrypt and validate an encrypted backup. Nothing is written to the database.
+ * @param {string} text - Raw encrypted backup file contents
+ * @param {string} passphrase - Backup passphrase
+ * @returns {Promise<object>} - Validated backup
+ */
+export async function decryptBackup(text, passphrase) {
+  let envelope
+  try {
+    envelope = JSON.parse(text)
+  } catch {
+    throw new Error('Backup file is not valid JSON')
+  }
+
+  if (envelope?.format !== ENCRYPTED_BACKUP_FORMAT) {
+    throw new Error('This file is not an encrypted CalTrack backup')
+  }
+
+  if (envelope.version > ENCRYPTED_BACKUP_VERSION) {
+    throw new Error(`This backup was made by a newer version of CalTrack (format v${envelope.version}). Please update the app first.`)
+  }
+
+  const { kdf, cipher, data } = envelope
+  if (
+    kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !kdf.salt ||
+    !Number.isInteger(kdf.iterations) || kdf.iterations < MIN_PBKDF2_ITERATIONS || kdf.iterations > MAX_PBKDF2_ITERATIONS ||
+    cipher?.name !== 'AES-GCM' || !cipher.iv || !data
+  ) {
+    throw new Error('Backup file header is damaged or uses unsupported encryption settings')
+  }
+
+  let plaintext
+  try {
+    // AES-GCM verifies the authentication tag and rejects on any mismatch
+    plaintext = await decryptData(data, cipher.iv, passphrase, kdf.salt, kdf.iterations)
+  } catch {
+    throw new Error('Incorrect passphrase, or the backup file has been modified')
+  }
+
+  return parseBackup(plaintext)
+}
+
+/**
+ * Summarize what an import would do, so the user can choose merge or replace per date
+ * @param {object} backup - Validated backup
+ * @returns {Promise<Array<{date: string, exists: boolean, meals: number, exercises: number, cardio: number}>>}
+ */
+export async function previewImport(backup) {
+  const dates = backup.data.dailyEntries.map(e => e.date)
+  const existing = await db.dailyEntries.bulkGet(dates)
+
+  return backup.data.dailyEntries
+    .map((entry, i) => ({
+      date: entry.date,
+      exists: !!existing[i],
+      meals: entry.meals.length,
+      exercises: entry.exercises.length,
+      cardio: entry.cardio.length
+    }))
+    .sort((a, b) => b.date.localeCompare(a.date))
+}
+
+// Append items whose IDs aren't already present, including repeats within the incoming items
+function mergeById(existingItems = [], incomingItems = []) {
+  const ids = new Set(existingItems.map(item => item.id))
+  return [...existingItems, ...incomingItems.filter(item => {
+    if (ids.has(item.id)) return false
+    ids.add(item.id)
+    return true
+  })]
+}
+
+/**
+ * Merge an imported entry into an existing one. Existing targets win;
+ * logged items are combined by ID and notes are appended if different.
+ */
+export function mergeEntries(existing, incoming) {
+  const base = normalizeEntry(existing)
+  const incomingNotes = incoming.dailyNotes?.trim()
+
+  let dailyNotes = base.dailyNotes
+  if (incomingNotes && !dailyNotes.includes(incomingNotes)) {
+    dailyNotes = dailyNotes ? `${dailyNotes}\n\n${incomingNotes}` : incomingNotes
+  }
+
+  return {
+    ...base,
+    meals: mergeById(base.meals, incoming.meals),
+    exercises: mergeById(base.exercises, incoming.exercises),
+    cardio: mergeById(base.cardio, incoming.cardio),
+    workouts: mergeById(base.workouts, incoming.workouts),
+    dailyNotes
+  }
+}
+
+// Merge autocomplete history, keeping the higher use count and latest use
+async function mergeHistory(table, records) {
+  for (const record of records) {
+    if (!record?.name) continue
+
+    const existing = await table.get(record.name)
+    if (existing) {
+      await table.update(record.name, {
+        useCount: Math.max(existing.useCount || 0, record.useCount || 0),
+        lastUsed: Math.max(existing.lastUsed || 0, record.lastUsed || 0)
+      })
+    } else {
+      await table.put(record)
+    }
+  }
+}
+
+// Add library records (saved foods, recipes, templates) that aren't already present
+async function mergeRecords(table, records) {
+  for (const record of records) {
+    const existing = await table.get(record.id)
+    if (!existing) {
+      await table.put(record)
+    }
+  }
+}
+
+/**
+ * Write a validated backup to the database in a single transaction
+ * @param {object} backup - Validated backup
+ * @param {object} options
+ * @param {object} options.strategies - Map of date -> 'merge' | 'replace' for dates that already exist (default 'merge')
+ * @param {boolean} options.importSettings - Also restore calorie/macro defaults
+ * @returns {Promise<{created: number, merged: number, replaced: number}>}
+ */
+export async function importBackup(backup, { strategies = {}, importSettings = false } = {}) {
+  const result = { created: 0, merged: 0, replaced: 0 }
+
+  await db.transaction('rw', db.dailyEntries, db.exerciseHistory, db.activityHistory, db.savedFoods, db.recipes, db.mealTemplates, db.auth, async () => {
+    for (const entry of backup.data.dailyEntries) {
+      const existing = await db.dailyEntries.get(entry.date)
+
+      if (!existing) {
+        await db.dailyEntries.put(entry)
+        result.created++
+      } else if (strategies[entry.date] === 'replace') {
+        await db.dailyEntries.put(entry)
+        result.replaced++
+      } else {
+        await db.dailyEntries.put(mergeEntries(existing, entry))
+        result.merged++
+      }
+    }
+
+    await mergeHistory(db.exerciseHistory, backup.data.exerciseHistory)
+    await mergeHistory(db.activityHistory, backup.data.activityHistory)
+    await mergeRecords(db.savedFoods, backup.data.savedFoods)
+    await mergeRecords(db.recipes, backup.data.recipes)
+    await mergeRecords(db.mealTemplates, backup.data.mealTemplates)
+
+    if (importSettings) {
+      const updates = {}
+      for (const key of EXPORTABLE_SETTINGS) {
+        if (backup.data.settings[key] !== undefined) {
+          updates[key] = backup.data.settings[key]
+        }
+      }
+      if (Object.keys(updates).length > 0) {
+        await db.auth.update('main', updates)
+      }
+    }
+  })
+
+  return result
+}
@@ -52,9 +52,10 @@ export function base64ToBuffer(base64) {
  * @param {string} password - The password
  * @param {Uint8Array} salt - The salt
  * @param {string} usage - Key usage ('hash' for password hashing, 'encrypt' for encryption)
+ * @param {number} [iterations] - PBKDF2 iteration count
  * @returns {Promise<CryptoKey>}
  */
-async function deriveKey(password, salt, usage) {
+async function deriveKey(password, salt, usage, iterations = PBKDF2_ITERATIONS) {
   const encoder = new TextEncoder()
   const passwordBuffer = encoder.encode(password)
 
@@ -72,7 +73,7 @@ async function deriveKey(password, salt, usage) {
     {
       name: 'PBKDF2',
       salt: salt,
-      iterations: PBKDF2_ITERATIONS,
+      iterations: iterations,
       hash: 'SHA-256'
     },
     keyMaterial,
@@ -124,11 +125,12 @@ export async function verifyPassword(password, storedHash, storedSalt) {
  * @param {string} plaintext - The data to encrypt
  * @param {string} password - The password to derive encryption key from
  * @param {string} salt - The salt (base64) used for key derivation
+ * @param {number} [iterations] - PBKDF2 iteration count
  * @returns {Promise<{encrypted: string, iv: string}>}
  */
-export async function encryptData(plaintext, password, salt) {
+export async function encryptData(plaintext, password, salt, iterations = PBKDF2_ITERATIONS) {
   const saltBuffer = new Uint8Array(base64ToBuffer(salt))
-  const key = await deriveKey(password, saltBuffer, 'encrypt')
+  const key = await deriveKey(password, saltBuffer, 'encrypt', iterations)
   const iv = generateIV()
 
   const encoder = new TextEncoder()
@@ -155,11 +157,12 @@ export async function encryptData(plaintext, password, salt) {
  * @param {string} iv - The IV (base64)
  * @param {string} password - The password to derive decryption key from
  * @param {string} salt - The salt (base64) used for key derivation
+ * @param {number} [iterations] - PBKDF2 iteration count
  * @returns {Promise<string>}
  */
-export async function decryptData(encrypted, iv, password, salt) {
+export async function decryptData(encrypted, iv, password, salt, iterations = PBKDF2_ITERATIONS) {
   const saltBuffer = new Uint8Array(base64ToBuffer(salt))
-  const key = await deriveKey(password, saltBuffer, 'encrypt')
+  const key = await deriveKey(password, saltBuffer, 'encrypt', iterations)
   const ivBuffer = new Uint8Array(base64ToBuffer(iv))
   const encryptedBuffer = base64ToBuffer(encrypted)
 
@@ -0,0 +1,111 @@
+/**
+ * CSV utilities (RFC 4180)
+ * - Fields containing commas, quotes or line breaks are quoted, with quotes doubled
+ * - Text starting with a formula character (= + - @ tab or CR) is prefixed with ' so spreadsheets don't evaluate it
+ * - Parsing handles quoted fields, embedded line breaks, CRLF and a leading BOM
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+/**
+ * Escape a single value for a CSV field
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : ''
+
+  let text = String(value)
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+/**
+ * Build a CSV document from a header row and data rows
+ * @param {string[]} headers - Column names
+ * @param {Array<Array<*>>} rows - Row values in header order
+ * @returns {string}
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n') + '\r\n'
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV document
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+  const input = text.replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''))
+}
+
+/**
+ * Parse CSV text into objects keyed by lowercased, trimmed header names
+ * @param {string} text - CSV document with a header row
+ * @returns {{headers: string[], records: object[]}}
+ */
+export function parseCsvRecords(text) {
+  const [headerRow = [], ...rows] = parseCsv(text)
+  const headers = headerRow.map(h => h.trim().toLowerCase())
+
+  const records = rows.map(row => {
+    const record = {}
+    headers.forEach((header, i) => {
+      record[header] = (row[i] ?? '').trim()
+    })
+    return record
+  })
+
+  return { headers, records }
+}
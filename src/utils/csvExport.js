@@ -0,0 +1,100 @@
+/**
+ * CSV export - flattens daily entries into one file each for meals, exercises and cardio
+ */
+
+import { db, normalizeEntry } from './db'
+import { toCsv } from './csv'
+
+// Spreadsheet apps expect a BOM to detect UTF-8 (emoji, accented food names)
+const UTF8_BOM = '\uFEFF'
+
+const MEAL_HEADERS = ['Date', 'Time', 'Meal', 'Items', 'Calories', 'Protein (g)', 'Carbs (g)', 'Fat (g)', 'Day Notes']
+const EXERCISE_HEADERS = ['Date', 'Time', 'Exercise', 'Weight (lbs)', 'Reps', 'Sets']
+const CARDIO_HEADERS = ['Date', 'Time', 'Activity', 'Duration (min)', 'Calories Burned']
+
+/**
+ * Get normalized entries between two dates (inclusive), oldest first
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<object[]>}
+ */
+export async function getEntriesInRange(startDate, endDate) {
+  const entries = await db.dailyEntries
+    .where('date')
+    .between(startDate, endDate, true, true)
+    .toArray()
+  return entries.map(entry => normalizeEntry(entry))
+}
+
+// Sort a day's items by logged time so rows read chronologically
+function byTime(a, b) {
+  return (a.time || '').localeCompare(b.time || '')
+}
+
+// Days with notes but no meals still get a row, with the meal columns blank, so the notes aren't lost
+export function buildMealsCsv(entries) {
+  const rows = entries.flatMap(entry => {
+    if (entry.meals.length === 0) {
+      return entry.dailyNotes?.trim() ? [[entry.date, '', '', '', '', '', '', '', entry.dailyNotes]] : []
+    }
+    return [...entry.meals].sort(byTime).map(meal => [
+      entry.date,
+      meal.time,
+      meal.name,
+      meal.items,
+      meal.totalCal || 0,
+      meal.protein || 0,
+      meal.carbs || 0,
+      meal.fat || 0,
+      entry.dailyNotes
+    ])
+  })
+  return UTF8_BOM + toCsv(MEAL_HEADERS, rows)
+}
+
+export function buildExercisesCsv(entries) {
+  const rows = entries.flatMap(entry =>
+    [...entry.exercises].sort(byTime).map(ex => [
+      entry.date,
+      ex.time,
+      ex.name,
+      ex.weight || 0,
+      ex.reps || 0,
+      ex.sets || 1
+    ])
+  )
+  return UTF8_BOM + toCsv(EXERCISE_HEADERS, rows)
+}
+
+export function buildCardioCsv(entries) {
+  const rows = entries.flatMap(entry =>
+    [...entry.cardio].sort(byTime).map(c => [
+      entry.date,
+      c.time,
+      c.name,
+      c.duration || 0,
+      c.caloriesBurned || 0
+    ])
+  )
+  return UTF8_BOM + toCsv(CARDIO_HEADERS, rows)
+}
+
+/**
+ * Build all three CSV files for a date range
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<{days: number, files: Array<{filename: string, content: string}>}>}
+ */
+export async function exportCsvFiles(startDate, endDate) {
+  const entries = await getEntriesInRange(startDate, endDate)
+  const range = `${startDate}_to_${endDate}`
+
+  return {
+    days: entries.length,
+    files: [
+      { filename: `caltrack-meals-${range}.csv`, content: buildMealsCsv(entries) },
+      { filename: `caltrack-exercises-${range}.csv`, content: buildExercisesCsv(entries) },
+      { filename: `caltrack-cardio-${range}.csv`, content: buildCardioCsv(entries) }
+    ]
+  }
+}
@@ -13,14 +13,21 @@ export function getTodayPST() {
 }
 
 /**
- * Get the current time as HH:MM in Pacific Time (24-hour)
+ * Get the date of a timestamp as YYYY-MM-DD in Pacific Time
+ */
+export function getDatePST(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: TZ })
+}
+
+/**
+ * Get the current time as HH:MM in Pacific Time (24-hour, midnight as 00:MM)
  */
 export function getNowTimePST() {
   return new Date().toLocaleTimeString('en-US', {
     timeZone: TZ,
     hour: '2-digit',
     minute: '2-digit',
-    hour12: false
+    hourCycle: 'h23'
   })
 }
 
@@ -35,7 +42,7 @@ export function getPSTDebugString() {
     hour: '2-digit',
     minute: '2-digit',
     second: '2-digit',
-    hour12: false
+    hourCycle: 'h23'
   })
   const tzAbbr = now.toLocaleTimeString('en-US', {
     timeZone: TZ,
@@ -74,6 +81,15 @@ export function getShortDayName(dateStr) {
   return date.toLocaleDateString('en-US', { weekday: 'short' })
 }
 
+/**
+ * Get full day name for a YYYY-MM-DD date (e.g., "Monday")
+ */
+export function getDayName(dateStr) {
+  const parts = dateStr.split('-')
+  const date = new Date(parts[0], parts[1] - 1, parts[2])
+  return date.toLocaleDateString('en-US', { weekday: 'long' })
+}
+
 /**
  * Get day number from a YYYY-MM-DD date string
  */
@@ -1,4 +1,6 @@
 import Dexie from 'dexie'
+import { DEFAULT_MACRO_TARGETS } from './macros'
+import { DEFAULT_UPLOAD_SETTINGS } from './imageCompression'
 
 export const db = new Dexie('CalTrackDB')
 
@@ -27,6 +29,90 @@ db.version(4).stores({
   activityHistory: 'name' // Unique activity names for autocomplete
 })
 
+// Version 5: Add saved foods library for quick-add
+db.version(5).stores({
+  dailyEntries: 'date',
+  auth: 'id',
+  exerciseHistory: 'name',
+  activityHistory: 'name',
+  savedFoods: 'id, lastUsed' // Reusable foods with per-serving nutrition
+})
+
+// Version 6: Add recipes composed from foods
+db.version(6).stores({
+  dailyEntries: 'date',
+  auth: 'id',
+  exerciseHistory: 'name',
+  activityHistory: 'name',
+  savedFoods: 'id, lastUsed',
+  recipes: 'id, lastUsed' // Multi-serving recipes with ingredient snapshots
+})
+
+// Version 7: Add meal templates for one-tap logging
+db.version(7).stores({
+  dailyEntries: 'date',
+  auth: 'id',
+  exerciseHistory: 'name',
+  activityHistory: 'name',
+  savedFoods: 'id, lastUsed',
+  recipes: 'id, lastUsed',
+  mealTemplates: 'id, useCount' // Named sets of meals, most used first
+})
+
+// Version 8: Store meal photos as blobs outside dailyEntries
+db.version(8).stores({
+  dailyEntries: 'date',
+  auth: 'id',
+  exerciseHistory: 'name',
+  activityHistory: 'name',
+  savedFoods: 'id, lastUsed',
+  recipes: 'id, lastUsed',
+  mealTemplates: 'id, useCount',
+  mealPhotos: 'id, createdAt' // Compressed scan photos, referenced by meal.photoId
+})
+
+// Version 9: Queue photo scans taken offline until they can be analyzed
+db.version(9).stores({
+  dailyEntries: 'date',
+  auth: 'id',
+  exerciseHistory: 'name',
+  activityHistory: 'name',
+  savedFoods: 'id, lastUsed',
+  recipes: 'id, lastUsed',
+  mealTemplates: 'id, useCount',
+  mealPhotos: 'id, createdAt',
+  scanQueue: 'id, createdAt' // Photos waiting for analysis, each with a placeholder meal
+})
+
+// Version 10: Log AI requests for usage and cost tracking
+db.version(10).stores({
+  dailyEntries: 'date',
+  auth: 'id',
+  exerciseHistory: 'name',
+  activityHistory: 'name',
+  savedFoods: 'id, lastUsed',
+  recipes: 'id, lastUsed',
+  mealTemplates: 'id, useCount',
+  mealPhotos: 'id, createdAt',
+  scanQueue: 'id, createdAt',
+  apiUsage: 'id, createdAt, date' // One row per AI request
+})
+
+// Version 11: Cache scan results by image hash
+db.version(11).stores({
+  dailyEntries: 'date',
+  auth: 'id',
+  exerciseHistory: 'name',
+  activityHistory: 'name',
+  savedFoods: 'id, lastUsed',
+  recipes: 'id, lastUsed',
+  mealTemplates: 'id, useCount',
+  mealPhotos: 'id, createdAt',
+  scanQueue: 'id, createdAt',
+  apiUsage: 'id, createdAt, date',
+  analysisCache: 'key, lastUsed'
+})
+
 /**
  * Exercise History Schema:
  * {
@@ -37,20 +123,149 @@ db.version(4).stores({
  * }
  */
 
+/**
+ * Saved Food Schema:
+ * {
+ *   id: string,             // Unique ID
+ *   name: string,           // Display name (e.g., "Greek yogurt")
+ *   servingSize: string,    // Serving description (e.g., "1 cup", "170g")
+ *   calories: number,       // Per serving
+ *   protein: number,        // Grams per serving
+ *   carbs: number,          // Grams per serving
+ *   fat: number,            // Grams per serving
+ *   fiber: number,          // Optional, grams per serving (from nutrition labels)
+ *   sugar: number,          // Optional, grams per serving
+ *   sodium: number,         // Optional, milligrams per serving
+ *   brand: string,          // Optional, from nutrition labels
+ *   thumbnail: string|null, // Small JPEG data URL
+ *   source: string,         // 'scan' | 'label' | 'manual' | 'meal'
+ *   createdAt: number,      // Timestamp when saved
+ *   lastUsed: number,       // Timestamp of last quick-add
+ *   useCount: number        // How many times quick-added
+ * }
+ */
+
+/**
+ * Recipe Schema:
+ * {
+ *   id: string,             // Unique ID
+ *   name: string,           // Display name (e.g., "Turkey chili")
+ *   servings: number,       // Total yield in servings
+ *   ingredients: [
+ *     {
+ *       id: string,         // Unique ID within the recipe
+ *       foodId: string|null, // Saved food it came from, if any
+ *       name: string,
+ *       servingSize: string, // Serving description of the food
+ *       quantity: number,    // Number of servings of the food used
+ *       calories: number,    // Per serving of the food, copied when added
+ *       protein: number,
+ *       carbs: number,
+ *       fat: number
+ *     }
+ *   ],
+ *   createdAt: number,      // Timestamp when created
+ *   updatedAt: number,      // Timestamp of last edit
+ *   lastUsed: number,       // Timestamp of last logged serving
+ *   useCount: number        // How many times logged
+ * }
+ */
+
+/**
+ * Meal Template Schema:
+ * {
+ *   id: string,             // Unique ID
+ *   name: string,           // Display name (e.g., "Weekday breakfast")
+ *   meals: [                // Meals to insert, without id or time
+ *     { name, items, totalCal, protein, carbs, fat, foods }
+ *   ],
+ *   createdAt: number,      // Timestamp when created
+ *   lastUsed: number,       // Timestamp of last use
+ *   useCount: number        // How many times logged
+ * }
+ */
+
+/**
+ * Meal Photo Schema:
+ * {
+ *   id: string,             // Unique ID, stored on the meal as photoId
+ *   blob: Blob,             // Compressed JPEG
+ *   thumbnail: string,      // Small JPEG data URL for lists
+ *   width: number,          // Pixel size of the stored blob
+ *   height: number,
+ *   size: number,           // Bytes, blob plus thumbnail
+ *   createdAt: number       // Timestamp when stored
+ * }
+ * Photos are not removed with their meal so undo can bring the meal back;
+ * cleanup in Settings removes photos no meal refers to.
+ */
+
+/**
+ * Scan Queue Schema:
+ * {
+ *   id: string,             // Unique ID
+ *   date: string,           // Day of the placeholder meal (YYYY-MM-DD)
+ *   mealId: string,         // Placeholder meal to fill in with the result
+ *   images: [               // Photos compressed for upload, as sent to analyzeFoodImage
+ *     { base64, mediaType }
+ *   ],
+ *   beforeAfter: boolean,   // The two images are a before and after shot
+ *   attempts: number,       // Failed analyses so far (network failures don't count)
+ *   lastError: string|null, // Message from the last failed attempt
+ *   createdAt: number       // Timestamp when queued
+ * }
+ */
+
+/**
+ * API Usage Schema:
+ * {
+ *   id: string,             // Unique ID
+ *   createdAt: number,      // Timestamp when the request finished
+ *   date: string,           // Pacific Time day of createdAt (YYYY-MM-DD)
+ *   provider: string,       // Provider key (see aiProviders.js)
+ *   model: string,
+ *   inputTokens: number,    // As reported by the API, 0 if unknown
+ *   outputTokens: number,
+ *   cost: number,           // Estimated US dollars (see apiUsage.js)
+ *   latencyMs: number,      // Including retries
+ *   attempts: number,       // Requests sent, including retries
+ *   outcome: string,        // 'success' | 'error' | 'cancelled'
+ *   status: number|null,    // Last HTTP status, null if none was received
+ *   error: string|null      // Error message for failed requests
+ * }
+ */
+
+/**
+ * Analysis Cache Schema:
+ * {
+ *   key: string,            // Provider, model, scan kind and SHA-256 of each compressed image (see analysisCache.js)
+ *   result: object,         // Validated analysis, or the nutrition label as read
+ *   size: number,           // Length of the serialized result, for eviction
+ *   hits: number,           // Times the result was reused
+ *   createdAt: number,      // Timestamp when analyzed
+ *   lastUsed: number        // Timestamp of last analysis or reuse
+ * }
+ */
+
 /**
  * Auth Schema:
  * {
  *   id: 'main',                    // Always 'main' - single record
  *   passwordHash: string,          // PBKDF2 hash (base64)
  *   salt: string,                  // Salt for PBKDF2 (base64)
- *   encryptedApiKey: string|null,  // AES-256-GCM encrypted API key (base64)
- *   apiKeyIV: string|null,         // IV for API key encryption (base64)
+ *   apiKeys: object,               // AES-256-GCM encrypted API keys by provider: { [provider]: { encrypted, iv } } (base64)
+ *   encryptedApiKey: string|null,  // Legacy Anthropic key, moved into apiKeys when a key is next saved
+ *   apiKeyIV: string|null,         // IV for the legacy key
  *   biometricEnabled: boolean,     // Whether biometric auth is enabled
  *   biometricCredentialId: string|null, // WebAuthn credential ID (base64)
  *   failedAttempts: number,        // Count of failed login attempts
  *   lockoutUntil: number|null,     // Timestamp when lockout expires
  *   createdAt: number,             // Timestamp of account creation
- *   targetCalories: number         // Default calorie goal
+ *   targetCalories: number,        // Default calorie goal
+ *   macroTargets: object,          // Default macro targets (see macros.js)
+ *   uploadSettings: object,        // Scan photo compression (see imageCompression.js)
+ *   aiProvider: object,            // AI provider, base URL, model and time limit (see aiProviders.js)
+ *   usageBudget: object            // Monthly API budget and whether it warns or blocks (see apiUsage.js)
  * }
  */
 
@@ -65,7 +280,25 @@ db.version(4).stores({
  *       name: string,          // Meal name (e.g., "Breakfast", "Lunch")
  *       items: string,         // Food items description
  *       totalCal: number,      // Total calories for this meal
- *       image: string | null   // Base64 image or null
+ *       protein: number,       // Protein in grams
+ *       carbs: number,         // Carbohydrates in grams
+ *       fat: number,           // Fat in grams
+ *       foods: [               // Per-food breakdown (from AI scan), may be empty
+ *         { name, portion, calories, protein, carbs, fat }
+ *       ],
+ *       recipe: {              // Set when logged from a recipe, otherwise null.
+ *         id, name, servings   // Nutrition above is a snapshot; later recipe edits don't change it
+ *       } | null,
+ *       revisions: [           // Set when an AI estimate was refined, otherwise null.
+ *         {                    // The first is the original estimate.
+ *           message: string|null, // What the user added (null for the original)
+ *           result: object,       // The estimate, in the analysis format
+ *           at: number            // Timestamp
+ *         }
+ *       ] | null,
+ *       photoId: string | null, // Scanned photo in the mealPhotos table, or null
+ *       pendingScan: boolean,   // Placeholder for a queued scan, filled in once analyzed
+ *       image: string | null   // Base64 image or null (legacy, new photos use photoId)
  *     }
  *   ],
  *   exercises: [
@@ -79,12 +312,13 @@ db.version(4).stores({
  *     }
  *   ],
  *   dailyNotes: string,        // General notes for the day
- *   targetCalories: number     // Calorie goal for the day
+ *   targetCalories: number,    // Calorie goal for the day
+ *   macroTargets: object       // Macro targets for the day (see macros.js)
  * }
  */
 
 // Helper to create a default empty entry for a date
-export function createEmptyEntry(date, targetCalories = 2000) {
+export function createEmptyEntry(date, targetCalories = 2000, macroTargets = DEFAULT_MACRO_TARGETS) {
   return {
     date,
     meals: [],
@@ -92,7 +326,22 @@ export function createEmptyEntry(date, targetCalories = 2000) {
     cardio: [], // Cardio/activity entries with calories burned
     workouts: [], // Keep for backwards compatibility
     dailyNotes: '',
-    targetCalories
+    targetCalories,
+    macroTargets
+  }
+}
+
+// Fill in fields added after the original schema so older entries load cleanly
+export function normalizeEntry(entry, defaultMacroTargets = DEFAULT_MACRO_TARGETS) {
+  return {
+    ...entry,
+    meals: entry.meals || [],
+    exercises: entry.exercises || [],
+    cardio: entry.cardio || [],
+    workouts: entry.workouts || [],
+    dailyNotes: entry.dailyNotes || '',
+    targetCalories: entry.targetCalories || 2000,
+    macroTargets: entry.macroTargets || defaultMacroTargets
   }
 }
 
@@ -120,6 +369,13 @@ export async function deleteAllData() {
   await db.auth.clear()
   await db.exerciseHistory.clear()
   await db.activityHistory.clear()
+  await db.savedFoods.clear()
+  await db.recipes.clear()
+  await db.mealTemplates.clear()
+  await db.mealPhotos.clear()
+  await db.scanQueue.clear()
+  await db.apiUsage.clear()
+  await db.analysisCache.clear()
 }
 
 // Exercise history helper functions
@@ -142,6 +398,19 @@ export async function addExerciseToHistory(exerciseName) {
   }
 }
 
+// Decrement an exercise's use count (e.g. after a rename), removing it once unused
+export async function releaseExerciseFromHistory(exerciseName) {
+  const normalizedName = exerciseName.toLowerCase().trim()
+  const existing = await db.exerciseHistory.get(normalizedName)
+  if (!existing) return
+
+  if ((existing.useCount || 0) <= 1) {
+    await db.exerciseHistory.delete(normalizedName)
+  } else {
+    await db.exerciseHistory.update(normalizedName, { useCount: existing.useCount - 1 })
+  }
+}
+
 export async function searchExerciseHistory(query) {
   if (!query || query.length < 1) {
     // Return most recently used exercises
@@ -190,6 +459,19 @@ export async function addActivityToHistory(activityName) {
   }
 }
 
+// Decrement an activity's use count (e.g. after a rename), removing it once unused
+export async function releaseActivityFromHistory(activityName) {
+  const normalizedName = activityName.toLowerCase().trim()
+  const existing = await db.activityHistory.get(normalizedName)
+  if (!existing) return
+
+  if ((existing.useCount || 0) <= 1) {
+    await db.activityHistory.delete(normalizedName)
+  } else {
+    await db.activityHistory.update(normalizedName, { useCount: existing.useCount - 1 })
+  }
+}
+
 export async function searchActivityHistory(query) {
   if (!query || query.length < 1) {
     return await db.activityHistory
@@ -213,3 +495,24 @@ export async function getDefaultCalorieTarget() {
   const auth = await getAuthData()
   return auth?.targetCalories || 2000
 }
+
+// Get default macro targets from auth settings
+export async function getDefaultMacroTargets() {
+  const auth = await getAuthData()
+  return auth?.macroTargets || DEFAULT_MACRO_TARGETS
+}
+
+// Save calorie and macro targets as the default for new days
+export async function setDefaultTargets(targetCalories, macroTargets) {
+  await db.auth.update('main', { targetCalories, macroTargets })
+}
+
+// Get scan photo compression settings, filling in defaults for anything unset
+export async function getUploadSettings() {
+  const auth = await getAuthData()
+  return { ...DEFAULT_UPLOAD_SETTINGS, ...auth?.uploadSettings }
+}
+
+export async function setUploadSettings(uploadSettings) {
+  await db.auth.update('main', { uploadSettings })
+}
@@ -0,0 +1,45 @@
+/**
+ * File helpers for exporting and importing data in the browser
+ */
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type (ignored when content is a Blob)
+ */
+export function downloadFile(content, filename, mimeType = 'application/json') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Read a File as text
+ * @param {File} file - The selected file
+ * @returns {Promise<string>}
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = reject
+    reader.readAsText(file)
+  })
+}
+
+// Format a byte count for display, e.g. 1536 -> "1.5 KB"
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
@@ -1,24 +1,8 @@
-/**
- * Analyze a food image using Claude API
- * @param {string} base64Image - Base64 encoded image (without data URL prefix)
- * @param {string} mediaType - Image media type (e.g., 'image/jpeg', 'image/png')
- * @param {string} apiKey - The Claude API key
- * @returns {Promise<object>} - Analyzed food data
- */
-export async function analyzeFoodImage(base64Image, mediaType = 'image/jpeg', apiKey) {
-  console.log('[FoodAnalyzer] analyzeFoodImage called', {
-    hasApiKey: !!apiKey,
-    apiKeyLength: apiKey?.length,
-    apiKeyPrefix: apiKey?.substring(0, 10) + '...',
-    mediaType,
-    base64Length: base64Image?.length
-  })
+import { sendMessages, resolveProvider } from './aiProviders'
+import { validateAnalysis, validateLabel } from './analysisSchema'
 
-  if (!apiKey) {
-    throw new Error('API key not configured. Please add your Claude API key in settings.')
-  }
-
-  const prompt = `Analyze this food image and estimate the nutritional content. Return ONLY a valid JSON object with no additional text or markdown formatting.
+// JSON structure every analysis must return, shared by image and text requests
+const ANALYSIS_FORMAT = `Return ONLY a valid JSON object with no additional text or markdown formatting.
 
 The JSON should have this exact structure:
 {
@@ -38,84 +22,196 @@ The JSON should have this exact structure:
   "totalFat": number,
   "confidence": "high" | "medium" | "low",
   "notes": "any relevant notes about the estimation"
-}
+}`
+
+const IMAGE_PROMPT = `Analyze this food image and estimate the nutritional content. ${ANALYSIS_FORMAT}
 
 Be as accurate as possible with your estimates. If you cannot identify a food item clearly, still provide your best estimate and set confidence to "low".`
 
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'image',
-                source: {
-                  type: 'base64',
-                  media_type: mediaType,
-                  data: base64Image
-                }
-              },
-              {
-                type: 'text',
-                text: prompt
-              }
-            ]
-          }
-        ]
-      })
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('[FoodAnalyzer] API Error Response:', {
-        status: response.status,
-        statusText: response.statusText,
-        body: errorText
-      })
-      let errorMessage = `API request failed: ${response.status}`
-      try {
-        const errorData = JSON.parse(errorText)
-        errorMessage = errorData.error?.message || errorMessage
-        console.error('[FoodAnalyzer] Parsed error:', errorData)
-      } catch {
-        // Not JSON, use raw text
-        if (errorText) {
-          errorMessage = errorText.substring(0, 200)
-        }
-      }
-      throw new Error(errorMessage)
-    }
+const ANGLES_PROMPT = `These images all show the same meal from different angles. Use every view to identify the foods and judge portion sizes, but count each food only once. ${ANALYSIS_FORMAT}
+
+Be as accurate as possible with your estimates. If you cannot identify a food item clearly, still provide your best estimate and set confidence to "low".`
+
+const BEFORE_AFTER_PROMPT = `The image labeled "Before" shows a meal as served. The image labeled "After" shows what was left on the plate. Estimate the nutritional content of only what was eaten: what was served minus the leftovers. ${ANALYSIS_FORMAT}
+
+Use each item's portion to describe the amount eaten, not the amount served, and leave out items that were not eaten at all. Mention the leftovers in the notes. If you cannot tell how much of an item was eaten, still provide your best estimate and set confidence to "low".`
+
+const LABEL_PROMPT = `Read the nutrition facts panel in this image. Report the values exactly as printed, per serving. Return ONLY a valid JSON object with no additional text or markdown formatting.
+
+The JSON should have this exact structure:
+{
+  "productName": "product name if visible, otherwise a short description",
+  "brand": "brand if visible, otherwise empty string",
+  "servingSize": "serving size as printed (e.g., '2/3 cup (55g)')",
+  "servingsPerContainer": number,
+  "calories": number,
+  "protein": number (grams),
+  "carbs": number (grams, total carbohydrate),
+  "fat": number (grams, total fat),
+  "fiber": number (grams),
+  "sugar": number (grams, total sugars),
+  "sodium": number (milligrams),
+  "confidence": "high" | "medium" | "low",
+  "notes": "anything unreadable or estimated"
+}
+
+Use 0 for values that are not on the label. If the panel is partly unreadable, give your best reading and set confidence to "low".`
+
+function buildTextPrompt(description) {
+  return `Estimate the nutritional content of this meal description. ${ANALYSIS_FORMAT}
+
+List each food mentioned as a separate item. Use typical portion sizes when none are given, and say so in the notes. If an item is ambiguous, still provide your best estimate and set confidence to "low".
+
+Meal description:
+"""
+${description}
+"""`
+}
 
-    const data = await response.json()
-    const content = data.content[0]?.text
+// Follow-up turn asking for a revised estimate
+function buildRefinePrompt(message) {
+  return `${message}
 
-    if (!content) {
-      throw new Error('No response from API')
+Update your estimate using this information. ${ANALYSIS_FORMAT}`
+}
+
+// Follow-up turn asking the model to fix a reply that failed validation
+function buildRepairPrompt(errors) {
+  return `Your previous reply could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with the corrected estimate. ${ANALYSIS_FORMAT}`
+}
+
+// Find the first complete JSON object in a reply, skipping any text or code fences around it.
+// Braces inside strings are ignored so a "}" in the notes doesn't end the object early.
+function extractJson(text) {
+  const start = text.indexOf('{')
+  if (start === -1) return null
+
+  let depth = 0
+  let inString = false
+  let escaped = false
+  for (let i = start; i < text.length; i++) {
+    const char = text[i]
+    if (inString) {
+      if (escaped) escaped = false
+      else if (char === '\\') escaped = true
+      else if (char === '"') inString = false
+    } else if (char === '"') {
+      inString = true
+    } else if (char === '{') {
+      depth++
+    } else if (char === '}' && --depth === 0) {
+      return text.slice(start, i + 1)
     }
+  }
+  return null
+}
+
+/**
+ * Parse the JSON object out of a model reply
+ * @param {string} content - Reply text
+ * @returns {object} - Parsed JSON
+ */
+function parseJsonResponse(content) {
+  try {
+    return JSON.parse(extractJson(content) ?? content)
+  } catch {
+    console.error('Failed to parse API response:', content)
+    throw new Error('Failed to parse food analysis response')
+  }
+}
+
+// Parse and validate a meal analysis reply, reporting parse failures as validation errors
+function readAnalysis(content) {
+  let data
+  try {
+    data = parseJsonResponse(content)
+  } catch {
+    return { analysis: null, errors: ['The reply was not a valid JSON object.'] }
+  }
+  return validateAnalysis(data)
+}
+
+/**
+ * Send a conversation that asks for a meal analysis and return the validated result.
+ * An invalid reply gets one automatic retry with the validation errors fed back.
+ * @param {Array<{role: string, content: Array|string}>} messages - Conversation ending with the request
+ * @param {object} connection - AI provider settings plus apiKey (see aiProviders.js)
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<object>} - Analysis that passed validateAnalysis
+ */
+async function requestAnalysis(messages, connection, signal) {
+  const reply = await sendMessages(connection, messages, { signal })
+  const first = readAnalysis(reply)
+  if (first.analysis) {
+    return first.analysis
+  }
+
+  console.warn('[FoodAnalyzer] Invalid analysis, retrying:', first.errors)
+  const retryReply = await sendMessages(connection, [
+    ...messages,
+    { role: 'assistant', content: reply },
+    { role: 'user', content: buildRepairPrompt(first.errors) }
+  ], { signal })
+  const retry = readAnalysis(retryReply)
+  if (retry.analysis) {
+    return retry.analysis
+  }
 
-    // Parse the JSON response
-    try {
-      // Try to extract JSON from the response (in case there's any extra text)
-      const jsonMatch = content.match(/\{[\s\S]*\}/)
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0])
+  console.error('[FoodAnalyzer] Invalid analysis after retry:', retry.errors, retryReply)
+  throw new Error(`The AI returned an estimate that couldn't be used: ${retry.errors[0]} Please try again.`)
+}
+
+// One content block per image, each preceded by a caption so the prompt can refer to it,
+// followed by the prompt that fits the number of images
+function buildImageContent(images, beforeAfter) {
+  const captions = beforeAfter ? ['Before', 'After'] : images.map((_, i) => `Image ${i + 1}`)
+  const prompt = beforeAfter ? BEFORE_AFTER_PROMPT : images.length > 1 ? ANGLES_PROMPT : IMAGE_PROMPT
+
+  const imageBlocks = images.flatMap((image, i) => [
+    ...(images.length > 1 ? [{ type: 'text', text: `${captions[i]}:` }] : []),
+    {
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: image.mediaType || 'image/jpeg',
+        data: image.base64
       }
-      return JSON.parse(content)
-    } catch (parseError) {
-      console.error('Failed to parse API response:', content)
-      throw new Error('Failed to parse food analysis response')
     }
+  ])
+  return [...imageBlocks, { type: 'text', text: prompt }]
+}
+
+/**
+ * Analyze one or more photos of a meal using the configured AI provider
+ * @param {Array<{base64: string, mediaType: string}>} images - Base64 encoded images (without data URL prefix)
+ * @param {object} connection - AI provider settings plus apiKey (see aiProviders.js)
+ * @param {object} options
+ * @param {boolean} options.beforeAfter - The two images are the plate as served and what was left;
+ *   the estimate covers only what was eaten
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<object>} - Analyzed food data
+ */
+export async function analyzeFoodImage(images, connection, { beforeAfter = false, signal } = {}) {
+  console.log('[FoodAnalyzer] analyzeFoodImage called', {
+    provider: connection?.provider,
+    hasApiKey: !!connection?.apiKey,
+    imageCount: images?.length,
+    mediaTypes: images?.map(image => image.mediaType),
+    beforeAfter
+  })
+
+  if (!images?.length) {
+    throw new Error('No images to analyze')
+  }
+  if (beforeAfter && images.length !== 2) {
+    throw new Error('Before and after scans need exactly two photos')
+  }
+
+  try {
+    return await requestAnalysis([{ role: 'user', content: buildImageContent(images, beforeAfter) }], connection, signal)
   } catch (error) {
     console.error('Food analysis error:', error)
     throw error
@@ -123,81 +219,155 @@ Be as accurate as possible with your estimates. If you cannot identify a food it
 }
 
 /**
- * Test the API key with a simple text request (no image)
- * @param {string} apiKey - The Claude API key
- * @returns {Promise<{success: boolean, error?: string}>}
+ * Read a nutrition facts label using the configured AI provider
+ * @param {string} base64Image - Base64 encoded image (without data URL prefix)
+ * @param {string} mediaType - Image media type
+ * @param {object} connection - AI provider settings plus apiKey (see aiProviders.js)
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<object>} - Per-serving label values (see LABEL_PROMPT) that passed validateLabel
  */
-export async function testApiKey(apiKey) {
-  console.log('[FoodAnalyzer] Testing API key...')
-
-  if (!apiKey) {
-    return { success: false, error: 'No API key provided' }
-  }
+export async function analyzeNutritionLabel(base64Image, mediaType = 'image/jpeg', connection, { signal } = {}) {
+  console.log('[FoodAnalyzer] analyzeNutritionLabel called', {
+    provider: connection?.provider,
+    hasApiKey: !!connection?.apiKey,
+    mediaType,
+    base64Length: base64Image?.length
+  })
 
   try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 10,
-        messages: [
-          {
-            role: 'user',
-            content: 'Say "OK" and nothing else.'
+    const content = await sendMessages(connection, [{
+      role: 'user',
+      content: [
+        {
+          type: 'image',
+          source: {
+            type: 'base64',
+            media_type: mediaType,
+            data: base64Image
           }
-        ]
-      })
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('[FoodAnalyzer] Test API Error:', {
-        status: response.status,
-        body: errorText
-      })
-      let errorMessage = `API error: ${response.status}`
-      try {
-        const errorData = JSON.parse(errorText)
-        errorMessage = errorData.error?.message || errorMessage
-      } catch {
-        if (errorText) errorMessage = errorText.substring(0, 100)
-      }
-      return { success: false, error: errorMessage }
+        },
+        {
+          type: 'text',
+          text: LABEL_PROMPT
+        }
+      ]
+    }], { signal })
+
+    const { label, errors } = validateLabel(parseJsonResponse(content))
+    if (!label) {
+      console.error('[FoodAnalyzer] Invalid nutrition label:', errors, content)
+      throw new Error(`The AI couldn't read this label: ${errors[0]} Try a clearer photo of the nutrition facts.`)
     }
+    return label
+  } catch (error) {
+    console.error('Nutrition label error:', error)
+    throw error
+  }
+}
 
-    const data = await response.json()
-    console.log('[FoodAnalyzer] Test API Success:', data.content?.[0]?.text)
-    return { success: true }
+/**
+ * Analyze a typed meal description using the configured AI provider
+ * @param {string} description - Free text, e.g. "2 scrambled eggs, a slice of sourdough with butter"
+ * @param {object} connection - AI provider settings plus apiKey (see aiProviders.js)
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<object>} - Analyzed food data, same shape as analyzeFoodImage
+ */
+export async function analyzeFoodText(description, connection, { signal } = {}) {
+  console.log('[FoodAnalyzer] analyzeFoodText called', {
+    provider: connection?.provider,
+    hasApiKey: !!connection?.apiKey,
+    descriptionLength: description?.length
+  })
+
+  if (!description?.trim()) {
+    throw new Error('Describe what you ate first.')
+  }
+
+  try {
+    return await requestAnalysis([{ role: 'user', content: buildTextPrompt(description.trim()) }], connection, signal)
   } catch (error) {
-    console.error('[FoodAnalyzer] Test API Exception:', error)
-    return { success: false, error: error.message }
+    console.error('Food analysis error:', error)
+    throw error
   }
 }
 
 /**
- * Convert a File to base64
- * @param {File} file - The image file
- * @returns {Promise<{base64: string, mediaType: string}>}
+ * Refine an earlier estimate with extra context from the user, e.g. "the rice was brown, about 1 cup".
+ * The original request (images or description) is re-sent along with the conversation so far.
+ * @param {object} source - What was analyzed: { images, beforeAfter } or { description }
+ * @param {Array<{message: string|null, result: object}>} revisions - Estimates so far, oldest first.
+ *   The first is the original analysis (message null); each later one answers its message.
+ * @param {string} message - The user's new context or answer
+ * @param {object} connection - AI provider settings plus apiKey (see aiProviders.js)
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<object>} - Revised food data, in the same format as analyzeFoodImage
  */
-export function fileToBase64(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader()
-    reader.onload = () => {
-      const dataUrl = reader.result
-      // Extract base64 data without the data URL prefix
-      const base64 = dataUrl.split(',')[1]
-      resolve({
-        base64,
-        mediaType: file.type || 'image/jpeg'
-      })
+export async function refineFoodAnalysis(source, revisions, message, connection, { signal } = {}) {
+  console.log('[FoodAnalyzer] refineFoodAnalysis called', {
+    provider: connection?.provider,
+    hasApiKey: !!connection?.apiKey,
+    imageCount: source?.images?.length || 0,
+    revisionCount: revisions?.length
+  })
+
+  if (!message?.trim()) {
+    throw new Error('Add some detail to refine the estimate.')
+  }
+  if (!revisions?.length) {
+    throw new Error('There is no estimate to refine yet.')
+  }
+
+  const messages = [
+    {
+      role: 'user',
+      content: source.description
+        ? buildTextPrompt(source.description)
+        : buildImageContent(source.images, source.beforeAfter)
+    }
+  ]
+  revisions.forEach((revision, i) => {
+    if (i > 0) {
+      messages.push({ role: 'user', content: buildRefinePrompt(revision.message) })
     }
-    reader.onerror = reject
-    reader.readAsDataURL(file)
+    messages.push({ role: 'assistant', content: JSON.stringify(revision.result) })
   })
+  messages.push({ role: 'user', content: buildRefinePrompt(message.trim()) })
+
+  try {
+    return await requestAnalysis(messages, connection, signal)
+  } catch (error) {
+    console.error('Food analysis refine error:', error)
+    throw error
+  }
+}
+
+/**
+ * Test the provider settings and API key with a simple text request (no image)
+ * @param {object} connection - AI provider settings plus apiKey (see aiProviders.js)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function testConnection(connection) {
+  console.log('[FoodAnalyzer] Testing connection...', { provider: connection?.provider })
+
+  const provider = resolveProvider(connection)
+  if (provider.needsApiKey && !connection?.apiKey) {
+    return { success: false, error: 'No API key provided' }
+  }
+
+  try {
+    const reply = await sendMessages(connection, [
+      {
+        role: 'user',
+        content: 'Say "OK" and nothing else.'
+      }
+    ], { maxTokens: 10 })
+    console.log('[FoodAnalyzer] Test API Success:', reply)
+    return { success: true }
+  } catch (error) {
+    console.error('[FoodAnalyzer] Test API Exception:', error)
+    return { success: false, error: error.message }
+  }
 }
@@ -0,0 +1,245 @@
+/**
+ * Saved foods library - reusable foods with per-serving nutrition for quick-add
+ * - Foods come from AI scan results, nutrition labels, manual entry or past meals
+ * - Saving a food whose name and serving size match an existing one updates it in place
+ * - Quick-adding multiplies per-serving nutrition by the number of servings
+ */
+
+import { db, generateId } from './db'
+
+// Thumbnails are square and small enough to keep the table light
+const THUMBNAIL_SIZE = 96
+const THUMBNAIL_QUALITY = 0.7
+
+const MAX_RESULTS = 20
+
+// Optional per-serving values read from nutrition labels
+const LABEL_DETAILS = ['fiber', 'sugar', 'sodium']
+
+// Same food = same name and serving size, ignoring case and spacing
+function foodKey(name, servingSize) {
+  return `${(name || '').toLowerCase().trim()}|${(servingSize || '').toLowerCase().trim()}`
+}
+
+// Read a form or stored value as a positive number, or 0
+export function toNumber(value) {
+  const number = parseFloat(value)
+  return Number.isFinite(number) && number > 0 ? number : 0
+}
+
+// Round grams to one decimal place
+export function roundGrams(value) {
+  return Math.round(value * 10) / 10
+}
+
+/**
+ * Save a food to the library, or update the existing food with the same name and serving size
+ * @param {object} food - { name, servingSize, calories, protein, carbs, fat, thumbnail, source }
+ *   plus optional label details { brand, fiber, sugar, sodium }
+ * @returns {Promise<object>} - The stored food
+ */
+export async function saveFood(food) {
+  const name = (food.name || '').trim()
+  if (!name) {
+    throw new Error('Food name is required')
+  }
+
+  const servingSize = (food.servingSize || '').trim() || '1 serving'
+  const nutrition = {
+    calories: Math.round(toNumber(food.calories)),
+    protein: roundGrams(toNumber(food.protein)),
+    carbs: roundGrams(toNumber(food.carbs)),
+    fat: roundGrams(toNumber(food.fat))
+  }
+
+  // Label details are only kept when known
+  for (const key of LABEL_DETAILS) {
+    if (food[key] !== undefined && food[key] !== null && food[key] !== '') {
+      nutrition[key] = key === 'sodium' ? Math.round(toNumber(food[key])) : roundGrams(toNumber(food[key]))
+    }
+  }
+  if (food.brand?.trim()) {
+    nutrition.brand = food.brand.trim()
+  }
+
+  const key = foodKey(name, servingSize)
+  const existing = (await db.savedFoods.toArray()).find(f => foodKey(f.name, f.servingSize) === key)
+
+  if (existing) {
+    const updated = {
+      ...existing,
+      ...nutrition,
+      name,
+      thumbnail: food.thumbnail || existing.thumbnail || null
+    }
+    await db.savedFoods.put(updated)
+    return updated
+  }
+
+  const now = Date.now()
+  const saved = {
+    id: generateId(),
+    name,
+    servingSize,
+    ...nutrition,
+    thumbnail: food.thumbnail || null,
+    source: food.source || 'manual',
+    createdAt: now,
+    lastUsed: now,
+    useCount: 0
+  }
+  await db.savedFoods.put(saved)
+  return saved
+}
+
+export async function deleteSavedFood(foodId) {
+  await db.savedFoods.delete(foodId)
+}
+
+/**
+ * Search saved foods by name. With no query, returns the most recently used.
+ * @param {string} query - Search text
+ * @returns {Promise<object[]>}
+ */
+export async function searchSavedFoods(query) {
+  if (!query || !query.trim()) {
+    return await db.savedFoods
+      .orderBy('lastUsed')
+      .reverse()
+      .limit(MAX_RESULTS)
+      .toArray()
+  }
+
+  const normalizedQuery = query.toLowerCase().trim()
+  const allFoods = await db.savedFoods.toArray()
+
+  return allFoods
+    .filter(food => food.name.toLowerCase().includes(normalizedQuery))
+    .sort((a, b) => (b.useCount || 0) - (a.useCount || 0))
+    .slice(0, MAX_RESULTS)
+}
+
+/**
+ * Bump use counts after foods are quick-added to a meal
+ * @param {string[]} foodIds
+ */
+export async function markFoodsUsed(foodIds) {
+  const now = Date.now()
+  await db.transaction('rw', db.savedFoods, async () => {
+    for (const id of foodIds) {
+      const food = await db.savedFoods.get(id)
+      if (food) {
+        await db.savedFoods.update(id, { lastUsed: now, useCount: (food.useCount || 0) + 1 })
+      }
+    }
+  })
+}
+
+// Convert one item of an AI scan result (analysisResult.foods) to a saved food
+export function foodFromScanItem(item, thumbnail = null) {
+  return {
+    name: item.name,
+    servingSize: item.portion,
+    calories: item.calories,
+    protein: item.protein,
+    carbs: item.carbs,
+    fat: item.fat,
+    thumbnail,
+    source: 'scan'
+  }
+}
+
+// Convert a nutrition label reading to a saved food (values are per serving)
+export function foodFromLabel(label, thumbnail = null) {
+  return {
+    name: label.productName || 'Packaged food',
+    brand: label.brand,
+    servingSize: label.servingSize || '1 serving',
+    calories: toNumber(label.calories),
+    protein: toNumber(label.protein),
+    carbs: toNumber(label.carbs),
+    fat: toNumber(label.fat),
+    fiber: toNumber(label.fiber),
+    sugar: toNumber(label.sugar),
+    sodium: toNumber(label.sodium),
+    thumbnail,
+    source: 'label'
+  }
+}
+
+// Convert a logged meal to a saved food, treating the whole meal as one serving
+export function foodFromMeal(meal) {
+  return {
+    name: meal.name,
+    servingSize: '1 serving',
+    calories: meal.totalCal,
+    protein: meal.protein,
+    carbs: meal.carbs,
+    fat: meal.fat,
+    thumbnail: null,
+    source: 'meal'
+  }
+}
+
+// Format a serving count, e.g. 1 -> "1", 0.5 -> "½", 1.5 -> "1½"
+export function formatServings(servings) {
+  const whole = Math.floor(servings)
+  const half = servings - whole >= 0.5
+  if (!half) return String(whole)
+  return whole === 0 ? '½' : `${whole}½`
+}
+
+/**
+ * Sum quick-added foods into meal fields
+ * @param {Array<{food: object, servings: number}>} selections
+ * @returns {{items: string, totalCal: number, protein: number, carbs: number, fat: number, foods: object[]}}
+ */
+export function sumServings(selections) {
+  const foods = selections.map(({ food, servings }) => ({
+    name: food.name,
+    portion: servings === 1 ? food.servingSize : `${formatServings(servings)} × ${food.servingSize}`,
+    calories: Math.round(food.calories * servings),
+    protein: roundGrams(food.protein * servings),
+    carbs: roundGrams(food.carbs * servings),
+    fat: roundGrams(food.fat * servings)
+  }))
+
+  return {
+    items: foods.map(f => `${f.name} (${f.portion})`).join(', '),
+    totalCal: foods.reduce((sum, f) => sum + f.calories, 0),
+    protein: roundGrams(foods.reduce((sum, f) => sum + f.protein, 0)),
+    carbs: roundGrams(foods.reduce((sum, f) => sum + f.carbs, 0)),
+    fat: roundGrams(foods.reduce((sum, f) => sum + f.fat, 0)),
+    foods
+  }
+}
+
+/**
+ * Create a small square JPEG thumbnail from an image URL (object URL or data URL)
+ * @param {string} src - Image source
+ * @returns {Promise<string|null>} - Data URL, or null if the image couldn't be drawn
+ */
+export async function createThumbnail(src) {
+  if (!src) return null
+
+  try {
+    const image = new Image()
+    image.src = src
+    await image.decode()
+
+    // Center-crop to a square
+    const side = Math.min(image.naturalWidth, image.naturalHeight)
+    const sx = (image.naturalWidth - side) / 2
+    const sy = (image.naturalHeight - side) / 2
+
+    const canvas = document.createElement('canvas')
+    canvas.width = THUMBNAIL_SIZE
+    canvas.height = THUMBNAIL_SIZE
+    canvas.getContext('2d').drawImage(image, sx, sy, side, side, 0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE)
+
+    return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY)
+  } catch (err) {
+    console.error('Failed to create thumbnail:', err)
+    return null
+  }
+}
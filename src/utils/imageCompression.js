@@ -0,0 +1,117 @@
+/**
+ * Image compression - downscale and re-encode photos in the browser before they are sent or stored
+ * - Decoding applies the EXIF orientation, so sideways phone photos come out upright
+ * - Re-encoding through a canvas drops all metadata, including EXIF GPS location
+ */
+
+// Claude downscales anything with a long edge over 1568px, so larger uploads only cost time
+export const DEFAULT_UPLOAD_SETTINGS = {
+  maxDimension: 1568,
+  format: 'image/jpeg', // 'image/jpeg' | 'image/webp'
+  quality: 0.85
+}
+
+export const MAX_DIMENSION_OPTIONS = [768, 1024, 1568, 2048]
+
+export const FORMAT_OPTIONS = [
+  { value: 'image/jpeg', label: 'JPEG' },
+  { value: 'image/webp', label: 'WebP' }
+]
+
+// Decode an image file upright. createImageBitmap is fastest; <img> covers browsers without
+// the orientation option. Both return something drawable with width and height.
+async function decodeImage(file) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' })
+    } catch (err) {
+      console.warn('[ImageCompression] createImageBitmap failed, falling back to <img>:', err)
+    }
+  }
+
+  const url = URL.createObjectURL(file)
+  try {
+    const image = new Image()
+    image.src = url
+    await image.decode()
+    return image
+  } catch {
+    throw new Error('This image format could not be read. Try a JPEG or PNG photo.')
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+function canvasToBlob(canvas, format, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Failed to compress image'))),
+      format,
+      quality
+    )
+  })
+}
+
+/**
+ * Downscale an image to fit within maxDimension and re-encode it
+ * @param {File|Blob} file - The image as picked
+ * @param {object} options - { maxDimension, format, quality }, see DEFAULT_UPLOAD_SETTINGS
+ * @returns {Promise<{blob: Blob, width: number, height: number, originalSize: number}>}
+ */
+export async function compressImage(file, options = {}) {
+  const { maxDimension, format, quality } = { ...DEFAULT_UPLOAD_SETTINGS, ...options }
+
+  const image = await decodeImage(file)
+  const scale = Math.min(1, maxDimension / Math.max(image.width, image.height))
+  const width = Math.round(image.width * scale)
+  const height = Math.round(image.height * scale)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height)
+  image.close?.()
+
+  let blob = await canvasToBlob(canvas, format, quality)
+  // Browsers without a WebP encoder silently return PNG; use JPEG instead
+  if (blob.type !== format) {
+    blob = await canvasToBlob(canvas, 'image/jpeg', quality)
+  }
+
+  return { blob, width, height, originalSize: file.size }
+}
+
+/**
+ * Read a Blob as base64 (without the data URL prefix)
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result.split(',')[1])
+    reader.onerror = reject
+    reader.readAsDataURL(blob)
+  })
+}
+
+/**
+ * Compress a photo for the Claude API
+ * @param {File} file - The photo as picked
+ * @param {object} settings - Upload settings, see DEFAULT_UPLOAD_SETTINGS
+ * @returns {Promise<{base64: string, mediaType: string, width: number, height: number, originalSize: number, size: number}>}
+ */
+export async function prepareImageForUpload(file, settings) {
+  const { blob, width, height, originalSize } = await compressImage(file, settings)
+  const base64 = await blobToBase64(blob)
+
+  console.log('[ImageCompression] Prepared image', {
+    width,
+    height,
+    mediaType: blob.type,
+    originalSize,
+    size: blob.size
+  })
+
+  return { base64, mediaType: blob.type, width, height, originalSize, size: blob.size }
+}
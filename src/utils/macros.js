@@ -0,0 +1,85 @@
+/**
+ * Macro nutrient utilities
+ * - Calorie conversions for protein/carbs/fat
+ * - Goal presets (stored as % of calories)
+ * - Resolving per-day macro targets to grams
+ */
+
+export const CALORIES_PER_GRAM = {
+  protein: 4,
+  carbs: 4,
+  fat: 9
+}
+
+export const MACRO_KEYS = ['protein', 'carbs', 'fat']
+
+// Presets are expressed as percentage of daily calories
+export const MACRO_PRESETS = {
+  balanced: { label: 'Balanced', protein: 30, carbs: 40, fat: 30 },
+  highProtein: { label: 'High Protein', protein: 40, carbs: 35, fat: 25 },
+  keto: { label: 'Keto', protein: 25, carbs: 5, fat: 70 },
+  lowFat: { label: 'Low Fat', protein: 30, carbs: 50, fat: 20 }
+}
+
+/**
+ * Macro Targets Schema:
+ * {
+ *   unit: 'percent' | 'grams',  // How protein/carbs/fat are expressed
+ *   preset: string | null,      // Key into MACRO_PRESETS, null when custom
+ *   protein: number,            // % of calories or grams
+ *   carbs: number,
+ *   fat: number
+ * }
+ */
+export const DEFAULT_MACRO_TARGETS = {
+  unit: 'percent',
+  preset: 'balanced',
+  protein: MACRO_PRESETS.balanced.protein,
+  carbs: MACRO_PRESETS.balanced.carbs,
+  fat: MACRO_PRESETS.balanced.fat
+}
+
+/**
+ * Build macro targets from a preset key
+ */
+export function macroTargetsFromPreset(presetKey) {
+  const preset = MACRO_PRESETS[presetKey] || MACRO_PRESETS.balanced
+  return {
+    unit: 'percent',
+    preset: MACRO_PRESETS[presetKey] ? presetKey : 'balanced',
+    protein: preset.protein,
+    carbs: preset.carbs,
+    fat: preset.fat
+  }
+}
+
+/**
+ * Calories contributed by a set of macros in grams
+ */
+export function macroCalories({ protein = 0, carbs = 0, fat = 0 }) {
+  return protein * CALORIES_PER_GRAM.protein + carbs * CALORIES_PER_GRAM.carbs + fat * CALORIES_PER_GRAM.fat
+}
+
+/**
+ * Resolve macro targets to grams for a given calorie goal
+ * @param {object} macroTargets - Macro targets (see schema above)
+ * @param {number} targetCalories - Calorie goal for the day
+ * @returns {{protein: number, carbs: number, fat: number}}
+ */
+export function resolveMacroTargetGrams(macroTargets, targetCalories) {
+  const targets = macroTargets || DEFAULT_MACRO_TARGETS
+
+  if (targets.unit === 'grams') {
+    return {
+      protein: targets.protein || 0,
+      carbs: targets.carbs || 0,
+      fat: targets.fat || 0
+    }
+  }
+
+  const grams = {}
+  for (const key of MACRO_KEYS) {
+    grams[key] = Math.round((targetCalories * (targets[key] || 0) / 100) / CALORIES_PER_GRAM[key])
+  }
+  return grams
+}
@@ -0,0 +1,129 @@
+/**
+ * Meal photos - scanned photos kept as compressed blobs in their own table
+ * - Meals refer to a photo by photoId so dailyEntries stays small
+ * - Photos outlive their meal so undo can restore it; cleanup removes photos no meal refers to
+ */
+
+import { db, generateId } from './db'
+import { createThumbnail } from './foodLibrary'
+import { compressImage } from './imageCompression'
+
+// Large enough to look sharp full-screen on a phone
+const STORED_PHOTO = { maxDimension: 1280, format: 'image/jpeg', quality: 0.8 }
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Photo ids referenced by any logged meal
+async function getReferencedPhotoIds() {
+  const ids = new Set()
+  await db.dailyEntries.each(entry => {
+    for (const meal of entry.meals || []) {
+      if (meal.photoId) ids.add(meal.photoId)
+    }
+  })
+  return ids
+}
+
+/**
+ * Compress and store a meal photo
+ * @param {File|Blob} file - The photo as picked
+ * @returns {Promise<string>} - The new photo's id, to store on the meal as photoId
+ */
+export async function saveMealPhoto(file) {
+  const { blob, width, height } = await compressImage(file, STORED_PHOTO)
+
+  const url = URL.createObjectURL(blob)
+  const thumbnail = await createThumbnail(url)
+  URL.revokeObjectURL(url)
+
+  const photo = {
+    id: generateId(),
+    blob,
+    thumbnail,
+    width,
+    height,
+    size: blob.size + (thumbnail?.length || 0),
+    createdAt: Date.now()
+  }
+  await db.mealPhotos.put(photo)
+  return photo.id
+}
+
+/**
+ * Look up thumbnails for a set of photos
+ * @param {string[]} photoIds
+ * @returns {Promise<Object<string, string>>} - Thumbnail data URL by photo id; missing photos are left out
+ */
+export async function getPhotoThumbnails(photoIds) {
+  const photos = await db.mealPhotos.bulkGet(photoIds)
+  const thumbnails = {}
+  photos.forEach(photo => {
+    if (photo?.thumbnail) thumbnails[photo.id] = photo.thumbnail
+  })
+  return thumbnails
+}
+
+// Full-size photo blob, or null if it was cleaned up
+export async function getPhotoBlob(photoId) {
+  const photo = await db.mealPhotos.get(photoId)
+  return photo?.blob || null
+}
+
+/**
+ * Meals with a stored photo, newest day first
+ * @returns {Promise<Array<{date: string, meal: object, thumbnail: string}>>}
+ */
+export async function getPhotoTimeline() {
+  const entries = await db.dailyEntries.orderBy('date').reverse().toArray()
+  const items = entries.flatMap(entry =>
+    (entry.meals || [])
+      .filter(meal => meal.photoId)
+      .sort((a, b) => (b.time || '').localeCompare(a.time || ''))
+      .map(meal => ({ date: entry.date, meal }))
+  )
+
+  const thumbnails = await getPhotoThumbnails([...new Set(items.map(item => item.meal.photoId))])
+  return items
+    .filter(item => thumbnails[item.meal.photoId])
+    .map(item => ({ ...item, thumbnail: thumbnails[item.meal.photoId] }))
+}
+
+/**
+ * Storage used by meal photos
+ * @returns {Promise<{count: number, bytes: number, unusedCount: number}>}
+ */
+export async function getPhotoStorageUsage() {
+  const referenced = await getReferencedPhotoIds()
+  const usage = { count: 0, bytes: 0, unusedCount: 0 }
+
+  await db.mealPhotos.each(photo => {
+    usage.count++
+    usage.bytes += photo.size || 0
+    if (!referenced.has(photo.id)) usage.unusedCount++
+  })
+  return usage
+}
+
+/**
+ * Delete photos that no logged meal refers to
+ * @returns {Promise<number>} - Number of photos deleted
+ */
+export async function deleteUnusedPhotos() {
+  const referenced = await getReferencedPhotoIds()
+  const ids = (await db.mealPhotos.toCollection().primaryKeys()).filter(id => !referenced.has(id))
+  await db.mealPhotos.bulkDelete(ids)
+  return ids.length
+}
+
+/**
+ * Delete photos stored more than the given number of days ago. Their meals are kept.
+ * @param {number} days
+ * @returns {Promise<number>} - Number of photos deleted
+ */
+export async function deletePhotosOlderThan(days) {
+  return await db.mealPhotos.where('createdAt').below(Date.now() - days * DAY_MS).delete()
+}
+
+export async function deleteAllPhotos() {
+  await db.mealPhotos.clear()
+}
@@ -0,0 +1,79 @@
+/**
+ * Meal templates - named sets of meals ("Weekday breakfast") logged in one tap
+ * - Templates store meal contents only; ids and times are assigned when logged
+ * - Use counts are tracked like exercise history so the most used sort first
+ */
+
+import { db, generateId } from './db'
+
+// Keep the parts of a meal that make sense to repeat
+export function templateMealFromMeal(meal) {
+  return {
+    name: meal.name || '',
+    items: meal.items || '',
+    totalCal: meal.totalCal || 0,
+    protein: meal.protein || 0,
+    carbs: meal.carbs || 0,
+    fat: meal.fat || 0,
+    foods: meal.foods || []
+  }
+}
+
+/**
+ * Create or update a meal template
+ * @param {object} template - { id?, name, meals }
+ * @returns {Promise<object>} - The stored template
+ */
+export async function saveMealTemplate(template) {
+  const name = (template.name || '').trim()
+  if (!name) {
+    throw new Error('Template name is required')
+  }
+
+  const meals = (template.meals || [])
+    .filter(meal => meal.name?.trim())
+    .map(templateMealFromMeal)
+  if (meals.length === 0) {
+    throw new Error('Add at least one meal with a name')
+  }
+
+  const now = Date.now()
+  const existing = template.id ? await db.mealTemplates.get(template.id) : null
+  const saved = {
+    id: existing?.id || generateId(),
+    name,
+    meals,
+    createdAt: existing?.createdAt || now,
+    lastUsed: existing?.lastUsed || 0,
+    useCount: existing?.useCount || 0
+  }
+
+  await db.mealTemplates.put(saved)
+  return saved
+}
+
+export async function deleteMealTemplate(templateId) {
+  await db.mealTemplates.delete(templateId)
+}
+
+/**
+ * Get all templates, most used first (ties broken by most recently used)
+ * @returns {Promise<object[]>}
+ */
+export async function getMealTemplates() {
+  const templates = await db.mealTemplates.toArray()
+  return templates.sort((a, b) =>
+    (b.useCount || 0) - (a.useCount || 0) || (b.lastUsed || 0) - (a.lastUsed || 0)
+  )
+}
+
+// Bump a template's use count after logging it
+export async function markTemplateUsed(templateId) {
+  const template = await db.mealTemplates.get(templateId)
+  if (template) {
+    await db.mealTemplates.update(templateId, {
+      lastUsed: Date.now(),
+      useCount: (template.useCount || 0) + 1
+    })
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Deterministic stand-in replies for the mock AI provider and scripts/mock-ai-server.js
+ * - The reply depends only on the request, so scans are repeatable offline
+ * - Requests are recognized by the JSON format their prompt asks for
+ * - No browser or Node APIs, so the app and the dev server can share it
+ */
+
+export const MOCK_MEAL_ANALYSIS = {
+  foods: [
+    { name: 'Grilled chicken breast', portion: '150g', calories: 248, protein: 46.5, carbs: 0, fat: 5.4 },
+    { name: 'White rice', portion: '1 cup', calories: 205, protein: 4.3, carbs: 44.5, fat: 0.4 },
+    { name: 'Steamed broccoli', portion: '1 cup', calories: 55, protein: 3.7, carbs: 11.2, fat: 0.6 }
+  ],
+  totalCalories: 508,
+  totalProtein: 54.5,
+  totalCarbs: 55.7,
+  totalFat: 6.4,
+  confidence: 'medium',
+  notes: 'Mock analysis. The same fixed meal is returned for every scan.'
+}
+
+export const MOCK_NUTRITION_LABEL = {
+  productName: 'Mock Granola Bar',
+  brand: 'Test Kitchen',
+  servingSize: '1 bar (40g)',
+  servingsPerContainer: 6,
+  calories: 190,
+  protein: 4,
+  carbs: 29,
+  fat: 7,
+  fiber: 3,
+  sugar: 12,
+  sodium: 95,
+  confidence: 'high',
+  notes: 'Mock label reading.'
+}
+
+// Text of a message, whether its content is a string or content blocks
+function messageText(message) {
+  if (typeof message?.content === 'string') return message.content
+  return (message?.content || []).map(block => block.text || '').join('\n')
+}
+
+/**
+ * Reply to a conversation the way a model following the app's prompts would
+ * @param {Array<{role: string, content: Array|string}>} messages
+ * @returns {string} - Reply text
+ */
+export function mockReply(messages) {
+  const text = messageText(messages[messages.length - 1])
+
+  if (text.includes('"productName"')) {
+    return JSON.stringify(MOCK_NUTRITION_LABEL)
+  }
+
+  if (text.includes('"totalCalories"')) {
+    // Refinements answer with higher confidence and echo what the user added
+    const refinements = messages.filter(m => m.role === 'user').length - 1
+    if (refinements > 0) {
+      return JSON.stringify({
+        ...MOCK_MEAL_ANALYSIS,
+        confidence: 'high',
+        notes: `Mock refinement ${refinements}: ${text.split('\n')[0]}`
+      })
+    }
+    return JSON.stringify(MOCK_MEAL_ANALYSIS)
+  }
+
+  return 'OK'
+}
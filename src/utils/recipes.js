@@ -0,0 +1,172 @@
+/**
+ * Recipes - foods composed into a multi-serving dish
+ * - Ingredients copy their food's per-serving nutrition when added, so later
+ *   edits to the food library don't silently change a recipe
+ * - Logging a recipe stores a nutrition snapshot on the meal, so later
+ *   edits to the recipe don't change meals already logged
+ */
+
+import { db, generateId } from './db'
+import { formatServings, toNumber, roundGrams } from './foodLibrary'
+
+const MAX_RESULTS = 20
+
+// Create an ingredient from a saved food and how many servings of it the recipe uses
+export function ingredientFromFood(food, quantity = 1) {
+  return {
+    id: generateId(),
+    foodId: food.id || null,
+    name: food.name,
+    servingSize: food.servingSize || '1 serving',
+    quantity,
+    calories: toNumber(food.calories),
+    protein: toNumber(food.protein),
+    carbs: toNumber(food.carbs),
+    fat: toNumber(food.fat)
+  }
+}
+
+/**
+ * Total nutrition for the whole recipe
+ * @param {object[]} ingredients
+ * @returns {{calories: number, protein: number, carbs: number, fat: number}}
+ */
+export function recipeTotals(ingredients) {
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 }
+  for (const ingredient of ingredients) {
+    const quantity = toNumber(ingredient.quantity)
+    totals.calories += ingredient.calories * quantity
+    totals.protein += ingredient.protein * quantity
+    totals.carbs += ingredient.carbs * quantity
+    totals.fat += ingredient.fat * quantity
+  }
+  return {
+    calories: Math.round(totals.calories),
+    protein: roundGrams(totals.protein),
+    carbs: roundGrams(totals.carbs),
+    fat: roundGrams(totals.fat)
+  }
+}
+
+/**
+ * Nutrition for a number of servings of a recipe
+ * @param {object} recipe - Recipe with ingredients and servings (yield)
+ * @param {number} servings - Servings eaten
+ */
+export function recipeNutrition(recipe, servings = 1) {
+  const totals = recipeTotals(recipe.ingredients)
+  const share = servings / (recipe.servings || 1)
+  return {
+    calories: Math.round(totals.calories * share),
+    protein: roundGrams(totals.protein * share),
+    carbs: roundGrams(totals.carbs * share),
+    fat: roundGrams(totals.fat * share)
+  }
+}
+
+/**
+ * Build meal fields for servings of a recipe. The result is a snapshot:
+ * the meal keeps these values even if the recipe is edited later.
+ * @param {object} recipe
+ * @param {number} servings
+ * @returns {{name: string, items: string, totalCal: number, protein: number, carbs: number, fat: number, foods: object[], recipe: object}}
+ */
+export function mealFromRecipe(recipe, servings) {
+  const nutrition = recipeNutrition(recipe, servings)
+  const share = servings / (recipe.servings || 1)
+  const servingLabel = servings === 1 ? '1 serving' : `${formatServings(servings)} servings`
+
+  return {
+    name: recipe.name,
+    items: `${servingLabel} of ${recipe.name} (${recipe.ingredients.map(i => i.name).join(', ')})`,
+    totalCal: nutrition.calories,
+    protein: nutrition.protein,
+    carbs: nutrition.carbs,
+    fat: nutrition.fat,
+    foods: recipe.ingredients.map(ingredient => {
+      const quantity = toNumber(ingredient.quantity) * share
+      return {
+        name: ingredient.name,
+        portion: `${roundGrams(quantity)} × ${ingredient.servingSize}`,
+        calories: Math.round(ingredient.calories * quantity),
+        protein: roundGrams(ingredient.protein * quantity),
+        carbs: roundGrams(ingredient.carbs * quantity),
+        fat: roundGrams(ingredient.fat * quantity)
+      }
+    }),
+    recipe: { id: recipe.id, name: recipe.name, servings }
+  }
+}
+
+/**
+ * Create or update a recipe
+ * @param {object} recipe - { id?, name, servings, ingredients }
+ * @returns {Promise<object>} - The stored recipe
+ */
+export async function saveRecipe(recipe) {
+  const name = (recipe.name || '').trim()
+  if (!name) {
+    throw new Error('Recipe name is required')
+  }
+
+  const servings = toNumber(recipe.servings)
+  if (servings <= 0) {
+    throw new Error('Recipe must make more than zero servings')
+  }
+
+  const ingredients = (recipe.ingredients || []).filter(i => i.name && toNumber(i.quantity) > 0)
+  if (ingredients.length === 0) {
+    throw new Error('Add at least one ingredient')
+  }
+
+  const now = Date.now()
+  const existing = recipe.id ? await db.recipes.get(recipe.id) : null
+  const saved = {
+    id: existing?.id || generateId(),
+    name,
+    servings,
+    ingredients,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    lastUsed: existing?.lastUsed || now,
+    useCount: existing?.useCount || 0
+  }
+
+  await db.recipes.put(saved)
+  return saved
+}
+
+export async function deleteRecipe(recipeId) {
+  await db.recipes.delete(recipeId)
+}
+
+/**
+ * Search recipes by name. With no query, returns the most recently used.
+ * @param {string} query - Search text
+ * @returns {Promise<object[]>}
+ */
+export async function searchRecipes(query) {
+  if (!query || !query.trim()) {
+    return await db.recipes
+      .orderBy('lastUsed')
+      .reverse()
+      .limit(MAX_RESULTS)
+      .toArray()
+  }
+
+  const normalizedQuery = query.toLowerCase().trim()
+  const allRecipes = await db.recipes.toArray()
+
+  return allRecipes
+    .filter(recipe => recipe.name.toLowerCase().includes(normalizedQuery))
+    .sort((a, b) => (b.useCount || 0) - (a.useCount || 0))
+    .slice(0, MAX_RESULTS)
+}
+
+// Bump a recipe's use count after logging it
+export async function markRecipeUsed(recipeId) {
+  const recipe = await db.recipes.get(recipeId)
+  if (recipe) {
+    await db.recipes.update(recipeId, { lastUsed: Date.now(), useCount: (recipe.useCount || 0) + 1 })
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Offline scan queue - meal photos taken without a connection are analyzed later
+ * - Queuing adds a "Pending analysis" placeholder meal; the result fills it in through useDaily's
+ *   resolvePendingMeal, so the entry on screen and its undo history stay in step with the database
+ * - The queue is processed by the open, unlocked app (useScanQueue) when it comes back online.
+ *   Service worker Background Sync isn't used: the API key is only decrypted in the app's memory,
+ *   so the worker couldn't make the request.
+ * - A scan that keeps failing for reasons other than the network or the monthly budget gives up
+ *   after MAX_ATTEMPTS, leaving the placeholder with the error so it can be filled in by hand
+ * - A scan whose placeholder was deleted is dropped without being analyzed, unless undo could
+ *   still bring the placeholder back
+ * - Results go through the analysis cache like scans made online
+ */
+
+import { db, generateId } from './db'
+import { analyzeFoodImage } from './foodAnalyzer'
+import { resolveProvider } from './aiProviders'
+import { getAnalysisCacheKey, withAnalysisCache } from './analysisCache'
+
+export const PENDING_MEAL_NAME = 'Pending analysis'
+
+const MAX_ATTEMPTS = 3
+
+/**
+ * Placeholder meal for a queued scan, to be added with useDaily's addPendingMeal
+ * @param {string|null} photoId - Stored meal photo, if it was saved
+ * @returns {object} - Meal fields for addPendingMeal
+ */
+export function createPendingMeal(photoId) {
+  return {
+    name: PENDING_MEAL_NAME,
+    items: 'Photo saved offline. It will be analyzed when you are back online.',
+    photoId,
+    pendingScan: true
+  }
+}
+
+/**
+ * Queue photos for analysis
+ * @param {object} scan
+ * @param {string} scan.date - Day of the placeholder meal
+ * @param {string} scan.mealId - Placeholder meal id
+ * @param {Array<{base64: string, mediaType: string}>} scan.images - Photos compressed for upload
+ * @param {boolean} scan.beforeAfter
+ * @returns {Promise<object>} - The queued scan
+ */
+export async function enqueueScan({ date, mealId, images, beforeAfter = false }) {
+  const queued = {
+    id: generateId(),
+    date,
+    mealId,
+    images: images.map(({ base64, mediaType }) => ({ base64, mediaType })),
+    beforeAfter,
+    attempts: 0,
+    lastError: null,
+    createdAt: Date.now()
+  }
+  await db.scanQueue.put(queued)
+  return queued
+}
+
+export async function countQueuedScans() {
+  return await db.scanQueue.count()
+}
+
+// Meal fields from an analysis, named the way the scanner names them
+function mealFromAnalysis(analysis) {
+  const foods = analysis.foods
+  return {
+    name: foods.length === 1 ? foods[0].name : `Scanned Meal (${foods.length} items)`,
+    items: foods.map(f => `${f.name} (${f.portion})`).join(', '),
+    totalCal: analysis.totalCalories,
+    protein: analysis.totalProtein,
+    carbs: analysis.totalCarbs,
+    fat: analysis.totalFat,
+    foods
+  }
+}
+
+// The placeholder filled in with an analysis, or with the reason it failed
+function resolvedMeal(meal, analysis, errorMessage) {
+  if (!analysis) {
+    return {
+      ...meal,
+      items: `Couldn't analyze this photo: ${errorMessage} Edit the meal to enter it yourself.`,
+      pendingScan: false
+    }
+  }
+
+  const fields = mealFromAnalysis(analysis)
+  return {
+    ...meal,
+    ...fields,
+    // Keep a name the user gave the placeholder
+    name: meal.name === PENDING_MEAL_NAME ? fields.name : meal.name,
+    pendingScan: false
+  }
+}
+
+// Whether the scan's placeholder meal is still stored and waiting
+async function hasPlaceholder(scan) {
+  const entry = await db.dailyEntries.get(scan.date)
+  return !!entry?.meals.some(meal => meal.id === scan.mealId && meal.pendingScan)
+}
+
+/**
+ * Analyze queued scans, oldest first. Stops early if the network is still unreachable or the
+ * monthly budget blocks requests.
+ * @param {object} connection - AI provider settings plus apiKey (see aiProviders.js)
+ * @param {object} meals - Placeholder handling from useDaily
+ * @param {function} meals.resolveMeal - resolvePendingMeal(date, mealId, resolve), resolving
+ *   to false if the placeholder was deleted or already filled in
+ * @param {function} meals.canRestoreMeal - canRestorePendingMeal(date, mealId), true if undo or
+ *   redo could bring back a deleted placeholder
+ * @returns {Promise<{analyzed: object[], failed: object[]}>} - Scans whose placeholder was
+ *   filled in with a result, and those given up on
+ */
+export async function processScanQueue(connection, { resolveMeal, canRestoreMeal }) {
+  const queued = await db.scanQueue.orderBy('createdAt').toArray()
+  const provider = resolveProvider(connection)
+  const analyzed = []
+  const failed = []
+
+  for (const scan of queued) {
+    // Don't pay for a scan nobody is waiting on
+    if (!(await hasPlaceholder(scan))) {
+      if (!canRestoreMeal(scan.date, scan.mealId)) {
+        console.log('[ScanQueue] Placeholder deleted, dropping scan')
+        await db.scanQueue.delete(scan.id)
+      }
+      continue
+    }
+
+    let analysis
+    try {
+      const key = await getAnalysisCacheKey(scan.images, { provider, kind: 'meal', beforeAfter: scan.beforeAfter })
+      const { result } = await withAnalysisCache(
+        key,
+        () => analyzeFoodImage(scan.images, connection, { beforeAfter: scan.beforeAfter })
+      )
+      analysis = result
+    } catch (err) {
+      if (err.isNetworkError) {
+        console.log('[ScanQueue] Still offline, stopping')
+        break
+      }
+      if (err.isBudgetExceeded) {
+        console.log('[ScanQueue] Monthly budget reached, stopping')
+        break
+      }
+
+      const attempts = scan.attempts + 1
+      console.error(`[ScanQueue] Analysis failed (attempt ${attempts} of ${MAX_ATTEMPTS}):`, err)
+      if (attempts < MAX_ATTEMPTS) {
+        await db.scanQueue.update(scan.id, { attempts, lastError: err.message })
+        continue
+      }
+
+      if (await resolveMeal(scan.date, scan.mealId, meal => resolvedMeal(meal, null, err.message))) {
+        failed.push(scan)
+      }
+      await db.scanQueue.delete(scan.id)
+      continue
+    }
+
+    if (await resolveMeal(scan.date, scan.mealId, meal => resolvedMeal(meal, analysis))) {
+      analyzed.push(scan)
+    }
+    await db.scanQueue.delete(scan.id)
+  }
+
+  return { analyzed, failed }
+}
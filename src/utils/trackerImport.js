@@ -0,0 +1,416 @@
+/**
+ * Tracker import - converts CSV exports from other calorie trackers into daily entries
+ * - MyFitnessPal: Nutrition Summary (one row per meal) and Exercise Summary
+ * - Cronometer: Servings (one row per food) and Exercises
+ * - Lose It!: Food Log (one row per food, exercise rows become cardio)
+ * Imported items get deterministic IDs, so importing the same file twice merges instead of duplicating.
+ */
+
+import {
+  db,
+  createEmptyEntry,
+  getDefaultCalorieTarget,
+  getDefaultMacroTargets,
+  addExerciseToHistory,
+  addActivityToHistory
+} from './db'
+import { mergeEntries } from './backup'
+import { parseCsvRecords } from './csv'
+
+const KJ_PER_KCAL = 4.184
+
+const DEFAULT_MEAL_TIMES = {
+  breakfast: '08:00',
+  lunch: '12:30',
+  dinner: '18:30',
+  snack: '15:00',
+  snacks: '15:00'
+}
+
+// First non-empty value among candidate column names
+function column(record, ...names) {
+  for (const name of names) {
+    if (record[name]) return record[name]
+  }
+  return ''
+}
+
+function toNumber(value) {
+  const number = parseFloat(String(value).replace(/,/g, ''))
+  return Number.isFinite(number) ? number : 0
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'item'
+}
+
+// Energy in kcal from whichever of the kcal or kJ columns is present
+function energyKcal(record, kcalColumns, kjColumns = []) {
+  const kcal = column(record, ...kcalColumns)
+  if (kcal) return toNumber(kcal)
+
+  const kj = column(record, ...kjColumns)
+  return kj ? toNumber(kj) / KJ_PER_KCAL : 0
+}
+
+/**
+ * Normalize an exported date ("2024-03-05", "2024-03-05 00:00:00", "3/5/2024") to YYYY-MM-DD
+ * @returns {string|null}
+ */
+export function normalizeImportDate(value) {
+  const iso = value?.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (iso) {
+    return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`
+  }
+
+  const us = value?.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/)
+  if (us) {
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3]
+    return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`
+  }
+
+  return null
+}
+
+/**
+ * Normalize an exported time ("8:05 AM", "20:15", "20:15:00") to 24-hour HH:MM
+ * @returns {string|null}
+ */
+export function normalizeImportTime(value) {
+  const match = value?.match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap])?\.?m?\.?$/i)
+  if (!match) return null
+
+  let hour = parseInt(match[1], 10)
+  const meridiem = match[3]?.toLowerCase()
+  if (meridiem === 'p' && hour < 12) hour += 12
+  if (meridiem === 'a' && hour === 12) hour = 0
+  if (hour > 23) return null
+
+  return `${String(hour).padStart(2, '0')}:${match[2]}`
+}
+
+/**
+ * Supported export formats. Each parse() maps one CSV record to a row of type
+ * 'food' | 'meal' | 'cardio' | 'exercise', or null to skip it. Order matters for detection.
+ */
+const TRACKER_FORMATS = [
+  {
+    id: 'cronometer-servings',
+    label: 'Cronometer servings',
+    detect: headers => headers.includes('day') && headers.includes('food name'),
+    parse: record => ({
+      type: 'food',
+      meal: column(record, 'group') || 'Food',
+      name: record['food name'],
+      amount: column(record, 'amount'),
+      calories: energyKcal(record, ['energy (kcal)'], ['energy (kj)']),
+      protein: toNumber(column(record, 'protein (g)')),
+      carbs: toNumber(column(record, 'carbs (g)', 'net carbs (g)')),
+      fat: toNumber(column(record, 'fat (g)'))
+    })
+  },
+  {
+    id: 'cronometer-exercises',
+    label: 'Cronometer exercises',
+    detect: headers => headers.includes('day') && headers.includes('exercise') && headers.includes('minutes'),
+    parse: record => ({
+      type: 'cardio',
+      name: record.exercise,
+      duration: toNumber(record.minutes),
+      // Cronometer records burned energy as negative
+      caloriesBurned: Math.abs(energyKcal(record, ['calories burned', 'energy (kcal)'], ['energy (kj)']))
+    })
+  },
+  {
+    id: 'mfp-exercise',
+    label: 'MyFitnessPal exercise summary',
+    detect: headers => headers.includes('exercise') && headers.includes('exercise calories'),
+    parse: record => {
+      if (column(record, 'type').toLowerCase().startsWith('strength')) {
+        return {
+          type: 'exercise',
+          name: record.exercise,
+          weight: toNumber(column(record, 'pounds')),
+          reps: toNumber(column(record, 'reps per set')),
+          sets: toNumber(column(record, 'sets')) || 1
+        }
+      }
+      return {
+        type: 'cardio',
+        name: record.exercise,
+        duration: toNumber(column(record, 'exercise minutes')),
+        caloriesBurned: Math.abs(toNumber(record['exercise calories']))
+      }
+    }
+  },
+  {
+    id: 'mfp-nutrition',
+    label: 'MyFitnessPal nutrition summary',
+    detect: headers => headers.includes('date') && headers.includes('meal') && headers.includes('calories'),
+    parse: record => ({
+      type: 'meal',
+      meal: column(record, 'meal') || 'Food',
+      note: column(record, 'note'),
+      calories: toNumber(record.calories),
+      protein: toNumber(column(record, 'protein (g)')),
+      carbs: toNumber(column(record, 'carbohydrates (g)')),
+      fat: toNumber(column(record, 'fat (g)'))
+    })
+  },
+  {
+    id: 'loseit',
+    label: 'Lose It! food log',
+    detect: headers => headers.includes('date') && headers.includes('name') && headers.includes('type') && headers.includes('calories'),
+    parse: record => {
+      if (['1', 'true', 'yes'].includes(column(record, 'deleted').toLowerCase())) return null
+
+      const quantity = column(record, 'quantity')
+      const units = column(record, 'units')
+
+      if (record.type.toLowerCase() === 'exercise') {
+        return {
+          type: 'cardio',
+          name: record.name,
+          duration: /min/i.test(units) ? toNumber(quantity) : 0,
+          // Lose It! records burned calories as negative
+          caloriesBurned: Math.abs(toNumber(record.calories))
+        }
+      }
+
+      return {
+        type: 'food',
+        meal: record.type || 'Food',
+        name: record.name,
+        amount: [quantity, units].filter(Boolean).join(' '),
+        calories: toNumber(record.calories),
+        protein: toNumber(column(record, 'protein (g)')),
+        carbs: toNumber(column(record, 'carbohydrates (g)', 'carbs (g)')),
+        fat: toNumber(column(record, 'fat (g)'))
+      }
+    }
+  }
+]
+
+/**
+ * Detect the format of a tracker CSV export and parse its rows
+ * @param {string} text - CSV file contents
+ * @returns {{formatId: string|null, label: string|null, rows: object[], skipped: number}}
+ */
+export function parseTrackerCsv(text) {
+  const { headers, records } = parseCsvRecords(text)
+  const format = TRACKER_FORMATS.find(f => f.detect(headers))
+
+  if (!format) {
+    return { formatId: null, label: null, rows: [], skipped: records.length }
+  }
+
+  const rows = []
+  let skipped = 0
+
+  for (const record of records) {
+    const date = normalizeImportDate(column(record, 'date', 'day'))
+    const row = date ? format.parse(record) : null
+
+    if (!row || (row.type !== 'meal' && !row.name)) {
+      skipped++
+      continue
+    }
+
+    rows.push({ ...row, date, time: normalizeImportTime(column(record, 'time')) })
+  }
+
+  return { formatId: format.id, label: format.label, rows, skipped }
+}
+
+// Group parsed rows into per-date meals/exercises/cardio with deterministic IDs
+function buildEntries(formatId, rows) {
+  const entries = {}
+  const getEntry = (date) => {
+    if (!entries[date]) {
+      entries[date] = { meals: {}, exercises: [], cardio: [] }
+    }
+    return entries[date]
+  }
+
+  for (const row of rows) {
+    const entry = getEntry(row.date)
+
+    if (row.type === 'food' || row.type === 'meal') {
+      const mealId = `${formatId}-${row.date}-${slug(row.meal)}`
+      const meal = entry.meals[mealId] || {
+        id: mealId,
+        time: null,
+        name: row.meal,
+        items: [],
+        totalCal: 0,
+        protein: 0,
+        carbs: 0,
+        fat: 0,
+        foods: [],
+        image: null
+      }
+
+      meal.totalCal += row.calories
+      meal.protein += row.protein
+      meal.carbs += row.carbs
+      meal.fat += row.fat
+      if (row.time && (!meal.time || row.time < meal.time)) meal.time = row.time
+
+      if (row.type === 'food') {
+        meal.items.push(row.amount ? `${row.name} (${row.amount})` : row.name)
+        meal.foods.push({
+          name: row.name,
+          portion: row.amount,
+          calories: Math.round(row.calories),
+          protein: round1(row.protein),
+          carbs: round1(row.carbs),
+          fat: round1(row.fat)
+        })
+      } else if (row.note) {
+        meal.items.push(row.note)
+      }
+
+      entry.meals[mealId] = meal
+    } else if (row.type === 'exercise') {
+      entry.exercises.push({
+        id: `${formatId}-${row.date}-exercise-${entry.exercises.length}`,
+        name: row.name,
+        weight: row.weight,
+        reps: row.reps,
+        sets: row.sets,
+        time: row.time || '12:00'
+      })
+    } else if (row.type === 'cardio') {
+      entry.cardio.push({
+        id: `${formatId}-${row.date}-cardio-${entry.cardio.length}`,
+        name: row.name,
+        duration: Math.round(row.duration),
+        caloriesBurned: Math.round(row.caloriesBurned),
+        time: row.time || '12:00'
+      })
+    }
+  }
+
+  // Finalize meal totals and descriptions
+  for (const entry of Object.values(entries)) {
+    entry.meals = Object.values(entry.meals).map(meal => ({
+      ...meal,
+      time: meal.time || DEFAULT_MEAL_TIMES[meal.name.toLowerCase()] || '12:00',
+      items: meal.items.join(', '),
+      totalCal: Math.round(meal.totalCal),
+      protein: round1(meal.protein),
+      carbs: round1(meal.carbs),
+      fat: round1(meal.fat)
+    }))
+  }
+
+  return entries
+}
+
+// Append items whose IDs aren't already in the list. Overlapping exports, or the same file
+// picked twice, produce the same IDs for the same days; the first file's item is kept.
+function appendUnique(list, items) {
+  const ids = new Set(list.map(item => item.id))
+  for (const item of items) {
+    if (!ids.has(item.id)) {
+      ids.add(item.id)
+      list.push(item)
+    }
+  }
+}
+
+/**
+ * Dry run: work out which days will be created or merged, without writing anything
+ * @param {Array<{formatId: string|null, rows: object[]}>} parsedFiles - Results of parseTrackerCsv
+ * @returns {Promise<{entries: object, days: object[], totals: object}>}
+ */
+export async function planTrackerImport(parsedFiles) {
+  const entries = {}
+
+  for (const file of parsedFiles) {
+    if (!file.formatId) continue
+
+    const fileEntries = buildEntries(file.formatId, file.rows)
+    for (const [date, incoming] of Object.entries(fileEntries)) {
+      const entry = entries[date] || { date, meals: [], exercises: [], cardio: [] }
+      appendUnique(entry.meals, incoming.meals)
+      appendUnique(entry.exercises, incoming.exercises)
+      appendUnique(entry.cardio, incoming.cardio)
+      entries[date] = entry
+    }
+  }
+
+  const dates = Object.keys(entries).sort()
+  const existing = await db.dailyEntries.bulkGet(dates)
+  const totals = { newDays: 0, mergedDays: 0, meals: 0, exercises: 0, cardio: 0, duplicates: 0 }
+
+  const days = dates.map((date, i) => {
+    const incoming = entries[date]
+    const current = existing[i]
+    const existingIds = new Set([
+      ...(current?.meals || []),
+      ...(current?.exercises || []),
+      ...(current?.cardio || [])
+    ].map(item => item.id))
+
+    const countNew = items => items.filter(item => !existingIds.has(item.id)).length
+    const day = {
+      date,
+      exists: !!current,
+      meals: countNew(incoming.meals),
+      exercises: countNew(incoming.exercises),
+      cardio: countNew(incoming.cardio)
+    }
+    day.duplicates = incoming.meals.length + incoming.exercises.length + incoming.cardio.length -
+      (day.meals + day.exercises + day.cardio)
+
+    totals[current ? 'mergedDays' : 'newDays']++
+    totals.meals += day.meals
+    totals.exercises += day.exercises
+    totals.cardio += day.cardio
+    totals.duplicates += day.duplicates
+
+    return day
+  })
+
+  return { entries, days, totals }
+}
+
+/**
+ * Write a planned tracker import, merging into existing days
+ * @param {object} plan - Result of planTrackerImport
+ * @returns {Promise<{created: number, merged: number}>}
+ */
+export async function applyTrackerImport(plan) {
+  const targetCalories = await getDefaultCalorieTarget()
+  const macroTargets = await getDefaultMacroTargets()
+  const result = { created: 0, merged: 0 }
+
+  await db.transaction('rw', db.dailyEntries, db.exerciseHistory, db.activityHistory, async () => {
+    for (const day of plan.days) {
+      if (day.meals + day.exercises + day.cardio === 0) continue
+
+      const incoming = plan.entries[day.date]
+      const existing = await db.dailyEntries.get(day.date)
+      const base = existing || createEmptyEntry(day.date, targetCalories, macroTargets)
+      const existingIds = new Set([...base.meals, ...(base.exercises || []), ...(base.cardio || [])].map(item => item.id))
+
+      await db.dailyEntries.put(mergeEntries(base, incoming))
+      result[existing ? 'merged' : 'created']++
+
+      // Make newly imported names available for autocomplete
+      for (const ex of incoming.exercises) {
+        if (!existingIds.has(ex.id)) await addExerciseToHistory(ex.name)
+      }
+      for (const c of incoming.cardio) {
+        if (!existingIds.has(c.id)) await addActivityToHistory(c.name)
+      }
+    }
+  })
+
+  return result
+}